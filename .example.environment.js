@@ -1,14 +1,13 @@
 export const ENV = {
-  URL: "https://github.com/login/oauth/authorize",
+  // OAuth device flow: only the public client ID ships with the extension
+  DEVICE_CODE_URL: "https://github.com/login/device/code",
   ACCESS_TOKEN_URL: "https://github.com/login/oauth/access_token",
-  REDIRECT_URL: " https://github.com/",
   REPOSITORY_URL: "https://api.github.com/repos/",
   USER_INFO_URL: "https://api.github.com/user",
-  CLIENT_SECRET: "YOUR_CLIENT_SECRET_KEY",
   CLIENT_ID: "YOUR_CLIENT_ID",
   SCOPES: ["repo"],
   HEADER: {
     Accept: "application/json",
     "Content-Type": "application/json",
   },
-};
\ No newline at end of file
+};
@@ -1,6 +1,23 @@
 import { ENV } from "./environment.js";
 import LeetCodeService from "./scripts/services/leetcode-service.js";
 import SyncService from "./scripts/services/sync-service.js";
+import LayoutMigrationService from "./scripts/services/layout-migration-service.js";
+import OutboxService from "./scripts/services/outbox-service.js";
+import AuthService from "./scripts/services/auth-service.js";
+import RepositorySetupService from "./scripts/services/repository-setup-service.js";
+import RoutingService from "./scripts/services/routing-service.js";
+import ReconciliationService from "./scripts/services/reconciliation-service.js";
+import RateLimitService from "./scripts/services/rate-limit-service.js";
+import SolutionGithubService from "./scripts/services/github-service.js";
+import ProviderFactory from "./scripts/services/providers/provider-factory.js";
+import Problem from "./scripts/models/problem.js";
+import ConfigurationService from "./scripts/services/configuration-service.js";
+import PathUtils from "./scripts/utils/path-utils.js";
+import HostUtils from "./scripts/utils/host-utils.js";
+import { DEFAULT_LAYOUT_TEMPLATE } from "./scripts/constants/layouts.js";
+
+// Maximum number of entries kept in the persisted sync log
+const SYNC_LOG_LIMIT = 200;
 
 /**
  * Manages LeetCode problem statistics and synchronization state.
@@ -121,192 +138,112 @@ class LeetCodeStateManager {
 }
 
 /**
- * Service for interacting with GitHub repositories to fetch problem data.
- * Handles repository communication and data transformation for statistics.
+ * Main controller for the LeetCode Tracker background script.
+ * Orchestrates all background services and handles Chrome extension messaging.
  */
-class GitHubService {
+class LeetCodeTrackerController {
   /**
-   * Initialize GitHub service with environment configuration.
-   *
-   * @param {Object} env - Environment configuration with API endpoints
+   * Initialize the controller with all required services and configuration.
+   * Sets up state management, GitHub integration, and Chrome storage defaults.
    */
-  constructor(env) {
-    this.env = env;
-  }
+  constructor() {
+    this.stateManager = new LeetCodeStateManager();
+    this.leetCodeService = new LeetCodeService();
+    this.syncService = new SyncService();
+    this.layoutMigrationService = new LayoutMigrationService();
+    this.outboxService = new OutboxService();
+    this.authService = new AuthService(ENV);
+    this.repositorySetupService = new RepositorySetupService(ENV);
+    this.reconciliationService = new ReconciliationService();
+    this.configurationService = new ConfigurationService();
+    this.authService.setProgressListener((flow) => {
+      chrome.runtime
+        .sendMessage({ type: "authProgress", data: flow })
+        .catch(() => {
+          // No popup is listening
+        });
+    });
 
-  /**
-   * Build the base GitHub API URL for the connected repository.
-   * Constructs URL from stored user credentials and repository name.
-   *
-   * @returns {Promise<string>} Complete GitHub API URL for repository contents
-   */
-  /**
-   * Parse repository string to extract username and repository name.
-   * @param {string} repoString - Repository string in format "username/repo" or just "repo"
-   * @param {string} fallbackUsername - Username to use if repoString is just repo name
-   * @returns {Object} Object with username and repositoryName
-   */
-  parseRepositoryString(repoString, fallbackUsername) {
-    if (!repoString) {
-      return null;
-    }
+    // Progress events are persisted in order, one storage write at a time
+    this.syncLog = [];
+    this.progressWrites = Promise.resolve();
+    this.syncService.setProgressListener((event) =>
+      this.handleSyncProgress(event)
+    );
 
-    if (repoString.includes('/')) {
-      const [username, repositoryName] = repoString.split('/');
-      return {
-        username: username.trim(),
-        repositoryName: repositoryName.trim()
-      };
-    } else {
-      // Legacy format: just repo name, use fallback username
-      return {
-        username: fallbackUsername,
-        repositoryName: repoString.trim()
-      };
-    }
-  }
+    // Store environment configuration for other components
+    chrome.storage.local.set({ leetcode_tracker_data_config: ENV });
 
-  async buildBasicGithubUrl() {
-    const result = await chrome.storage.local.get([
-      "leetcode_tracker_username",
-      "leetcode_tracker_repo",
-    ]);
+    this.initializeMessageListeners();
 
-    // Parse repository string to get username and repo name
-    const parsedRepo = this.parseRepositoryString(result.leetcode_tracker_repo, result.leetcode_tracker_username);
-    if (!parsedRepo) {
-      throw new Error("Invalid repository configuration");
-    }
+    // The service worker may have been stopped in the middle of a sync.
+    // Manual syncs wait for this check, so the two never start side by side
+    this.interruptedSyncCheck = this.resumeInterruptedSync();
 
-    return `${this.env.REPOSITORY_URL}${parsedRepo.username}/${parsedRepo.repositoryName}/contents/`;
+    // Or while the user was approving a sign-in on GitHub
+    this.authService.resumePendingFlow().catch((error) => {
+      console.error("Error resuming the GitHub sign-in: ", error);
+    });
   }
 
   /**
-   * Fetch all LeetCode problems from the connected GitHub repository.
-   * Searches through language folders to identify valid problem files.
-   *
-   * NOTE: This method is used by sync functionality to check existing files,
-   * NOT for statistics calculation (stats come from LeetCode API directly).
+   * Resume a synchronization interrupted by the service worker being stopped.
+   * Runs every time the worker starts, since any in-progress state found at
+   * that point belongs to a sync that no longer runs.
    *
    * Algorithm:
-   * 1. Build GitHub API URL for repository contents
-   * 2. Fetch repository folder list via GitHub API
-   * 3. For each language folder, fetch the files inside
-   * 4. Filter files matching new LeetCode naming pattern (e.g., "0001 two-sum.py")
-   * 5. Extract problem IDs and return structured problem data for sync comparison
-   *
-   * @returns {Promise<Array<Object>>} Array of problem objects with IDs
+   * 1. Resume from the saved checkpoint if one exists
+   * 2. Otherwise clear a stale in-progress flag and record the interruption
    */
-  async getAllLeetCodeProblems() {
+  async resumeInterruptedSync() {
     try {
-      const url = await this.buildBasicGithubUrl();
-      console.log('🔍 LeetCode Tracker: Fetching problems from URL:', url);
-
-      const response = await fetch(url);
-      console.log('📊 LeetCode Tracker: GitHub API response status:', response.status);
+      const checkpoint = await this.syncService.loadCheckpoint();
 
-      if (!response.ok) {
-        console.error('❌ LeetCode Tracker: GitHub API error:', response.status, response.statusText);
-        return [];
+      if (checkpoint) {
+        // Not awaited: the sync claims the service before its first await,
+        // which is all a manual start waiting for this check needs
+        this.startSync({ resume: true });
+        return;
       }
 
-      const data = await response.json();
-      console.log('📁 LeetCode Tracker: Found repository contents:', data.length, 'items');
-
-      const allProblems = [];
-
-      // Look for language folders (directories)
-      const languageFolders = data.filter(item => item.type === 'dir');
-      console.log('🔍 LeetCode Tracker: Found language folders:', languageFolders.map(f => f.name));
-
-      // Fetch problems from each language folder
-      for (const folder of languageFolders) {
-        try {
-          const folderUrl = `${url}${folder.name}`;
-          const folderResponse = await fetch(folderUrl);
-
-          if (folderResponse.ok) {
-            const folderData = await folderResponse.json();
-            const problems = folderData
-              .filter((file) => file.type === 'file' && /^\d{4}\s+.+\..+$/.test(file.name))
-              .map((file) => ({
-                originalName: file.name,
-                questionId: this.convertGithubToLeetCodeSlug(file.name),
-                language: folder.name,
-              }));
-
-            allProblems.push(...problems);
-            console.log(`📁 LeetCode Tracker: Found ${problems.length} problems in ${folder.name}`);
-          }
-        } catch (error) {
-          console.error(`❌ LeetCode Tracker: Error fetching ${folder.name} folder:`, error);
-        }
-      }
+      const { leetcode_tracker_sync_in_progress } =
+        await chrome.storage.local.get("leetcode_tracker_sync_in_progress");
 
-      console.log('✅ LeetCode Tracker: Total problems found:', allProblems.length);
-      return allProblems;
+      if (leetcode_tracker_sync_in_progress) {
+        await chrome.storage.local.set({
+          leetcode_tracker_sync_in_progress: false,
+          leetcode_tracker_sync_paused: false,
+          leetcode_tracker_last_sync_status: "failed",
+          leetcode_tracker_last_sync_message:
+            "The previous synchronization was interrupted",
+          leetcode_tracker_last_sync_date: new Date().toISOString(),
+        });
+      }
     } catch (error) {
-      console.error('❌ LeetCode Tracker: Error fetching problems:', error);
-      return [];
+      console.error("Error resuming interrupted synchronization: ", error);
     }
   }
 
-  /**
-   * Convert GitHub filename to LeetCode problem ID.
-   * Extracts the numeric problem ID from the new filename format.
-   *
-   * @param {string} githubFileName - GitHub file name (e.g., "0001 two-sum.py")
-   * @returns {string} LeetCode problem ID (e.g., "1")
-   */
-  convertGithubToLeetCodeSlug(githubFileName) {
-    // Extract the 4-digit number from the beginning of the filename
-    const match = githubFileName.match(/^(\d{4})\s+/);
-    if (match) {
-      // Convert to number to remove leading zeros, then back to string
-      return parseInt(match[1], 10).toString();
-    }
-    return "";
-  }
-}
-
-/**
- * Main controller for the LeetCode Tracker background script.
- * Orchestrates all background services and handles Chrome extension messaging.
- */
-class LeetCodeTrackerController {
-  /**
-   * Initialize the controller with all required services and configuration.
-   * Sets up state management, GitHub integration, and Chrome storage defaults.
-   */
-  constructor() {
-    this.stateManager = new LeetCodeStateManager();
-    this.githubService = new GitHubService(ENV);
-    this.leetCodeService = new LeetCodeService();
-    this.syncService = new SyncService();
-
-    // Store environment configuration for other components
-    chrome.storage.local.set({ leetcode_tracker_data_config: ENV });
-
-    // Initialize sync status tracking
-    chrome.storage.local.set({
-      leetcode_tracker_last_sync_status: "",
-      leetcode_tracker_sync_in_progress: false,
-      leetcode_tracker_last_sync_message: "",
-      leetcode_tracker_last_sync_date: null,
-    });
-
-    this.initializeMessageListeners();
-  }
-
   /**
    * Set up Chrome extension message listeners for UI communication.
    * Handles all message types from popup, content scripts, and other components.
    *
    * Message Types:
    * - updateDifficultyStats: Real-time counter updates when problems are solved
-   * - getDataConfig: Environment configuration requests
-   * - saveUserInfos: Authentication data storage
-   * - syncSolvedProblems: Manual synchronization triggers
+   * - getDataConfig: Environment configuration requests, for the configured provider and host
+   * - saveServerSettings: Repository provider and self-hosted server, set before signing in
+   * - startAuth / cancelAuth / getAuthFlow: GitHub device flow sign-in
+   * - signInWithToken: Personal access token sign-in, checked against the repository
+   * - linkRepository: Repository linking, checked against the signed-in token
+   * - createRepository: New repository created, seeded and linked in one step
+   * - addRoutingRule / removeRoutingRule: Rules sending solutions to other linked repositories
+   * - syncSolvedProblems: Manual synchronization triggers (incremental or full mode, optionally as a dry run)
+   * - pauseSync / resumeSync / cancelSync: Controls for a running synchronization
+   * - saveLayout: Repository layout changes, optionally moving existing files
+   * - verifyRepository / repairRepository: Drift between LeetCode and the linked repositories, and its fixes
+   * - pushSubmission: Accepted submissions pushed from the LeetCode page
+   * - retryOutbox: Immediate retry of every queued push
+   * - getRateLimits: Current request budget of each LeetCode and repository host
    * - requestInitialStats: Statistics data requests (triggers recalculation)
    */
   initializeMessageListeners() {
@@ -321,21 +258,160 @@ class LeetCodeTrackerController {
             sendResponse({ success: false, error: error.message });
           }
         },
-        getDataConfig: () => {
-          sendResponse(ENV);
+        getDataConfig: async () => {
+          sendResponse(await this.configurationService.getGitHubConfig(ENV));
+        },
+        saveServerSettings: async () => {
+          try {
+            const result = await this.saveServerSettings(
+              request.provider,
+              request.host,
+              request.clientId
+            );
+            sendResponse({ success: true, ...result });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
         },
-        saveUserInfos: () => {
-          this.saveUserInfos(request);
+        startAuth: async () => {
+          try {
+            const flow = await this.authService.startDeviceFlow();
+            sendResponse({ success: true, flow });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        },
+        cancelAuth: async () => {
+          await this.authService.cancel();
           sendResponse({ success: true });
         },
+        signInWithToken: async () => {
+          try {
+            const result = await this.authService.signInWithToken(
+              request.token,
+              request.owner,
+              request.repositoryName
+            );
+            sendResponse({ success: true, ...result });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        },
+        getAuthFlow: async () => {
+          const flow = await this.authService.getFlow();
+          sendResponse({ flow });
+        },
+        linkRepository: async () => {
+          try {
+            const result = await this.linkRepository(
+              request.owner,
+              request.repositoryName
+            );
+            sendResponse({ success: true, ...result });
+          } catch (error) {
+            sendResponse({
+              success: false,
+              error: error.message,
+              unauthorized: error.status === 401,
+            });
+          }
+        },
+        createRepository: async () => {
+          try {
+            const result = await this.createRepository(request);
+            sendResponse({ success: true, ...result });
+          } catch (error) {
+            sendResponse({
+              success: false,
+              error: error.message,
+              unauthorized: error.status === 401,
+            });
+          }
+        },
+        addRoutingRule: async () => {
+          try {
+            const rules = await this.addRoutingRule(request.rule);
+            sendResponse({ success: true, rules });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        },
+        removeRoutingRule: async () => {
+          const routingService = new RoutingService();
+          await routingService.load();
+          routingService.rules.splice(request.index, 1);
+          await routingService.save();
+          sendResponse({ success: true, rules: routingService.rules });
+        },
         syncSolvedProblems: async () => {
           try {
-            await this.startSync();
+            await this.interruptedSyncCheck;
+            await this.startSync({
+              mode: request.mode,
+              dryRun: request.dryRun === true,
+            });
             sendResponse({ status: "completed" });
           } catch (error) {
             sendResponse({ status: "failed", error: error.message });
           }
         },
+        pauseSync: async () => {
+          const paused = await this.syncService.pauseSync();
+          sendResponse({ success: paused });
+        },
+        resumeSync: async () => {
+          const resumed = await this.syncService.resumeSync();
+          sendResponse({ success: resumed });
+        },
+        cancelSync: () => {
+          const cancelled = this.syncService.cancelSync();
+          sendResponse({ success: cancelled });
+        },
+        saveLayout: async () => {
+          try {
+            const result = await this.saveLayout(request.template, request.migrate);
+            sendResponse({ success: true, ...result });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        },
+        verifyRepository: async () => {
+          try {
+            const report = await this.reconciliationService.verify();
+            sendResponse({ success: true, report });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        },
+        repairRepository: async () => {
+          try {
+            const report = await this.repairRepository(
+              request.repository,
+              request.kind
+            );
+            sendResponse({ success: true, report });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        },
+        pushSubmission: async () => {
+          const result = await this.pushSubmission(
+            request.problem,
+            request.comment
+          );
+          sendResponse(result);
+        },
+        retryOutbox: async () => {
+          try {
+            const result = await this.outboxService.processDue({ force: true });
+            sendResponse({ success: true, ...result });
+          } catch (error) {
+            sendResponse({ success: false, error: error.message });
+          }
+        },
+        getRateLimits: async () => {
+          sendResponse({ budgets: RateLimitService.getBudgets() });
+        },
         requestInitialStats: async () => {
           try {
             // Always recalculate counter when popup requests stats
@@ -363,16 +439,64 @@ class LeetCodeTrackerController {
   }
 
   /**
-   * Save user authentication information to Chrome storage.
-   * Stores GitHub username and access token for API authentication.
+   * Persist and broadcast a synchronization progress event.
+   * Progress and log are kept in Chrome storage so a popup opened mid-sync, or
+   * reopened after being closed, can render them.
    *
-   * @param {Object} request - Request object containing username and token
+   * Algorithm:
+   * 1. On a new sync, start a fresh log unless the sync resumes the logged run
+   * 2. Append outcome events to the log, capped at SYNC_LOG_LIMIT entries
+   * 3. Store the progress snapshot and the log
+   * 4. Broadcast the event to open popups
+   *
+   * @param {Object} event - Progress event emitted by SyncService
    */
-  saveUserInfos(request) {
-    chrome.storage.local.set({
-      leetcode_tracker_username: request.username,
-      leetcode_tracker_token: request.token,
-    });
+  handleSyncProgress(event) {
+    this.progressWrites = this.progressWrites
+      .then(async () => {
+        if (event.type === "started") {
+          const {
+            leetcode_tracker_sync_progress,
+            leetcode_tracker_sync_log,
+          } = await chrome.storage.local.get([
+            "leetcode_tracker_sync_progress",
+            "leetcode_tracker_sync_log",
+          ]);
+
+          const isSameRun =
+            leetcode_tracker_sync_progress?.startedAt ===
+            event.progress.startedAt;
+          this.syncLog = isSameRun ? leetcode_tracker_sync_log || [] : [];
+        }
+
+        let entry = null;
+        if (event.type !== "problem_started") {
+          entry = {
+            type: event.type,
+            slug: event.slug,
+            message: event.message,
+            timestamp: event.timestamp,
+          };
+          this.syncLog = [...this.syncLog, entry].slice(-SYNC_LOG_LIMIT);
+        }
+
+        await chrome.storage.local.set({
+          leetcode_tracker_sync_progress: event.progress,
+          leetcode_tracker_sync_log: this.syncLog,
+        });
+
+        chrome.runtime
+          .sendMessage({
+            type: "syncProgress",
+            data: { progress: event.progress, entry },
+          })
+          .catch(() => {
+            // No popup is listening
+          });
+      })
+      .catch((error) => {
+        console.error("Error recording sync progress: ", error);
+      });
   }
 
   /**
@@ -381,27 +505,25 @@ class LeetCodeTrackerController {
    *
    * Algorithm:
    * 1. Delegate synchronization to SyncService
-   * 2. Monitor sync progress and handle results
-   * 3. Update Chrome storage with sync status and messages
-   * 4. Trigger counter recalculation on successful sync
-   * 5. Handle errors gracefully and update status accordingly
+   * 2. Leave the sync status to SyncService, which persists it
+   * 3. Trigger counter recalculation on successful sync
+   * 4. Record unexpected errors as a failed sync
    *
+   * @param {Object} [options] - Options forwarded to SyncService.startSync
    * @returns {Promise<Object>} Sync result with success status and message
    */
-  async startSync() {
+  async startSync(options = {}) {
     try {
-      const result = await this.syncService.startSync();
+      const result = await this.syncService.startSync(options);
 
-      await chrome.storage.local.set({
-        leetcode_tracker_last_sync_status: result.success
-          ? "success"
-          : "failed",
-        leetcode_tracker_sync_in_progress: false,
-        leetcode_tracker_last_sync_message: result.message,
-        leetcode_tracker_last_sync_date: new Date().toISOString(),
-      });
+      // SyncService records the status of every sync it runs, and one that
+      // was refused must not overwrite the status of the sync still running
+      if (result.cancelled || !result.success) {
+        return result;
+      }
 
-      if (result.success) {
+      // A dry run changed nothing the counters are computed from
+      if (!options.dryRun) {
         this.initCounter();
       }
 
@@ -421,6 +543,250 @@ class LeetCodeTrackerController {
     }
   }
 
+  /**
+   * Select the repository provider and its server: github.com, gitlab.com,
+   * or a self-hosted GitHub Enterprise, GitLab or Gitea server.
+   * The popup requests the host permission first, since only it can ask the user.
+   *
+   * @param {string} provider - Provider type: "github", "gitlab" or "gitea"
+   * @param {string} input - Host or URL typed by the user, empty for the public service
+   * @param {string} [clientId] - OAuth app client ID registered on a GitHub Enterprise Server
+   * @returns {Promise<Object>} Provider and normalized host, empty for the public service
+   * @throws {Error} If the user is signed in, the provider or host is invalid, or the host is not permitted
+   */
+  async saveServerSettings(provider, input, clientId = "") {
+    const { leetcode_tracker_token } = await chrome.storage.local.get(
+      "leetcode_tracker_token"
+    );
+    if (leetcode_tracker_token) {
+      throw new Error("Log out before changing the repository server");
+    }
+
+    if (!HostUtils.getProviders().includes(provider)) {
+      throw new Error(`Unknown repository provider: ${provider}`);
+    }
+
+    const host = HostUtils.normalizeHost(input, provider);
+    if (host === null) {
+      throw new Error("Enter a host name such as git.example.com");
+    }
+
+    const serverHost = HostUtils.resolveHost(provider, host);
+    if (!serverHost) {
+      throw new Error("Enter the host of your server");
+    }
+
+    // The github.com API is a required host permission, every other server is optional
+    if (
+      (provider !== "github" || host) &&
+      !(await chrome.permissions.contains({
+        origins: [HostUtils.getOriginPattern(serverHost)],
+      }))
+    ) {
+      throw new Error(`LeetCode Tracker is not allowed to access ${serverHost}`);
+    }
+
+    // A sign-in started on the previous server cannot complete on this one
+    await this.authService.cancel();
+    await chrome.storage.local.set({
+      leetcode_tracker_provider: provider,
+      leetcode_tracker_host: host,
+      leetcode_tracker_github_client_id:
+        provider === "github" && host ? (clientId || "").trim() : "",
+    });
+
+    return { provider, host };
+  }
+
+  /**
+   * Link a repository after checking the signed-in token can push to it.
+   *
+   * @param {string|null} owner - Repository owner, the signed-in user when null
+   * @param {string} repositoryName - Repository receiving the solutions
+   * @returns {Promise<Object>} Linked repository as "owner/name"
+   * @throws {Error} If the repository cannot be read or written, with the status attached
+   */
+  async linkRepository(owner, repositoryName) {
+    const { leetcode_tracker_username } = await chrome.storage.local.get(
+      "leetcode_tracker_username"
+    );
+    const repository = `${owner || leetcode_tracker_username}/${repositoryName}`;
+
+    const provider = await ProviderFactory.createFromStorage({ repository }, ENV);
+    await provider.checkAccess();
+
+    await chrome.storage.local.set({
+      leetcode_tracker_mode: "commit",
+      leetcode_tracker_repo: repository,
+    });
+
+    return { repository };
+  }
+
+  /**
+   * Create a repository seeded for the chosen layout, then link it.
+   *
+   * @param {Object} options - Repository name, owner, isPrivate and layout template
+   * @returns {Promise<Object>} Linked repository as "owner/name" and whether it was seeded
+   * @throws {Error} If the repository cannot be created, with the status attached
+   */
+  async createRepository({ name, owner, isPrivate, template }) {
+    const result = await this.repositorySetupService.create({
+      name,
+      owner,
+      isPrivate,
+      template,
+    });
+
+    await chrome.storage.local.set({
+      leetcode_tracker_mode: "commit",
+      leetcode_tracker_repo: result.repository,
+    });
+
+    return result;
+  }
+
+  /**
+   * Add a routing rule after checking the signed-in token can push to its repository.
+   *
+   * @param {Object} rule - Rule with repository, languages, difficulties and mirror
+   * @returns {Promise<Array<Object>>} Every rule, the new one last
+   * @throws {Error} If the rule is invalid or its repository cannot be written
+   */
+  async addRoutingRule(rule) {
+    const { leetcode_tracker_username } = await chrome.storage.local.get(
+      "leetcode_tracker_username"
+    );
+    const routingService = new RoutingService();
+    await routingService.load();
+
+    const normalizedRule = routingService.normalizeRule(
+      rule,
+      leetcode_tracker_username
+    );
+    const provider = await ProviderFactory.createFromStorage(
+      { repository: normalizedRule.repository },
+      ENV
+    );
+    await provider.checkAccess();
+
+    routingService.rules.push(normalizedRule);
+    await routingService.save();
+
+    return routingService.rules;
+  }
+
+  /**
+   * Push a submission sent by the LeetCode page.
+   * Runs in the worker so the token stays out of the page and the push
+   * completes even if the tab is closed.
+   *
+   * Algorithm:
+   * 1. Rebuild the problem from its serialized form
+   * 2. Push it to the repositories the routing rules send it to
+   * 3. Refresh the counters after a successful push
+   * 4. Queue failed pushes in the outbox for a later retry, keeping only the
+   *    repositories that failed
+   *
+   * @param {Object} problemData - Problem data from Problem.serialize
+   * @param {string} [comment] - Solution notes entered by the user
+   * @returns {Promise<Object>} Result with success, skipped, error and queued
+   */
+  async pushSubmission(problemData, comment = "") {
+    try {
+      const githubService = new SolutionGithubService();
+      const result = await githubService.submitToRepositories(
+        Problem.deserialize(problemData),
+        comment
+      );
+
+      if (!result) {
+        return {
+          success: false,
+          error: "Link a GitHub repository before pushing solutions",
+        };
+      }
+
+      // Repositories already written are not pushed again by the retry
+      if (result.failures.length > 0) {
+        const queued = await this.outboxService
+          .enqueue(
+            problemData,
+            comment,
+            result.error,
+            result.failures.map((failure) => failure.repository)
+          )
+          .then(() => true)
+          .catch(() => false);
+
+        this.initCounter();
+        return { success: false, error: result.error, queued };
+      }
+
+      if (result.skipped) {
+        return { success: true, skipped: true };
+      }
+
+      this.initCounter();
+      return { success: true };
+    } catch (error) {
+      const queued = await this.outboxService
+        .enqueue(problemData, comment, error.message)
+        .then(() => true)
+        .catch(() => false);
+
+      return { success: false, error: error.message, queued };
+    }
+  }
+
+  /**
+   * Change the repository layout template.
+   * When migrating, existing solution files are moved to the new layout in
+   * one commit before the template is saved.
+   *
+   * @param {string} template - New layout template
+   * @param {boolean} migrate - Whether existing files should be moved
+   * @returns {Promise<Object>} Migration result, empty when not migrating
+   * @throws {Error} If the template is invalid, a sync is running or the migration fails
+   */
+  async saveLayout(template, migrate = false) {
+    const validationError = PathUtils.validateTemplate(template);
+    if (validationError) {
+      throw new Error(validationError);
+    }
+
+    if (!migrate) {
+      await chrome.storage.local.set({
+        leetcode_tracker_path_template: template,
+      });
+      return {};
+    }
+
+    // A sync writes files with the current layout while it runs
+    if (this.syncService.isSyncing) {
+      throw new Error("Wait for the running synchronization to finish");
+    }
+
+    return this.layoutMigrationService.migrate(template);
+  }
+
+  /**
+   * Apply one kind of fix from the last verification report to a repository.
+   *
+   * @param {string} repository - Repository as "owner/name"
+   * @param {string} kind - "missing", "stale", "orphaned" or "renamed"
+   * @returns {Promise<Object>} Report without the fixed items
+   * @throws {Error} If a sync is running or the repair fails
+   */
+  async repairRepository(repository, kind) {
+    // A sync writes the same files while it runs
+    if (this.syncService.isSyncing) {
+      throw new Error("Wait for the running synchronization to finish");
+    }
+
+    return this.reconciliationService.repair(repository, kind);
+  }
+
   /**
    * Initialize and get difficulty counters for the authenticated user.
    * Fetches statistics directly from LeetCode API instead of calculating from GitHub.
@@ -495,6 +861,19 @@ class LeetCodeTrackerController {
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === "install" || details.reason === "update") {
     // Initialize default settings only if they don't exist
+    // GitHub stays the provider of existing installations, on github.com
+    chrome.storage.local.get(
+      ["leetcode_tracker_provider", "leetcode_tracker_host"],
+      (result) => {
+        if (result.leetcode_tracker_provider === undefined) {
+          chrome.storage.local.set({ leetcode_tracker_provider: "github" });
+        }
+        if (result.leetcode_tracker_host === undefined) {
+          chrome.storage.local.set({ leetcode_tracker_host: "" });
+        }
+      }
+    );
+
     chrome.storage.local.get("leetcode_tracker_code_submit", (result) => {
       if (result.leetcode_tracker_code_submit === undefined) {
         chrome.storage.local.set({
@@ -503,16 +882,65 @@ chrome.runtime.onInstalled.addListener((details) => {
       }
     });
 
-    // Always set multiple submissions to false
-    chrome.storage.local.set({
-      leetcode_tracker_sync_multiple_submission: false,
+    // Submission history is opt-in
+    chrome.storage.local.get("leetcode_tracker_history_mode", (result) => {
+      if (result.leetcode_tracker_history_mode === undefined) {
+        chrome.storage.local.set({
+          leetcode_tracker_history_mode: "off",
+        });
+      }
     });
 
-    // Always set comment submission to false
-    chrome.storage.local.set({
-      leetcode_tracker_comment_submission: false,
+    // Push to the default branch, without pull requests, until the user picks otherwise
+    chrome.storage.local.get(
+      ["leetcode_tracker_branch", "leetcode_tracker_pull_request_mode"],
+      (result) => {
+        if (result.leetcode_tracker_branch === undefined) {
+          chrome.storage.local.set({ leetcode_tracker_branch: "" });
+        }
+
+        if (result.leetcode_tracker_pull_request_mode === undefined) {
+          chrome.storage.local.set({
+            leetcode_tracker_pull_request_mode: "off",
+          });
+        }
+      }
+    );
+
+    // Keep the historical layout until the user picks another one
+    chrome.storage.local.get("leetcode_tracker_path_template", (result) => {
+      if (result.leetcode_tracker_path_template === undefined) {
+        chrome.storage.local.set({
+          leetcode_tracker_path_template: DEFAULT_LAYOUT_TEMPLATE,
+        });
+      }
     });
 
+    // List every submission unless the user limits how far back syncs look
+    chrome.storage.local.get(
+      "leetcode_tracker_submission_lookback_days",
+      (result) => {
+        if (result.leetcode_tracker_submission_lookback_days === undefined) {
+          chrome.storage.local.set({
+            leetcode_tracker_submission_lookback_days: 0,
+          });
+        }
+      }
+    );
+
+    // Solution notes are opt-in
+    chrome.storage.local.get(
+      ["leetcode_tracker_comment_submission", "leetcode_tracker_import_notes"],
+      (result) => {
+        if (result.leetcode_tracker_comment_submission === undefined) {
+          chrome.storage.local.set({ leetcode_tracker_comment_submission: false });
+        }
+        if (result.leetcode_tracker_import_notes === undefined) {
+          chrome.storage.local.set({ leetcode_tracker_import_notes: false });
+        }
+      }
+    );
+
     chrome.storage.local.get("leetcode_tracker_auto_sync", (result) => {
       if (result.leetcode_tracker_auto_sync === undefined) {
         chrome.storage.local.set({
@@ -520,6 +948,31 @@ chrome.runtime.onInstalled.addListener((details) => {
         });
       }
     });
+
+    chrome.storage.local.get(
+      ["leetcode_tracker_batch_commit", "leetcode_tracker_batch_size"],
+      (result) => {
+        if (result.leetcode_tracker_batch_commit === undefined) {
+          chrome.storage.local.set({ leetcode_tracker_batch_commit: true });
+        }
+        if (result.leetcode_tracker_batch_size === undefined) {
+          chrome.storage.local.set({ leetcode_tracker_batch_size: 100 });
+        }
+      }
+    );
+
+    // Problem statements add a file per solution, so they are opt-in
+    chrome.storage.local.get("leetcode_tracker_problem_statement", (result) => {
+      if (result.leetcode_tracker_problem_statement === undefined) {
+        chrome.storage.local.set({ leetcode_tracker_problem_statement: false });
+      }
+    });
+
+    chrome.storage.local.get("leetcode_tracker_index_pages", (result) => {
+      if (result.leetcode_tracker_index_pages === undefined) {
+        chrome.storage.local.set({ leetcode_tracker_index_pages: true });
+      }
+    });
   }
 });
 
@@ -557,6 +1010,18 @@ chrome.runtime.onStartup.addListener(async () => {
   }
 });
 
+/**
+ * Retry queued pushes when their backoff delay is over.
+ * Registered at the top level so the alarm can wake a stopped service worker.
+ */
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === OutboxService.alarmName) {
+    controller.outboxService.processDue().catch((error) => {
+      console.error("Error retrying queued pushes: ", error);
+    });
+  }
+});
+
 /**
  * Listen for storage changes and recalculate counters when repository configuration changes.
  * Ensures statistics stay synchronized with repository changes.
@@ -1,3 +1,8 @@
+import RepositoryUtils from "./scripts/utils/repository-utils.js";
+
+// Days before a personal access token expires from which the popup warns about it
+const TOKEN_EXPIRY_WARNING_DAYS = 7;
+
 /**
  * DOM element references for the extension popup interface.
  * Centralizes all DOM queries for better maintainability and performance.
@@ -5,22 +10,100 @@
 const DOM = {
   authenticate: document.getElementById("authenticate"),
   authenticateButton: document.getElementById("github-authenticate-button"),
+  githubAuthenticateContainer: document.getElementById(
+    "github-authenticate-container"
+  ),
+  deviceAuth: document.getElementById("device-auth"),
+  deviceUserCode: document.getElementById("device-user-code"),
+  deviceOpenButton: document.getElementById("device-open-button"),
+  deviceCancelButton: document.getElementById("device-cancel-button"),
+  authError: document.getElementById("auth-error"),
+  tokenAuthDescription: document.getElementById("token-auth-description"),
+  tokenInput: document.getElementById("token-input"),
+  tokenRepoInput: document.getElementById("token-repo-input"),
+  tokenSignInButton: document.getElementById("token-sign-in-button"),
+  tokenError: document.getElementById("token-error"),
+  providerSelect: document.getElementById("provider-select"),
+  serverHostInput: document.getElementById("server-host-input"),
+  githubClientIdInput: document.getElementById("github-client-id-input"),
+  saveServerButton: document.getElementById("save-server-button"),
+  serverStatus: document.getElementById("server-status"),
   hookRepo: document.getElementById("hook-repo"),
   authenticated: document.getElementById("authenticated"),
   repoName: document.getElementById("repo-name"),
   repoNameError: document.getElementById("repo-name-error"),
   hookButton: document.getElementById("hook-button"),
+  createRepoNameInput: document.getElementById("create-repo-name-input"),
+  createRepoOwnerInput: document.getElementById("create-repo-owner-input"),
+  createRepoVisibilitySelect: document.getElementById(
+    "create-repo-visibility-select"
+  ),
+  createRepoLayoutSelect: document.getElementById("create-repo-layout-select"),
+  createRepoButton: document.getElementById("create-repo-button"),
+  createRepoError: document.getElementById("create-repo-error"),
   unlinkButton: document.getElementById("unlink-button"),
   repositoryName: document.getElementById("repository-name"),
   repositoryLink: document.getElementById("repository-link"),
   githubUsername: document.getElementById("github-username"),
+  tokenExpiry: document.getElementById("token-expiry"),
   logoutButton: document.getElementById("logout-button"),
   changeAccountButton: document.getElementById("change-account-button"),
   checkboxCodeSubmitSetting: document.getElementById("submit-code-checkbox"),
+  checkboxCommentSubmissionSetting: document.getElementById(
+    "comment-submission-checkbox"
+  ),
+  checkboxImportNotesSetting: document.getElementById("import-notes-checkbox"),
+  historyModeSelect: document.getElementById("history-mode-select"),
+  branchInput: document.getElementById("branch-input"),
+  branchError: document.getElementById("branch-error"),
+  pullRequestModeSelect: document.getElementById("pull-request-mode-select"),
+  lookbackDaysInput: document.getElementById("lookback-days-input"),
+  layoutSelect: document.getElementById("layout-select"),
+  layoutEditor: document.getElementById("layout-editor"),
+  layoutTemplateInput: document.getElementById("layout-template-input"),
+  saveLayoutButton: document.getElementById("save-layout-button"),
+  migrateLayoutButton: document.getElementById("migrate-layout-button"),
+  layoutStatus: document.getElementById("layout-status"),
+  routingRules: document.getElementById("routing-rules"),
+  routingRepositoryInput: document.getElementById("routing-repository-input"),
+  routingLanguagesInput: document.getElementById("routing-languages-input"),
+  routingDifficultySelect: document.getElementById("routing-difficulty-select"),
+  routingModeSelect: document.getElementById("routing-mode-select"),
+  addRoutingRuleButton: document.getElementById("add-routing-rule-button"),
+  routingRuleError: document.getElementById("routing-rule-error"),
+  checkboxBatchCommitSetting: document.getElementById("batch-commit-checkbox"),
+  batchSizeItem: document.getElementById("batch-size-item"),
+  batchSizeInput: document.getElementById("batch-size-input"),
+  checkboxIndexPagesSetting: document.getElementById("index-pages-checkbox"),
+  checkboxProblemStatementSetting: document.getElementById(
+    "problem-statement-checkbox"
+  ),
   syncButton: document.getElementById("sync-button"),
+  fullSyncButton: document.getElementById("full-sync-button"),
+  previewSyncButton: document.getElementById("preview-sync-button"),
+  syncPlan: document.getElementById("sync-plan"),
+  syncPlanSummary: document.getElementById("sync-plan-summary"),
+  syncPlanFiles: document.getElementById("sync-plan-files"),
+  downloadPlanButton: document.getElementById("download-plan-button"),
+  verifyRepoButton: document.getElementById("verify-repo-button"),
+  verifyStatus: document.getElementById("verify-status"),
+  reconciliationReport: document.getElementById("reconciliation-report"),
   manualPushButton: document.getElementById("manual-push-button"),
+  outboxItem: document.getElementById("outbox-item"),
+  outboxCount: document.getElementById("outbox-count"),
+  outboxError: document.getElementById("outbox-error"),
+  retryOutboxButton: document.getElementById("retry-outbox-button"),
   syncStatus: document.getElementById("sync-status"),
   syncTime: document.getElementById("sync-time"),
+  syncProgress: document.getElementById("sync-progress"),
+  syncProgressBar: document.getElementById("sync-progress-bar"),
+  syncProgressText: document.getElementById("sync-progress-text"),
+  syncProgressDetail: document.getElementById("sync-progress-detail"),
+  syncLog: document.getElementById("sync-log"),
+  rateLimits: document.getElementById("rate-limits"),
+  syncControls: document.getElementById("sync-controls"),
+  pauseSyncButton: document.getElementById("pause-sync-button"),
+  cancelSyncButton: document.getElementById("cancel-sync-button"),
   stats: {
     easy: document.getElementById("easy"),
     medium: document.getElementById("medium"),
@@ -42,9 +125,21 @@ class PopupManager {
     this.initializeStats();
     this.initializeEventListeners();
     this.initializeSetting();
+    this.loadLayoutSetting();
 
     this.updateSyncStatus();
     this.syncStatusInterval = setInterval(() => this.updateSyncStatus(), 2000);
+
+    this.loadRateLimits();
+    this.rateLimitsInterval = setInterval(() => this.loadRateLimits(), 2000);
+
+    this.syncProgress = null;
+    this.loadSyncProgress();
+    // Keeps the rate-limit countdown ticking between progress events
+    this.syncProgressInterval = setInterval(
+      () => this.renderSyncProgress(this.syncProgress),
+      1000
+    );
   }
 
   /**
@@ -52,12 +147,96 @@ class PopupManager {
    * Ensures the popup displays current setting states correctly.
    */
   initializeSetting() {
+    chrome.storage.local.get(
+      [
+        "leetcode_tracker_provider",
+        "leetcode_tracker_host",
+        "leetcode_tracker_github_client_id",
+      ],
+      (result) => {
+        DOM.providerSelect.value = result.leetcode_tracker_provider || "github";
+        DOM.serverHostInput.value = result.leetcode_tracker_host || "";
+        DOM.githubClientIdInput.value =
+          result.leetcode_tracker_github_client_id || "";
+        DOM.serverStatus.textContent = result.leetcode_tracker_host
+          ? `Using ${result.leetcode_tracker_host}`
+          : "";
+        this.renderProviderSetting(DOM.providerSelect.value);
+      }
+    );
+
     chrome.storage.local.get("leetcode_tracker_code_submit", (result) => {
       const codeSubmit = result.leetcode_tracker_code_submit;
       DOM.checkboxCodeSubmitSetting.checked = codeSubmit;
     });
 
+    chrome.storage.local.get(
+      ["leetcode_tracker_comment_submission", "leetcode_tracker_import_notes"],
+      (result) => {
+        DOM.checkboxCommentSubmissionSetting.checked =
+          result.leetcode_tracker_comment_submission === true;
+        DOM.checkboxImportNotesSetting.checked =
+          result.leetcode_tracker_import_notes === true;
+      }
+    );
+
+    chrome.storage.local.get("leetcode_tracker_history_mode", (result) => {
+      DOM.historyModeSelect.value = result.leetcode_tracker_history_mode || "off";
+    });
+
+    chrome.storage.local.get("leetcode_tracker_routing_rules", (result) => {
+      this.renderRoutingRules(result.leetcode_tracker_routing_rules || []);
+    });
+
+    chrome.storage.local.get("leetcode_tracker_sync_plan", (result) => {
+      this.renderSyncPlan(result.leetcode_tracker_sync_plan);
+    });
+
+    chrome.storage.local.get(
+      "leetcode_tracker_reconciliation_report",
+      (result) => {
+        this.renderReconciliationReport(
+          result.leetcode_tracker_reconciliation_report
+        );
+      }
+    );
+
+    chrome.storage.local.get(
+      ["leetcode_tracker_branch", "leetcode_tracker_pull_request_mode"],
+      (result) => {
+        DOM.branchInput.value = result.leetcode_tracker_branch || "";
+        DOM.pullRequestModeSelect.value =
+          result.leetcode_tracker_pull_request_mode || "off";
+      }
+    );
+
+    chrome.storage.local.get(
+      "leetcode_tracker_submission_lookback_days",
+      (result) => {
+        DOM.lookbackDaysInput.value =
+          result.leetcode_tracker_submission_lookback_days ?? 0;
+      }
+    );
+
+    chrome.storage.local.get(
+      ["leetcode_tracker_batch_commit", "leetcode_tracker_batch_size"],
+      (result) => {
+        const batchCommit = result.leetcode_tracker_batch_commit !== false;
+        DOM.checkboxBatchCommitSetting.checked = batchCommit;
+        DOM.batchSizeItem.style.display = batchCommit ? "flex" : "none";
+        DOM.batchSizeInput.value = result.leetcode_tracker_batch_size ?? 100;
+      }
+    );
+
+    chrome.storage.local.get("leetcode_tracker_index_pages", (result) => {
+      DOM.checkboxIndexPagesSetting.checked =
+        result.leetcode_tracker_index_pages !== false;
+    });
 
+    chrome.storage.local.get("leetcode_tracker_problem_statement", (result) => {
+      DOM.checkboxProblemStatementSetting.checked =
+        result.leetcode_tracker_problem_statement === true;
+    });
   }
 
 
@@ -84,7 +263,330 @@ class PopupManager {
     });
   }
 
+  /**
+   * Toggle the notes modal shown after an accepted submission.
+   */
+  toggleCommentSubmissionSetting() {
+    chrome.storage.local.get("leetcode_tracker_comment_submission", (result) => {
+      chrome.storage.local.set({
+        leetcode_tracker_comment_submission:
+          result.leetcode_tracker_comment_submission !== true,
+      });
+
+      this.initializeSetting();
+    });
+  }
+
+  /**
+   * Toggle importing the note saved on each submission in LeetCode.
+   */
+  toggleImportNotesSetting() {
+    chrome.storage.local.get("leetcode_tracker_import_notes", (result) => {
+      chrome.storage.local.set({
+        leetcode_tracker_import_notes: result.leetcode_tracker_import_notes !== true,
+      });
+
+      this.initializeSetting();
+    });
+  }
+
+  /**
+   * Save the submission history mode.
+   * "off" keeps the latest submission per language, "files" writes a file per
+   * accepted submission and "commits" records each one as a commit on the same file.
+   */
+  saveHistoryModeSetting() {
+    chrome.storage.local.set({
+      leetcode_tracker_history_mode: DOM.historyModeSelect.value,
+    });
+  }
+
+  /**
+   * Save the branch solutions are pushed to.
+   * The branch is created from the default branch on the first push when missing,
+   * and is the base of the pull requests in pull-request mode.
+   */
+  saveBranchSetting() {
+    const branch = DOM.branchInput.value.trim();
+
+    // Subset of git's ref name rules, enough to catch typos
+    if (
+      branch &&
+      (!/^[\w./-]+$/.test(branch) ||
+        /(^[/.-]|\.\.|\/\/|[/.]$|\.lock$)/.test(branch))
+    ) {
+      DOM.branchError.textContent = "Invalid branch name";
+      return;
+    }
+
+    DOM.branchError.textContent = "";
+    chrome.storage.local.set({ leetcode_tracker_branch: branch });
+  }
+
+  /**
+   * Save the pull-request mode.
+   * "off" commits to the branch directly, "sync" pushes each sync run to its own
+   * branch and "daily" pushes each day's submissions to a branch, each with a pull request.
+   */
+  savePullRequestModeSetting() {
+    chrome.storage.local.set({
+      leetcode_tracker_pull_request_mode: DOM.pullRequestModeSelect.value,
+    });
+  }
+
+  /**
+   * Show the routing rules, each with a button removing it.
+   *
+   * @param {Array<Object>} rules - Stored rules with repository, languages, difficulties and mirror
+   */
+  renderRoutingRules(rules) {
+    DOM.routingRules.innerHTML = "";
+
+    rules.forEach((rule, index) => {
+      const item = document.createElement("li");
+      const label = document.createElement("span");
+      const conditions = [
+        rule.languages.join(", ") || "All languages",
+        rule.difficulties.join(", ") || "any difficulty",
+      ];
+      label.textContent = `${conditions.join(" · ")} → ${rule.repository}${
+        rule.mirror ? " (copy)" : ""
+      }`;
+
+      const removeButton = document.createElement("button");
+      removeButton.type = "button";
+      removeButton.className = "primary-button";
+      removeButton.textContent = "Remove";
+      removeButton.addEventListener("click", () =>
+        this.removeRoutingRule(index)
+      );
+
+      item.append(label, removeButton);
+      DOM.routingRules.appendChild(item);
+    });
+  }
+
+  /**
+   * Add a routing rule. The background script checks the signed-in token can
+   * push to its repository before saving it.
+   */
+  addRoutingRule() {
+    DOM.routingRuleError.textContent = "";
+
+    const rule = {
+      repository: DOM.routingRepositoryInput.value.trim(),
+      languages: DOM.routingLanguagesInput.value
+        .split(",")
+        .map((language) => language.trim())
+        .filter(Boolean),
+      difficulties: DOM.routingDifficultySelect.value
+        ? [DOM.routingDifficultySelect.value]
+        : [],
+      mirror: DOM.routingModeSelect.value === "mirror",
+    };
+
+    DOM.addRoutingRuleButton.disabled = true;
+    chrome.runtime.sendMessage({ type: "addRoutingRule", rule }, (response) => {
+      DOM.addRoutingRuleButton.disabled = false;
+
+      if (chrome.runtime.lastError || !response?.success) {
+        DOM.routingRuleError.textContent =
+          response?.error || "Could not add the rule";
+        return;
+      }
+
+      DOM.routingRepositoryInput.value = "";
+      DOM.routingLanguagesInput.value = "";
+      this.renderRoutingRules(response.rules);
+    });
+  }
+
+  /**
+   * Remove a routing rule. Its solutions go to the linked repository again.
+   *
+   * @param {number} index - Position of the rule
+   */
+  removeRoutingRule(index) {
+    chrome.runtime.sendMessage(
+      { type: "removeRoutingRule", index },
+      (response) => {
+        if (response?.success) {
+          this.renderRoutingRules(response.rules);
+        }
+      }
+    );
+  }
+
+  /**
+   * Load the repository layout template into the layout selector.
+   * Templates that are not a preset are shown as a custom template.
+   */
+  loadLayoutSetting() {
+    chrome.storage.local.get("leetcode_tracker_path_template", (result) => {
+      this.savedLayoutTemplate =
+        result.leetcode_tracker_path_template || "{lang}/{id} {slug}{ext}";
+
+      const isPreset = [...DOM.layoutSelect.options].some(
+        (option) => option.value === this.savedLayoutTemplate
+      );
+      DOM.layoutSelect.value = isPreset ? this.savedLayoutTemplate : "custom";
+      DOM.layoutTemplateInput.value = this.savedLayoutTemplate;
+
+      this.updateLayoutEditor();
+    });
+  }
+
+  /**
+   * Show the layout editor while the selected layout differs from the saved one.
+   * Presets fill the template input, which is only editable for custom templates.
+   */
+  updateLayoutEditor() {
+    const isCustom = DOM.layoutSelect.value === "custom";
+
+    if (!isCustom) {
+      DOM.layoutTemplateInput.value = DOM.layoutSelect.value;
+    }
+
+    DOM.layoutTemplateInput.readOnly = !isCustom;
+    DOM.layoutEditor.style.display =
+      isCustom || DOM.layoutTemplateInput.value !== this.savedLayoutTemplate
+        ? "flex"
+        : "none";
+  }
+
+  /**
+   * Save the repository layout template, optionally moving existing files.
+   * Moving files is done by the background script in a single commit.
+   *
+   * @param {boolean} migrate - Whether existing solution files should be moved
+   */
+  saveLayout(migrate) {
+    const template = DOM.layoutTemplateInput.value.trim();
+
+    if (
+      migrate &&
+      !confirm("Move the existing solution files to the new layout in one commit?")
+    ) {
+      return;
+    }
+
+    DOM.saveLayoutButton.disabled = true;
+    DOM.migrateLayoutButton.disabled = true;
+    DOM.layoutStatus.textContent = migrate ? "Moving files..." : "";
+
+    chrome.runtime.sendMessage(
+      { type: "saveLayout", template, migrate },
+      (response) => {
+        DOM.saveLayoutButton.disabled = false;
+        DOM.migrateLayoutButton.disabled = false;
+
+        if (chrome.runtime.lastError || !response?.success) {
+          DOM.layoutStatus.textContent =
+            response?.error || "The layout could not be saved";
+          return;
+        }
+
+        DOM.layoutStatus.textContent = migrate
+          ? this.formatLayoutMigrationResult(response)
+          : "";
+        this.loadLayoutSetting();
+      }
+    );
+  }
+
+  /**
+   * Describe the outcome of a layout migration.
+   *
+   * @param {Object} result - Migration result with moved, skipped and conflicts
+   * @returns {string} Summary shown under the layout editor
+   */
+  formatLayoutMigrationResult(result) {
+    const parts = [`Moved ${result.moved || 0} files`];
+
+    if (result.skipped?.length) {
+      parts.push(`${result.skipped.length} skipped (missing metadata)`);
+    }
+
+    if (result.conflicts?.length) {
+      parts.push(`${result.conflicts.length} left in place (path already used)`);
+    }
+
+    return parts.join(", ");
+  }
+
+  /**
+   * Save how many days back a sync lists submissions.
+   * Invalid or negative values fall back to 0 (all submissions).
+   */
+  saveLookbackDaysSetting() {
+    const lookbackDays = parseInt(DOM.lookbackDaysInput.value, 10);
+
+    chrome.storage.local.set({
+      leetcode_tracker_submission_lookback_days:
+        Number.isNaN(lookbackDays) || lookbackDays < 0 ? 0 : lookbackDays,
+    });
+
+    this.initializeSetting();
+  }
+
+  /**
+   * Toggle bulk-commit mode for synchronization.
+   * When enabled, synced files are grouped into Git Data API commits instead
+   * of one commit per file.
+   */
+  toggleBatchCommitSetting() {
+    chrome.storage.local.get("leetcode_tracker_batch_commit", (result) => {
+      const batchCommit = result.leetcode_tracker_batch_commit !== false;
+      chrome.storage.local.set({
+        leetcode_tracker_batch_commit: !batchCommit,
+      });
+
+      this.initializeSetting();
+    });
+  }
+
+  /**
+   * Save the number of files grouped in each bulk commit.
+   * Invalid or negative values fall back to 0 (one commit per sync run).
+   */
+  saveBatchSizeSetting() {
+    const batchSize = parseInt(DOM.batchSizeInput.value, 10);
+
+    chrome.storage.local.set({
+      leetcode_tracker_batch_size:
+        Number.isNaN(batchSize) || batchSize < 0 ? 0 : batchSize,
+    });
+
+    this.initializeSetting();
+  }
+
+  /**
+   * Toggle the generated README and per-language/per-topic index pages.
+   */
+  toggleIndexPagesSetting() {
+    chrome.storage.local.get("leetcode_tracker_index_pages", (result) => {
+      const indexPages = result.leetcode_tracker_index_pages !== false;
+      chrome.storage.local.set({
+        leetcode_tracker_index_pages: !indexPages,
+      });
+
+      this.initializeSetting();
+    });
+  }
+
+  /**
+   * Toggle the Markdown problem statement exported next to each solution.
+   */
+  toggleProblemStatementSetting() {
+    chrome.storage.local.get("leetcode_tracker_problem_statement", (result) => {
+      chrome.storage.local.set({
+        leetcode_tracker_problem_statement:
+          result.leetcode_tracker_problem_statement !== true,
+      });
 
+      this.initializeSetting();
+    });
+  }
 
   /**
    * Set up all event listeners for the popup interface.
@@ -96,7 +598,27 @@ class PopupManager {
       "click",
       this.handleAuthentication.bind(this)
     );
+    DOM.deviceOpenButton.addEventListener(
+      "click",
+      this.openVerificationPage.bind(this)
+    );
+    DOM.deviceCancelButton.addEventListener("click", this.cancelAuthentication.bind(this));
+    DOM.tokenSignInButton.addEventListener(
+      "click",
+      this.handleTokenSignIn.bind(this)
+    );
+    DOM.providerSelect.addEventListener("change", () =>
+      this.renderProviderSetting(DOM.providerSelect.value)
+    );
+    DOM.saveServerButton.addEventListener(
+      "click",
+      this.saveServerSettings.bind(this)
+    );
     DOM.hookButton.addEventListener("click", this.handleHookRepo.bind(this));
+    DOM.createRepoButton.addEventListener(
+      "click",
+      this.handleCreateRepo.bind(this)
+    );
     DOM.unlinkButton.addEventListener("click", this.unlinkRepo.bind(this));
     DOM.logoutButton.addEventListener("click", this.logout.bind(this));
     DOM.changeAccountButton.addEventListener("click", this.logout.bind(this));
@@ -104,30 +626,140 @@ class PopupManager {
       "click",
       this.toggleCodeSubmitSetting.bind(this)
     );
-    DOM.syncButton.addEventListener("click", this.startManualSync.bind(this));
+    DOM.checkboxCommentSubmissionSetting.addEventListener(
+      "click",
+      this.toggleCommentSubmissionSetting.bind(this)
+    );
+    DOM.checkboxImportNotesSetting.addEventListener(
+      "click",
+      this.toggleImportNotesSetting.bind(this)
+    );
+    DOM.historyModeSelect.addEventListener(
+      "change",
+      this.saveHistoryModeSetting.bind(this)
+    );
+    DOM.addRoutingRuleButton.addEventListener(
+      "click",
+      this.addRoutingRule.bind(this)
+    );
+    DOM.branchInput.addEventListener(
+      "change",
+      this.saveBranchSetting.bind(this)
+    );
+    DOM.pullRequestModeSelect.addEventListener(
+      "change",
+      this.savePullRequestModeSetting.bind(this)
+    );
+    DOM.layoutSelect.addEventListener(
+      "change",
+      this.updateLayoutEditor.bind(this)
+    );
+    DOM.layoutTemplateInput.addEventListener(
+      "input",
+      this.updateLayoutEditor.bind(this)
+    );
+    DOM.saveLayoutButton.addEventListener("click", () => this.saveLayout(false));
+    DOM.migrateLayoutButton.addEventListener("click", () =>
+      this.saveLayout(true)
+    );
+    DOM.lookbackDaysInput.addEventListener(
+      "change",
+      this.saveLookbackDaysSetting.bind(this)
+    );
+    DOM.checkboxBatchCommitSetting.addEventListener(
+      "click",
+      this.toggleBatchCommitSetting.bind(this)
+    );
+    DOM.batchSizeInput.addEventListener(
+      "change",
+      this.saveBatchSizeSetting.bind(this)
+    );
+    DOM.checkboxProblemStatementSetting.addEventListener(
+      "click",
+      this.toggleProblemStatementSetting.bind(this)
+    );
+    DOM.checkboxIndexPagesSetting.addEventListener(
+      "click",
+      this.toggleIndexPagesSetting.bind(this)
+    );
+    DOM.syncButton.addEventListener("click", () =>
+      this.startManualSync("incremental")
+    );
+    DOM.fullSyncButton.addEventListener("click", () =>
+      this.startManualSync("full")
+    );
+    DOM.previewSyncButton.addEventListener("click", () =>
+      this.startManualSync("incremental", true)
+    );
+    DOM.downloadPlanButton.addEventListener(
+      "click",
+      this.downloadSyncPlan.bind(this)
+    );
+    DOM.verifyRepoButton.addEventListener(
+      "click",
+      this.verifyRepository.bind(this)
+    );
     DOM.manualPushButton.addEventListener("click", this.handleManualPush.bind(this));
+    DOM.retryOutboxButton.addEventListener("click", this.retryOutbox.bind(this));
+    DOM.pauseSyncButton.addEventListener(
+      "click",
+      this.togglePauseSync.bind(this)
+    );
+    DOM.cancelSyncButton.addEventListener("click", this.cancelSync.bind(this));
 
     // Listen for statistics updates from background script
     chrome.runtime.onMessage.addListener((message) => {
       if (message.type === "statsUpdate") {
         this.updateStatsDisplay(message.data);
+      } else if (message.type === "authProgress") {
+        this.renderAuthFlow(message.data);
+      } else if (message.type === "syncProgress") {
+        // A new sync starts a new log, a resumed one continues it
+        if (
+          this.syncProgress &&
+          this.syncProgress.startedAt !== message.data.progress.startedAt
+        ) {
+          DOM.syncLog.innerHTML = "";
+        }
+        this.renderSyncProgress(message.data.progress);
+        if (message.data.entry) {
+          this.appendSyncLogEntry(message.data.entry);
+        }
+
+        // The plan is stored once the dry run ends
+        if (
+          message.data.progress.dryRun &&
+          ["completed", "cancelled"].includes(message.data.entry?.type)
+        ) {
+          chrome.storage.local.get("leetcode_tracker_sync_plan", (result) => {
+            this.renderSyncPlan(result.leetcode_tracker_sync_plan);
+          });
+        }
       }
     });
   }
 
   /**
-   * Initiate manual synchronization of all solved problems.
+   * Initiate manual synchronization of solved problems.
    * Updates UI to show progress and sends sync command to background script.
+   * Incremental mode only syncs problems solved again since the last sync,
+   * full mode checks every solved problem against the repository.
+   * A dry run only plans the changes, shown once it ends.
    *
    * Algorithm:
-   * 1. Disable sync button to prevent multiple concurrent syncs
+   * 1. Disable sync buttons to prevent multiple concurrent syncs
    * 2. Replace button content with animated loading indicator
    * 3. Inject CSS animation for loading spinner
    * 4. Send sync message to background script
    * 5. Update sync status display
+   *
+   * @param {string} mode - "incremental" or "full"
+   * @param {boolean} [dryRun=false] - Plan the changes without pushing them
    */
-  startManualSync() {
+  startManualSync(mode = "incremental", dryRun = false) {
     DOM.syncButton.disabled = true;
+    DOM.fullSyncButton.disabled = true;
+    DOM.previewSyncButton.disabled = true;
     DOM.syncButton.innerHTML =
       '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="spin" viewBox="0 0 16 16"><path d="M11.534 7h3.932a.25.25 0 0 1 .192.41l-1.966 2.36a.25.25 0 0 1-.384 0l-1.966-2.36a.25.25 0 0 1 .192-.41zm-11 2h3.932a.25.25 0 0 0 .192-.41L2.692 6.23a.25.25 0 0 0-.384 0L.342 8.59A.25.25 0 0 0 .534 9z"/><path fill-rule="evenodd" d="M8 3c-1.552 0-2.94.707-3.857 1.818a.5.5 0 1 1-.771-.636A6.002 6.002 0 0 1 13.917 7H12.9A5.002 5.002 0 0 0 8 3zM3.1 9a5.002 5.002 0 0 0 8.757 2.182.5.5 0 1 1 .771.636A6.002 6.002 0 0 1 2.083 9H3.1z"/></svg><span style="margin-left: 5px">Syncing...</span>';
 
@@ -144,13 +776,56 @@ class PopupManager {
 `;
     document.head.appendChild(style);
 
-    chrome.runtime.sendMessage({ type: "syncSolvedProblems" }, (response) => {
+    chrome.runtime.sendMessage(
+      { type: "syncSolvedProblems", mode, dryRun },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          // Handle messaging errors gracefully
+        }
+      }
+    );
+
+    this.updateSyncStatus();
+  }
+
+  /**
+   * Pause the running sync, or resume it if it is paused.
+   */
+  async togglePauseSync() {
+    const { leetcode_tracker_sync_paused } = await chrome.storage.local.get(
+      "leetcode_tracker_sync_paused"
+    );
+
+    this.sendSyncControl(leetcode_tracker_sync_paused ? "resumeSync" : "pauseSync");
+  }
+
+  /**
+   * Cancel the running sync after confirmation.
+   */
+  cancelSync() {
+    if (confirm("Cancel the running synchronization?")) {
+      this.sendSyncControl("cancelSync");
+    }
+  }
+
+  /**
+   * Send a sync control message to the background script and refresh the status.
+   *
+   * @param {string} type - pauseSync, resumeSync or cancelSync
+   */
+  sendSyncControl(type) {
+    DOM.pauseSyncButton.disabled = true;
+    DOM.cancelSyncButton.disabled = true;
+
+    chrome.runtime.sendMessage({ type }, () => {
       if (chrome.runtime.lastError) {
         // Handle messaging errors gracefully
       }
-    });
 
-    this.updateSyncStatus();
+      DOM.pauseSyncButton.disabled = false;
+      DOM.cancelSyncButton.disabled = false;
+      this.updateSyncStatus();
+    });
   }
 
   /**
@@ -168,23 +843,35 @@ class PopupManager {
     try {
       const result = await chrome.storage.local.get([
         "leetcode_tracker_sync_in_progress",
+        "leetcode_tracker_sync_paused",
         "leetcode_tracker_last_sync_status",
         "leetcode_tracker_last_sync_message",
         "leetcode_tracker_last_sync_date",
+        "leetcode_tracker_outbox",
       ]);
 
+      this.renderOutbox(result.leetcode_tracker_outbox || {});
+
       const inProgress = result.leetcode_tracker_sync_in_progress || false;
+      const paused = result.leetcode_tracker_sync_paused || false;
       const lastStatus = result.leetcode_tracker_last_sync_status || "";
       const lastMessage = result.leetcode_tracker_last_sync_message || "";
       const lastDate = result.leetcode_tracker_last_sync_date
         ? new Date(result.leetcode_tracker_last_sync_date)
         : null;
 
+      DOM.fullSyncButton.disabled = inProgress;
+      DOM.previewSyncButton.disabled = inProgress;
+      DOM.syncControls.style.display = inProgress ? "flex" : "none";
+      DOM.pauseSyncButton.textContent = paused ? "Resume" : "Pause";
+
       if (inProgress) {
         DOM.syncButton.disabled = true;
         DOM.syncButton.innerHTML =
           '<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" fill="currentColor" class="spin" viewBox="0 0 16 16"><path d="M11.534 7h3.932a.25.25 0 0 1 .192.41l-1.966 2.36a.25.25 0 0 1-.384 0l-1.966-2.36a.25.25 0 0 1 .192-.41zm-11 2h3.932a.25.25 0 0 0 .192-.41L2.692 6.23a.25.25 0 0 0-.384 0L.342 8.59A.25.25 0 0 0 .534 9z"/><path fill-rule="evenodd" d="M8 3c-1.552 0-2.94.707-3.857 1.818a.5.5 0 1 1-.771-.636A6.002 6.002 0 0 1 13.917 7H12.9A5.002 5.002 0 0 0 8 3zM3.1 9a5.002 5.002 0 0 0 8.757 2.182.5.5 0 1 1 .771.636A6.002 6.002 0 0 1 2.083 9H3.1z"/></svg><span style="margin-left: 5px">Syncing...</span>';
-        DOM.syncStatus.textContent = "Synchronization in progress...";
+        DOM.syncStatus.textContent = paused
+          ? "Synchronization paused"
+          : "Synchronization in progress...";
       } else {
         DOM.syncButton.disabled = false;
         DOM.syncButton.innerHTML =
@@ -201,6 +888,14 @@ class PopupManager {
           if (lastMessage) {
             DOM.syncStatus.textContent = `Last sync: Failed - ${lastMessage}`;
           }
+        } else if (lastStatus === "partial") {
+          DOM.syncStatus.textContent = lastMessage
+            ? `Last sync: Incomplete - ${lastMessage}`
+            : "Last sync: Incomplete";
+          DOM.syncStatus.className = "text-warning";
+        } else if (lastStatus === "cancelled") {
+          DOM.syncStatus.textContent = "Last sync: Cancelled";
+          DOM.syncStatus.className = "text-muted";
         } else if (!lastStatus) {
           DOM.syncStatus.textContent = "";
           DOM.syncStatus.className = "";
@@ -220,6 +915,428 @@ class PopupManager {
     }
   }
 
+  /**
+   * Ask the background script to compare the linked repositories with the
+   * accepted solutions. Walks the whole submission listing, so it takes a while.
+   */
+  verifyRepository() {
+    DOM.verifyRepoButton.disabled = true;
+    DOM.verifyRepoButton.textContent = "Verifying...";
+    DOM.verifyStatus.textContent = "";
+
+    chrome.runtime.sendMessage({ type: "verifyRepository" }, (response) => {
+      DOM.verifyRepoButton.disabled = false;
+      DOM.verifyRepoButton.textContent = "Verify";
+
+      if (chrome.runtime.lastError || !response?.success) {
+        DOM.verifyStatus.textContent =
+          response?.error || "Could not verify the repository";
+        return;
+      }
+
+      this.renderReconciliationReport(response.report);
+    });
+  }
+
+  /**
+   * Show the plan of the last dry run: its summary and the files it would write.
+   *
+   * @param {Object|null} plan - Plan stored by the background script
+   */
+  renderSyncPlan(plan) {
+    this.syncPlan = plan || null;
+    DOM.syncPlanFiles.innerHTML = "";
+
+    if (!plan) {
+      DOM.syncPlan.style.display = "none";
+      return;
+    }
+
+    DOM.syncPlan.style.display = "block";
+    const { create, update, skip } = plan.summary;
+    const label = plan.complete ? "Planned" : "Partially planned";
+    const commits = `${plan.commits.length} ${
+      plan.commits.length === 1 ? "commit" : "commits"
+    }`;
+    DOM.syncPlanSummary.textContent = `${label} ${this.formatDate(
+      new Date(plan.createdAt)
+    )}: ${create} to create, ${update} to update, ${skip} unchanged, ${commits}`;
+
+    const labels = { create: "to create", update: "to update" };
+    const showRepository =
+      new Set(plan.files.map((file) => file.repository)).size > 1;
+
+    for (const [action, label] of Object.entries(labels)) {
+      const files = plan.files.filter((file) => file.action === action);
+      if (files.length === 0) {
+        continue;
+      }
+
+      const details = document.createElement("details");
+      const heading = document.createElement("summary");
+      heading.textContent = `${files.length} ${label}`;
+
+      const list = document.createElement("ul");
+      files.forEach((file) => {
+        const line = document.createElement("li");
+        line.textContent = showRepository
+          ? `${file.repository}: ${file.path}`
+          : file.path;
+        list.appendChild(line);
+      });
+
+      details.append(heading, list);
+      DOM.syncPlanFiles.appendChild(details);
+    }
+  }
+
+  /**
+   * Download the plan of the last dry run as a JSON report.
+   */
+  downloadSyncPlan() {
+    if (!this.syncPlan) {
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(this.syncPlan, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `leetcode-sync-plan-${this.syncPlan.createdAt.slice(
+      0,
+      10
+    )}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Show the drift found by the last verification, with a fix button per kind.
+   *
+   * @param {Object|null} report - Report stored by the background script
+   */
+  renderReconciliationReport(report) {
+    DOM.reconciliationReport.innerHTML = "";
+
+    if (!report) {
+      return;
+    }
+
+    DOM.verifyStatus.textContent = `Checked ${this.formatDate(
+      new Date(report.checkedAt)
+    )}`;
+
+    const kinds = {
+      missing: {
+        label: "missing",
+        action: "Push",
+        describe: (item) => `${item.title} (${item.lang})`,
+      },
+      stale: {
+        label: "outdated",
+        action: "Update",
+        describe: (item) => `${item.title} (${item.lang})`,
+      },
+      renamed: {
+        label: "renamed",
+        action: "Move",
+        describe: (item) => `${item.from} → ${item.to}`,
+      },
+      orphaned: {
+        label: "orphaned",
+        action: "Delete",
+        describe: (item) => item.path,
+      },
+    };
+
+    for (const entry of report.repositories) {
+      const section = document.createElement("div");
+      section.className = "reconciliation-repository";
+
+      const title = document.createElement("div");
+      title.className = "user-infos-item-label";
+      title.textContent = entry.repository;
+      section.appendChild(title);
+
+      const summary = document.createElement("div");
+      summary.className = "user-infos-item-value";
+      section.appendChild(summary);
+
+      if (entry.error) {
+        summary.textContent = entry.error;
+        summary.classList.add("reconciliation-error");
+      } else if (Object.keys(kinds).every((kind) => !entry[kind].length)) {
+        summary.textContent = "Up to date";
+      }
+
+      for (const [kind, { label, action, describe }] of Object.entries(kinds)) {
+        const items = entry[kind];
+        if (items.length === 0) {
+          continue;
+        }
+
+        const details = document.createElement("details");
+        const heading = document.createElement("summary");
+        heading.textContent = `${items.length} ${label}`;
+
+        const fixButton = document.createElement("button");
+        fixButton.type = "button";
+        fixButton.className = "primary-button";
+        fixButton.textContent = action;
+        fixButton.addEventListener("click", (event) => {
+          event.preventDefault();
+          this.repairRepository(
+            entry.repository,
+            kind,
+            items.length,
+            fixButton
+          );
+        });
+        heading.appendChild(fixButton);
+
+        const list = document.createElement("ul");
+        items.forEach((item) => {
+          const line = document.createElement("li");
+          line.textContent = describe(item);
+          list.appendChild(line);
+        });
+
+        details.append(heading, list);
+        section.appendChild(details);
+      }
+
+      DOM.reconciliationReport.appendChild(section);
+    }
+  }
+
+  /**
+   * Ask the background script to apply one kind of fix, in a single commit.
+   *
+   * @param {string} repository - Repository as "owner/name"
+   * @param {string} kind - "missing", "stale", "orphaned" or "renamed"
+   * @param {number} count - Number of reported items
+   * @param {HTMLButtonElement} button - Button disabled while the fix runs
+   */
+  repairRepository(repository, kind, count, button) {
+    const noun = count === 1 ? "file" : "files";
+    if (
+      kind === "orphaned" &&
+      !confirm(`Delete ${count} ${noun} from ${repository}?`)
+    ) {
+      return;
+    }
+
+    button.disabled = true;
+    chrome.runtime.sendMessage(
+      { type: "repairRepository", repository, kind },
+      (response) => {
+        button.disabled = false;
+
+        if (chrome.runtime.lastError || !response?.success) {
+          DOM.verifyStatus.textContent =
+            response?.error || "Could not repair the repository";
+          return;
+        }
+
+        this.renderReconciliationReport(response.report);
+      }
+    );
+  }
+
+  /**
+   * Show how many failed pushes wait for a retry, hidden when there are none.
+   *
+   * @param {Object} outbox - Queued pushes keyed by submission
+   */
+  renderOutbox(outbox) {
+    const entries = Object.values(outbox);
+    const latest = entries.reduce(
+      (newest, entry) =>
+        !newest || entry.queuedAt > newest.queuedAt ? entry : newest,
+      null
+    );
+
+    DOM.outboxItem.style.display = entries.length > 0 ? "flex" : "none";
+    DOM.outboxCount.textContent = entries.length;
+    DOM.outboxError.textContent = latest?.lastError || "";
+  }
+
+  /**
+   * Ask the background script to retry every queued push now.
+   */
+  retryOutbox() {
+    DOM.retryOutboxButton.disabled = true;
+    DOM.retryOutboxButton.textContent = "Retrying...";
+
+    chrome.runtime.sendMessage({ type: "retryOutbox" }, () => {
+      if (chrome.runtime.lastError) {
+        // Handle messaging errors gracefully
+      }
+
+      DOM.retryOutboxButton.disabled = false;
+      DOM.retryOutboxButton.textContent = "Retry now";
+      this.updateSyncStatus();
+    });
+  }
+
+  /**
+   * Load the progress and log of the current or last sync from Chrome storage.
+   * Lets a reopened popup show everything that happened while it was closed.
+   */
+  async loadSyncProgress() {
+    try {
+      const { leetcode_tracker_sync_progress, leetcode_tracker_sync_log } =
+        await chrome.storage.local.get([
+          "leetcode_tracker_sync_progress",
+          "leetcode_tracker_sync_log",
+        ]);
+
+      DOM.syncLog.innerHTML = "";
+      (leetcode_tracker_sync_log || []).forEach((entry) =>
+        this.appendSyncLogEntry(entry)
+      );
+      this.renderSyncProgress(leetcode_tracker_sync_progress);
+    } catch (error) {
+      // Handle progress loading errors silently
+    }
+  }
+
+  /**
+   * Render the sync progress bar, counters, ETA and pause/retry details.
+   *
+   * @param {Object} progress - Progress snapshot emitted by the background sync
+   */
+  renderSyncProgress(progress) {
+    if (!progress) return;
+
+    this.syncProgress = progress;
+    DOM.syncProgress.style.display = "block";
+
+    const { stats } = progress;
+    const percent =
+      stats.total > 0 ? Math.round((stats.processed / stats.total) * 100) : 0;
+    DOM.syncProgressBar.style.width = `${percent}%`;
+
+    let text = `${stats.processed} / ${stats.total} problems`;
+    if (stats.processed < stats.total && progress.etaSeconds !== null) {
+      text += ` · about ${this.formatDuration(progress.etaSeconds)} left`;
+    }
+    DOM.syncProgressText.textContent = text;
+
+    const pauseSeconds = progress.pauseUntil
+      ? Math.ceil((progress.pauseUntil - Date.now()) / 1000)
+      : 0;
+
+    if (pauseSeconds > 0) {
+      DOM.syncProgressDetail.textContent = `Rate limited, resuming in ${pauseSeconds}s`;
+    } else if (progress.currentSlug) {
+      DOM.syncProgressDetail.textContent = `Current: ${progress.currentSlug}`;
+    } else {
+      DOM.syncProgressDetail.textContent = "";
+    }
+
+    if (progress.retryCycle > 0) {
+      DOM.syncProgressDetail.textContent += ` (retry cycle ${progress.retryCycle}/${progress.maxRetries})`;
+    }
+  }
+
+  /**
+   * Ask the background script for the request budget of each host.
+   */
+  loadRateLimits() {
+    chrome.runtime.sendMessage({ type: "getRateLimits" }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        return;
+      }
+
+      this.renderRateLimits(response.budgets);
+    });
+  }
+
+  /**
+   * Show the request budget of each host requested since the browser started.
+   *
+   * @param {Array<Object>} budgets - Budgets with host, rate, concurrency,
+   *   announced limit, remaining, resetAt and pausedUntil
+   */
+  renderRateLimits(budgets) {
+    DOM.rateLimits.innerHTML = "";
+    DOM.rateLimits.style.display = budgets.length > 0 ? "block" : "none";
+
+    budgets.forEach((budget) => {
+      let text = `${budget.host}: ${budget.requestsPerSecond} req/s, ${budget.concurrency} parallel`;
+
+      if (budget.remaining !== null && budget.limit !== null) {
+        text += ` · ${budget.remaining}/${budget.limit} left`;
+        if (budget.resetAt) {
+          text += ` until ${new Date(budget.resetAt).toLocaleTimeString()}`;
+        }
+      }
+
+      const pauseSeconds = budget.pausedUntil
+        ? Math.ceil((budget.pausedUntil - Date.now()) / 1000)
+        : 0;
+      if (pauseSeconds > 0) {
+        text += ` · paused ${pauseSeconds}s`;
+      }
+
+      const line = document.createElement("li");
+      line.className = pauseSeconds > 0 ? "text-danger" : "text-muted";
+      line.textContent = text;
+      DOM.rateLimits.appendChild(line);
+    });
+  }
+
+  /**
+   * Append an entry to the scrolling sync log and keep it scrolled to the end.
+   *
+   * @param {Object} entry - Log entry with type, slug and message
+   */
+  appendSyncLogEntry(entry) {
+    const labels = {
+      started: "Started",
+      problem_synced: "Synced",
+      problem_skipped: "Up to date",
+      problem_failed: "Failed",
+      rate_limited: "Waiting",
+      paused: "Paused",
+      resumed: "Resumed",
+      cancelled: "Cancelled",
+      retry: "Retry",
+      committed: "Committed",
+      completed: "Finished",
+    };
+
+    const item = document.createElement("li");
+    item.className = `sync-log-${entry.type === "problem_failed" ? "failed" : "info"}`;
+    item.textContent = [labels[entry.type] || entry.type, entry.slug, entry.message]
+      .filter(Boolean)
+      .join(" · ");
+
+    DOM.syncLog.appendChild(item);
+    DOM.syncLog.scrollTop = DOM.syncLog.scrollHeight;
+  }
+
+  /**
+   * Format a duration in seconds into a short human-readable string.
+   *
+   * @param {number} seconds - Duration in seconds
+   * @returns {string} Duration such as "45s", "3 min" or "1 h 20 min"
+   */
+  formatDuration(seconds) {
+    if (seconds < 60) {
+      return `${seconds}s`;
+    } else if (seconds < 3600) {
+      return `${Math.round(seconds / 60)} min`;
+    }
+
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.round((seconds % 3600) / 60);
+    return `${hours} h ${minutes} min`;
+  }
+
   /**
    * Format a date object into a human-readable relative time string.
    * Provides intuitive time descriptions (e.g., "2 minutes ago", "Just now").
@@ -276,6 +1393,7 @@ class PopupManager {
 
     if (!result.leetcode_tracker_token || !result.leetcode_tracker_username) {
       DOM.authenticate.style.display = "block";
+      this.loadAuthFlow();
     } else if (!result.leetcode_tracker_repo || !result.leetcode_tracker_mode) {
       DOM.hookRepo.style.display = "block";
     } else {
@@ -291,7 +1409,14 @@ class PopupManager {
    */
   async logout() {
     try {
+      // The repository server is a machine setting, not part of the account
+      const hostSettings = await chrome.storage.local.get([
+        "leetcode_tracker_provider",
+        "leetcode_tracker_host",
+        "leetcode_tracker_github_client_id",
+      ]);
       await chrome.storage.local.clear();
+      await chrome.storage.local.set(hostSettings);
 
       DOM.authenticate.style.display = "block";
       DOM.hookRepo.style.display = "none";
@@ -306,29 +1431,34 @@ class PopupManager {
    * Constructs the repository link for easy access to the GitHub repository.
    */
   async updateUserInfos() {
-    const { leetcode_tracker_repo, leetcode_tracker_username } =
-      await chrome.storage.local.get([
-        "leetcode_tracker_repo",
-        "leetcode_tracker_username",
-      ]);
+    const {
+      leetcode_tracker_repo,
+      leetcode_tracker_username,
+      leetcode_tracker_token_expires_at,
+    } = await chrome.storage.local.get([
+      "leetcode_tracker_repo",
+      "leetcode_tracker_username",
+      "leetcode_tracker_token_expires_at",
+    ]);
+    const dataConfig = await this.getDataConfig().catch(() => null);
+    const webUrl = dataConfig?.WEB_URL || "https://github.com/";
 
     if (leetcode_tracker_username) {
       DOM.githubUsername.textContent = leetcode_tracker_username;
     }
 
-    if (leetcode_tracker_repo) {
-      // Check if repo is stored as "username/repo" format
-      const parsedRepo = this.parseRepositoryString(leetcode_tracker_repo);
+    this.renderTokenExpiry(leetcode_tracker_token_expires_at);
 
-      if (parsedRepo) {
-        // New format: username/repo
-        DOM.repositoryName.textContent = `/${leetcode_tracker_repo}`;
-        DOM.repositoryLink.href = `https://github.com/${leetcode_tracker_repo}`;
-      } else if (leetcode_tracker_username) {
-        // Legacy format: just repo name (fallback for existing users)
-        DOM.repositoryName.textContent = `/${leetcode_tracker_username}/${leetcode_tracker_repo}`;
-        DOM.repositoryLink.href = `https://github.com/${leetcode_tracker_username}/${leetcode_tracker_repo}`;
-      }
+    // Legacy settings only hold the name of a repository of the signed-in user
+    const parsedRepo = RepositoryUtils.parseRepositoryString(
+      leetcode_tracker_repo,
+      leetcode_tracker_username
+    );
+
+    if (parsedRepo?.username) {
+      const repository = RepositoryUtils.formatRepository(parsedRepo);
+      DOM.repositoryName.textContent = `/${repository}`;
+      DOM.repositoryLink.href = `${webUrl}${repository}`;
     }
   }
 
@@ -408,86 +1538,239 @@ class PopupManager {
   }
 
   /**
-   * Handle GitHub authentication by opening OAuth flow in new tab.
-   * Constructs proper OAuth URL with required parameters and scopes.
+   * Start the GitHub device flow sign-in.
+   * The background script requests a code the user enters on GitHub and
+   * keeps polling for the token while the popup is closed.
    */
   async handleAuthentication() {
-    try {
-      const data = await new Promise((resolve, reject) => {
-        chrome.runtime.sendMessage({ type: "getDataConfig" }, (response) => {
-          if (chrome.runtime.lastError) {
-            reject(new Error(chrome.runtime.lastError.message));
-          } else {
-            resolve(response);
-          }
-        });
-      });
+    DOM.authenticateButton.disabled = true;
+    DOM.authError.textContent = "";
+
+    chrome.runtime.sendMessage({ type: "startAuth" }, (response) => {
+      DOM.authenticateButton.disabled = false;
+
+      if (chrome.runtime.lastError || !response?.success) {
+        DOM.authError.textContent =
+          response?.error || "Could not start the GitHub sign-in";
+        return;
+      }
+
+      this.renderAuthFlow(response.flow);
+    });
+  }
+
+  /**
+   * Show the sign-in that is running or failed while the popup was closed.
+   */
+  loadAuthFlow() {
+    chrome.runtime.sendMessage({ type: "getAuthFlow" }, (response) => {
+      if (chrome.runtime.lastError) {
+        // Handle messaging errors gracefully
+        return;
+      }
+
+      this.renderAuthFlow(response?.flow);
+    });
+  }
+
+  /**
+   * Render the state of the device flow sign-in.
+   *
+   * @param {Object|null} flow - Flow with status, userCode, verificationUri and error
+   */
+  renderAuthFlow(flow) {
+    this.authFlow = flow;
+
+    DOM.deviceAuth.style.display = flow?.status === "pending" ? "block" : "none";
+    DOM.authenticateButton.style.display =
+      flow?.status === "pending" ? "none" : "";
+    DOM.authError.textContent = flow?.status === "failed" ? flow.error : "";
+
+    if (flow?.status === "pending") {
+      DOM.deviceUserCode.textContent = flow.userCode;
+    } else if (flow?.status === "success") {
+      DOM.authenticate.style.display = "none";
+      DOM.hookRepo.style.display = "block";
+      this.updateUserInfos();
+    }
+  }
+
+  /**
+   * Copy the user code and open GitHub's device verification page.
+   */
+  async openVerificationPage() {
+    if (!this.authFlow) {
+      return;
+    }
 
-      const url = `${data.URL}?client_id=${data.CLIENT_ID}&redirect_uri${
-        data.REDIRECT_URL
-      }&scope=${data.SCOPES.join(" ")}`;
-      chrome.tabs.create({ url, active: true });
+    try {
+      await navigator.clipboard.writeText(this.authFlow.userCode);
     } catch (error) {
-      // Handle authentication errors gracefully
+      // The code stays visible for manual entry
     }
+
+    chrome.tabs.create({ url: this.authFlow.verificationUri, active: true });
   }
 
   /**
-   * Parse a repository string (username/repo) to extract components.
-   * @param {string} repoString - Repository string in format "username/repo"
-   * @returns {Object} Object with username and repositoryName, or null if invalid
+   * Abandon the running sign-in.
    */
-  parseRepositoryString(repoString) {
-    if (!repoString || !repoString.includes('/')) {
-      return null;
+  cancelAuthentication() {
+    chrome.runtime.sendMessage({ type: "cancelAuth" }, () => {
+      if (chrome.runtime.lastError) {
+        // Handle messaging errors gracefully
+      }
+
+      this.renderAuthFlow(null);
+    });
+  }
+
+  /**
+   * Show the sign-in options of the selected provider.
+   * Only GitHub offers the device flow and needs an OAuth client ID.
+   *
+   * @param {string} provider - Provider type: "github", "gitlab" or "gitea"
+   */
+  renderProviderSetting(provider) {
+    const isGitHub = provider === "github";
+
+    DOM.githubAuthenticateContainer.style.display = isGitHub ? "" : "none";
+    DOM.githubClientIdInput.style.display = isGitHub ? "" : "none";
+    DOM.tokenAuthDescription.textContent = isGitHub
+      ? "Or sign in with a fine-grained personal access token allowed to read and write the contents of your repository."
+      : "Sign in with an access token allowed to read and write your repository.";
+    DOM.serverHostInput.placeholder =
+      provider === "gitea" ? "Ex: gitea.example.com" : "Ex: git.example.com";
+  }
+
+  /**
+   * Select the repository provider and its server.
+   * The host permission is requested first, while the click still counts as a user gesture.
+   */
+  async saveServerSettings() {
+    const provider = DOM.providerSelect.value;
+    const host = DOM.serverHostInput.value
+      .trim()
+      .toLowerCase()
+      .replace(/^https?:\/\//, "")
+      .replace(/\/.*$/, "");
+    // gitlab.com is not a required host permission either
+    const serverHost = host || (provider === "gitlab" ? "gitlab.com" : "");
+    DOM.serverStatus.className = "";
+    DOM.serverStatus.textContent = "";
+
+    if (serverHost && serverHost !== "github.com") {
+      const granted = await chrome.permissions
+        .request({ origins: [`https://${serverHost.replace(/:\d+$/, "")}/*`] })
+        .catch(() => false);
+
+      if (!granted) {
+        DOM.serverStatus.className = "text-danger";
+        DOM.serverStatus.textContent = `Access to ${serverHost} was not granted`;
+        return;
+      }
     }
 
-    const [username, repositoryName] = repoString.split('/');
-    return {
-      username: username.trim(),
-      repositoryName: repositoryName.trim()
-    };
+    chrome.runtime.sendMessage(
+      {
+        type: "saveServerSettings",
+        provider,
+        host,
+        clientId: DOM.githubClientIdInput.value,
+      },
+      (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          DOM.serverStatus.className = "text-danger";
+          DOM.serverStatus.textContent =
+            response?.error || "Could not save the server";
+          return;
+        }
+
+        DOM.serverHostInput.value = response.host;
+        DOM.serverStatus.className = "text-success";
+        DOM.serverStatus.textContent = `Using ${
+          response.host || (provider === "gitlab" ? "gitlab.com" : "github.com")
+        }`;
+        this.renderAuthFlow(null);
+      }
+    );
   }
 
   /**
-   * Parse GitHub repository URL to extract username and repository name.
-   * @param {string} input - GitHub URL or repository name
-   * @returns {Object} Object with username and repositoryName, or null if invalid
+   * Sign in with a personal access token.
+   * The background script checks the token can write to the repository before storing it.
    */
-  parseGitHubRepository(input) {
-    if (!input || !input.trim()) {
-      return null;
+  handleTokenSignIn() {
+    const token = DOM.tokenInput.value.trim();
+    const parsedRepo = RepositoryUtils.parseRepositoryInput(DOM.tokenRepoInput.value);
+    DOM.tokenError.textContent = "";
+
+    if (!token) {
+      DOM.tokenError.textContent = "Please paste a personal access token";
+      return;
+    }
+
+    if (!parsedRepo) {
+      DOM.tokenError.textContent = "Please enter a repository URL or name";
+      return;
     }
 
-    const trimmedInput = input.trim();
+    DOM.tokenSignInButton.disabled = true;
+    DOM.tokenSignInButton.textContent = "Checking token...";
+
+    chrome.runtime.sendMessage(
+      {
+        type: "signInWithToken",
+        token,
+        owner: parsedRepo.username,
+        repositoryName: parsedRepo.repositoryName,
+      },
+      (response) => {
+        DOM.tokenSignInButton.disabled = false;
+        DOM.tokenSignInButton.textContent = "Sign in with token";
+
+        if (chrome.runtime.lastError || !response?.success) {
+          DOM.tokenError.textContent =
+            response?.error || "Could not check the token";
+          return;
+        }
+
+        DOM.tokenInput.value = "";
+        DOM.authenticate.style.display = "none";
+        DOM.authenticated.style.display = "block";
+        this.updateUserInfos();
+      }
+    );
+  }
 
-    // Check if it's a GitHub URL
-    const githubUrlPattern = /^https?:\/\/github\.com\/([^\/]+)\/([^\/]+)\/?$/;
-    const match = trimmedInput.match(githubUrlPattern);
+  /**
+   * Show when a personal access token expires, highlighted once it is close.
+   *
+   * @param {string|null} expiresAt - ISO expiration date, null for tokens that do not expire
+   */
+  renderTokenExpiry(expiresAt) {
+    DOM.tokenExpiry.classList.remove("token-expiry-warning");
 
-    if (match) {
-      return {
-        username: match[1],
-        repositoryName: match[2]
-      };
+    if (!expiresAt) {
+      DOM.tokenExpiry.textContent = "";
+      return;
     }
 
-    // Check if it's a slug format like "username/repo"
-    const slugPattern = /^([^\/]+)\/([^\/]+)$/;
-    const slugMatch = trimmedInput.match(slugPattern);
+    const expiry = new Date(expiresAt);
+    const daysLeft = (expiry.getTime() - Date.now()) / (24 * 60 * 60 * 1000);
+    const formattedDate = expiry.toLocaleDateString();
 
-    if (slugMatch) {
-      return {
-        username: slugMatch[1],
-        repositoryName: slugMatch[2]
-      };
+    if (daysLeft <= 0) {
+      DOM.tokenExpiry.textContent = `Token expired on ${formattedDate}, sign in again with a new one`;
+    } else if (daysLeft <= TOKEN_EXPIRY_WARNING_DAYS) {
+      DOM.tokenExpiry.textContent = `Token expires on ${formattedDate}, renew it soon`;
+    } else {
+      DOM.tokenExpiry.textContent = `Token expires on ${formattedDate}`;
     }
 
-    // Fallback: assume it's just a repository name for the current user
-    return {
-      username: null, // Will use current user's username
-      repositoryName: trimmedInput
-    };
+    if (daysLeft <= TOKEN_EXPIRY_WARNING_DAYS) {
+      DOM.tokenExpiry.classList.add("token-expiry-warning");
+    }
   }
 
   /**
@@ -503,7 +1786,7 @@ class PopupManager {
       return;
     }
 
-    const parsedRepo = this.parseGitHubRepository(repositoryInput);
+    const parsedRepo = RepositoryUtils.parseRepositoryInput(repositoryInput);
 
     if (!parsedRepo) {
       DOM.repoNameError.textContent = "Please enter a valid GitHub repository URL or name";
@@ -530,66 +1813,95 @@ class PopupManager {
   }
 
   /**
-   * Link and validate a GitHub repository for synchronization.
-   * Verifies repository exists and user has appropriate access permissions.
-   *
-   * Algorithm:
-   * 1. Extract authentication data and repository name
-   * 2. Get API configuration from background script
-   * 3. Make authenticated request to GitHub API to verify repository
-   * 4. Handle authentication errors by logging out user
-   * 5. Store repository configuration on successful validation
-   * 6. Update UI to show authenticated state
+   * Link and validate a repository for synchronization.
+   * The background script checks the signed-in token can push to it.
    *
    * @param {Object} githubAuthData - Authentication data with token and username
    * @param {string} repositoryName - Name of repository to link
    * @param {string} targetUsername - Username of the repository owner (may differ from authenticated user)
    */
   async linkRepo(githubAuthData, repositoryName, targetUsername) {
-    const { leetcode_tracker_token, leetcode_tracker_username } =
-      githubAuthData;
-    const dataConfig = await new Promise((resolve, reject) => {
-      chrome.runtime.sendMessage({ type: "getDataConfig" }, (response) => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve(response);
-        }
-      });
-    });
+    chrome.runtime.sendMessage(
+      {
+        type: "linkRepository",
+        owner: targetUsername,
+        repositoryName,
+      },
+      (response) => {
+        if (chrome.runtime.lastError || !response?.success) {
+          if (response?.unauthorized) {
+            this.logout();
+          }
 
-    try {
-      const response = await fetch(
-        `${dataConfig.REPOSITORY_URL}${targetUsername}/${repositoryName}`,
-        {
-          method: "GET",
-          headers: {
-            ...dataConfig.HEADERS,
-            Authorization: `token ${leetcode_tracker_token}`,
-          },
+          DOM.repoNameError.textContent =
+            response?.error || "Could not link the repository";
+          return;
         }
-      );
 
-      const result = await response.json();
+        DOM.hookRepo.style.display = "none";
+        DOM.authenticated.style.display = "block";
+      }
+    );
+  }
+
+  /**
+   * Create a new repository seeded for the chosen layout, and link it.
+   * The background script creates it with the signed-in token.
+   */
+  handleCreateRepo() {
+    const name = DOM.createRepoNameInput.value.trim();
+    DOM.createRepoError.textContent = "";
+
+    if (!name) {
+      DOM.createRepoError.textContent = "Please enter a repository name";
+      return;
+    }
+
+    DOM.createRepoButton.disabled = true;
+    chrome.runtime.sendMessage(
+      {
+        type: "createRepository",
+        name,
+        owner: DOM.createRepoOwnerInput.value.trim(),
+        isPrivate: DOM.createRepoVisibilitySelect.value === "private",
+        template: DOM.createRepoLayoutSelect.value,
+      },
+      (response) => {
+        DOM.createRepoButton.disabled = false;
+
+        if (chrome.runtime.lastError || !response?.success) {
+          if (response?.unauthorized) {
+            this.logout();
+          }
 
-      if (!response.ok) {
-        if (response.status === 401) {
-          this.logout();
+          DOM.createRepoError.textContent =
+            response?.error || "Could not create the repository";
+          return;
         }
 
-        throw new Error(result.message);
+        DOM.hookRepo.style.display = "none";
+        DOM.authenticated.style.display = "block";
+        this.loadLayoutSetting();
+        this.updateUserInfos();
       }
+    );
+  }
 
-      await chrome.storage.local.set({
-        leetcode_tracker_mode: "commit",
-        leetcode_tracker_repo: `${targetUsername}/${repositoryName}`,
+  /**
+   * Get the endpoints of the configured provider from the background script.
+   *
+   * @returns {Promise<Object>} Data configuration with WEB_URL
+   */
+  getDataConfig() {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage({ type: "getDataConfig" }, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else {
+          resolve(response);
+        }
       });
-
-      DOM.hookRepo.style.display = "none";
-      DOM.authenticated.style.display = "block";
-    } catch (error) {
-      DOM.repoNameError.textContent = error.message;
-    }
+    });
   }
 
   /**
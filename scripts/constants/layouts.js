@@ -0,0 +1,32 @@
+// Layout used before templates existed: python3/0001 two-sum.py
+export const DEFAULT_LAYOUT_TEMPLATE = "{lang}/{id} {slug}{ext}";
+
+export const layoutPresets = {
+  language: {
+    label: "Language folders",
+    template: DEFAULT_LAYOUT_TEMPLATE,
+  },
+  difficulty: {
+    label: "Difficulty folders, folder per problem",
+    template: "{difficulty}/{id}-{slug}/solution{ext}",
+  },
+  topic: {
+    label: "Topic folders",
+    template: "topics/{firstTag}/{id}-{slug}{ext}",
+  },
+  problem: {
+    label: "Folder per problem",
+    template: "{id}-{slug}/{lang}{ext}",
+  },
+};
+
+// Regular expression fragment each placeholder matches when scanning the repository
+export const layoutPlaceholders = {
+  id: "\\d+", // Zero-padded to 4 digits when rendered
+  slug: "[a-z0-9]+(?:-[a-z0-9]+)*",
+  lang: "[a-z0-9]+",
+  ext: "\\.[A-Za-z0-9]+",
+  difficulty: "[a-z]+",
+  firstTag: "[^/]+",
+  version: "(?:_\\d{8}_\\d{6})?", // Submission time in history "files" mode
+};
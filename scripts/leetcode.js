@@ -1,6 +1,6 @@
   import Problem from "/scripts/models/problem.js";
   import RouteService from "/scripts/services/route-service.js";
-  import GithubService from "/scripts/services/github-service.js";
+  import ConfigurationService from "/scripts/services/configuration-service.js";
 
   /**
    * Main controller class for the LeetCode Tracker extension.
@@ -9,11 +9,12 @@
   export default class LeetcodeTracker {
     /**
      * Initialize the LeetCode Tracker with required services and route monitoring.
-     * Sets up problem model, GitHub service, and route change detection.
+     * Sets up problem model and route change detection.
+     * GitHub writes happen in the background worker, which holds the token.
      */
     constructor() {
       this.problem = new Problem();
-      this.githubService = new GithubService();
+      this.configurationService = new ConfigurationService();
       this.route = new RouteService(() => this.init());
       this.setupMessageListener();
       this.setupUrlChangeDetection();
@@ -128,9 +129,6 @@
           timestamp: new Date().toISOString()
         });
 
-        // Comments are always disabled
-        const userComment = "";
-
         // Extract submission stats using the API approach
         try {
           await this.problem.extractSubmissionStatsFromURL();
@@ -146,8 +144,11 @@
           return;
         }
 
+        // Only accepted submissions are worth annotating
+        const userComment = await this.getUserComment();
+
         try {
-          await this.githubService.submitToGitHub(this.problem, userComment);
+          await this.pushSubmission(userComment);
           console.log('🚀 LeetCode Tracker: Successfully pushed to GitHub!', {
             problemSlug: this.problem.slug,
             problemId: this.problem.id,
@@ -163,7 +164,9 @@
         } catch (error) {
           const message = (error && error.message) ? error.message.split("\n")[0].slice(0, 140) : "Unknown error";
           this.showToast(
-            `Problem ${this.problem.slug || ""} sync failed: ${message}`,
+            error.queued
+              ? `Problem ${this.problem.slug || ""} sync failed: ${message}. It will be retried automatically`
+              : `Problem ${this.problem.slug || ""} sync failed: ${message}`,
             "error"
           );
         }
@@ -173,6 +176,47 @@
     }
 
 
+    /**
+     * Ask the background worker to push the current problem to GitHub.
+     * The push goes on even if the tab is closed before it finishes.
+     *
+     * @param {string} comment - Solution notes entered for the submission
+     * @returns {Promise<Object>} Background response, with skipped set for unchanged solutions
+     * @throws {Error} If the push failed, with queued set when it will be retried
+     */
+    async pushSubmission(comment) {
+      const response = await chrome.runtime.sendMessage({
+        type: "pushSubmission",
+        problem: this.problem.serialize(),
+        comment,
+      });
+
+      if (!response?.success) {
+        const error = new Error(response?.error || "No response from the extension");
+        error.queued = response?.queued === true;
+        throw error;
+      }
+
+      return response;
+    }
+
+    /**
+     * Ask the user for solution notes when the notes setting is enabled.
+     *
+     * @returns {Promise<string>} Markdown notes, empty if disabled or skipped
+     */
+    async getUserComment() {
+      const config = await this.configurationService.getChromeStorageConfig([
+        "leetcode_tracker_comment_submission",
+      ]);
+
+      if (!config.leetcode_tracker_comment_submission) {
+        return "";
+      }
+
+      return this.showCommentPopup();
+    }
+
     /**
      * Display a transient toast notification on the LeetCode page.
      * Creates container & styles once, then appends individual toasts.
@@ -330,7 +374,7 @@
         // Create instruction text
         const instruction = document.createElement("p");
         instruction.textContent =
-          "Add notes about your solution approach, time complexity, etc.";
+          "Add notes about your solution approach, time complexity, etc. Markdown is supported.";
         instruction.style.cssText = `
           color: #525252;
           font-size: 14px;
@@ -355,7 +399,7 @@
           background-color: #F5F5F5;
         `;
         textarea.placeholder =
-          "Example: This solution uses a stack to keep track of...";
+          "Example: This solution uses a stack to keep track of...\n\n- Time: O(n)\n- Space: O(n)";
 
         // Create visual separator
         const separator = document.createElement("div");
@@ -472,9 +516,6 @@
       try {
         this.problem.loadProblemFromURL();
 
-        // Comments are always disabled
-        const userComment = "";
-
         // Extract submission stats using the API approach
         try {
           await this.problem.extractSubmissionStatsFromURL();
@@ -484,7 +525,9 @@
           throw new Error('Must be on a submission page to use manual push');
         }
 
-        await this.githubService.submitToGitHub(this.problem, userComment);
+        const userComment = await this.getUserComment();
+
+        await this.pushSubmission(userComment);
         console.log('🚀 LeetCode Tracker: Successfully pushed to GitHub (manual)!', {
           problemSlug: this.problem.slug,
           problemId: this.problem.id,
@@ -500,7 +543,9 @@
       } catch (error) {
         const message = (error && error.message) ? error.message.split("\n")[0].slice(0, 140) : "Unknown error";
         this.showToast(
-          `Problem ${this.problem.slug || ""} push failed: ${message}`,
+          error.queued
+            ? `Problem ${this.problem.slug || ""} push failed: ${message}. It will be retried automatically`
+            : `Problem ${this.problem.slug || ""} push failed: ${message}`,
           "error"
         );
       }
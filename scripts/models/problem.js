@@ -3,6 +3,7 @@ import LanguageUtils from "../utils/language-utils.js";
 export default class Problem {
   constructor() {
     this.slug = "";
+    this.title = "";
     this.difficulty = "";
     this.problemUrl = "";
     this.code = "";
@@ -15,6 +16,58 @@ export default class Problem {
     this.submissionId = "";
     this.apiData = null;
     this.topicTags = [];
+    this.notes = ""; // Note saved on the submission in LeetCode
+    this.question = null; // Statement details, loaded when exporting statements
+  }
+
+  /**
+   * Convert the problem to plain data that can be stored or sent as a message.
+   * Browser-only state such as the raw API response is left out.
+   * @returns {Object} Serializable problem data
+   */
+  serialize() {
+    const { apiData, question, ...data } = this;
+    return {
+      ...data,
+      submissionDate: this.submissionDate.toISOString(),
+    };
+  }
+
+  /**
+   * Rebuild a problem from data produced by serialize.
+   * @param {Object} data - Serialized problem data
+   * @returns {Problem} Problem ready to be pushed
+   */
+  static deserialize(data) {
+    const problem = Object.assign(new Problem(), data);
+    problem.submissionDate = new Date(data.submissionDate);
+    return problem;
+  }
+
+  /**
+   * Build a problem from an accepted submission fetched by LeetCodeService.
+   * @param {Object} submission - Submission from getSubmissionsByLanguage or getSubmissionHistory
+   * @param {Object} question - Question title and difficulty ("Easy", "Medium" or "Hard")
+   * @returns {Problem} Problem ready to be pushed
+   */
+  static fromSubmission(submission, { title, difficulty }) {
+    const problem = new Problem();
+    problem.id = submission.questionId.toString();
+    problem.slug = submission.titleSlug;
+    problem.title = title;
+    problem.problemUrl = `/problems/${submission.titleSlug}/`;
+    problem.difficulty = difficulty;
+    problem.language = LanguageUtils.getLanguageInfo(submission.lang);
+    problem.code = submission.code;
+    problem.topicTags = submission.topicTags;
+    problem.submissionId = submission.submissionId;
+    problem.submissionDate = new Date(submission.timestamp * 1000);
+    problem.runtime = submission.runtime;
+    problem.memory = submission.memory;
+    problem.runtimePercentile = submission.runtimePercentile;
+    problem.memoryPercentile = submission.memoryPercentile;
+    problem.notes = submission.notes;
+    return problem;
   }
 
   loadProblemFromURL() {
@@ -179,13 +232,16 @@ export default class Problem {
                 code
                 timestamp
                 statusCode
+                notes
                 lang {
                   name
                   verboseName
                 }
                 question {
                   questionId
+                  title
                   titleSlug
+                  difficulty
                 }
                 topicTags {
                   tagId
@@ -233,7 +289,10 @@ export default class Problem {
         pretty_lang: details.lang.verboseName,
         submission_id: submissionId,
         question_id: details.question.questionId,
+        difficulty: details.question.difficulty,
+        title: details.question.title,
         topic_tags: details.topicTags,
+        notes: details.notes || "",
         finished: true,
         state: 'SUCCESS'
       };
@@ -306,6 +365,19 @@ export default class Problem {
           console.log('🔍 LeetCode Tracker: Extracted problem ID from submission API:', this.id);
         }
 
+        if (apiData.title) {
+          this.title = apiData.title;
+        }
+
+        // Difficulty is used by layouts grouping solutions by difficulty
+        if (apiData.difficulty) {
+          this.difficulty = apiData.difficulty;
+        }
+
+        if (apiData.notes) {
+          this.notes = apiData.notes;
+        }
+
         // Extract topic tags if available
         if (apiData.topic_tags && Array.isArray(apiData.topic_tags)) {
           this.topicTags = apiData.topic_tags;
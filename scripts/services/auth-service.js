@@ -0,0 +1,398 @@
+import ConfigurationService from "./configuration-service.js";
+import ProviderFactory from "./providers/provider-factory.js";
+
+const AUTH_FLOW_STORAGE_KEY = "leetcode_tracker_auth_flow";
+const DEVICE_GRANT_TYPE = "urn:ietf:params:oauth:grant-type:device_code";
+
+/**
+ * Service signing the user in to GitHub, either with the OAuth device flow or
+ * with a fine-grained personal access token for accounts where OAuth apps are blocked.
+ * GitLab and Gitea servers are signed in to with an access token only.
+ * The device flow only needs the public client ID, so no client secret ships
+ * with the extension and no GitHub page has to be scraped for a code.
+ *
+ * The running flow is persisted so a popup reopened after visiting GitHub,
+ * or a restarted service worker, picks it up where it was.
+ *
+ * Stored shape:
+ * {
+ *   id: "k2j4h5", // Identifies the flow, polls of a replaced flow stop
+ *   status: "pending", // pending, failed
+ *   userCode: "WDJB-MJHT",
+ *   verificationUri: "https://github.com/login/device",
+ *   deviceCode: "3584d83...",
+ *   interval: 5, // Seconds between token requests
+ *   expiresAt: 1700000900000, // Epoch milliseconds
+ *   error: null
+ * }
+ */
+export default class AuthService {
+  /**
+   * @param {Object} env - Environment configuration with the OAuth endpoints and client ID
+   */
+  constructor(env) {
+    this.env = env;
+    this.configurationService = new ConfigurationService();
+    this.progressListener = null;
+  }
+
+  /**
+   * Get the endpoints of the configured GitHub host.
+   *
+   * @returns {Promise<Object>} Environment configuration for github.com or the Enterprise Server
+   */
+  getConfig() {
+    return this.configurationService.getGitHubConfig(this.env);
+  }
+
+  /**
+   * Register a callback receiving the public state of the flow on every change.
+   *
+   * @param {Function} listener - Called with the flow, without its device code
+   */
+  setProgressListener(listener) {
+    this.progressListener = listener;
+  }
+
+  /**
+   * Start a new sign-in, replacing any flow still running.
+   *
+   * Algorithm:
+   * 1. Request a device and user code from GitHub
+   * 2. Persist the flow under a new ID
+   * 3. Poll the token endpoint in the background until the user approves,
+   *    denies or the code expires
+   *
+   * @returns {Promise<Object>} Public flow state with the code the user enters on GitHub
+   * @throws {Error} If the provider is not GitHub or GitHub refuses to start the flow
+   */
+  async startDeviceFlow() {
+    const { provider } = await this.configurationService.getServerSettings();
+    if (provider !== "github") {
+      throw new Error(
+        "Device sign-in is only available for GitHub, sign in with an access token"
+      );
+    }
+
+    const config = await this.getConfig();
+    const response = await fetch(config.DEVICE_CODE_URL, {
+      method: "POST",
+      headers: config.HEADER,
+      body: JSON.stringify({
+        client_id: config.CLIENT_ID,
+        scope: config.SCOPES.join(" "),
+      }),
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || data.error) {
+      throw new Error(
+        data.error_description ||
+          data.error ||
+          `GitHub refused the sign-in request: ${response.status}`
+      );
+    }
+
+    const flow = {
+      id: Math.random().toString(36).substr(2, 9),
+      status: "pending",
+      userCode: data.user_code,
+      verificationUri: data.verification_uri,
+      deviceCode: data.device_code,
+      interval: data.interval || 5,
+      expiresAt: Date.now() + data.expires_in * 1000,
+      error: null,
+    };
+
+    await this.saveFlow(flow);
+    this.pollForToken(flow);
+
+    return this.toPublicFlow(flow);
+  }
+
+  /**
+   * Resume polling for a flow left pending by a stopped service worker.
+   */
+  async resumePendingFlow() {
+    const flow = await this.loadFlow();
+
+    if (flow?.status === "pending") {
+      this.pollForToken(flow);
+    }
+  }
+
+  /**
+   * Poll the token endpoint until the flow completes.
+   * Stops as soon as the stored flow is no longer this one, so a cancelled or
+   * restarted sign-in never saves a token.
+   *
+   * @param {Object} flow - Flow to complete
+   */
+  async pollForToken(flow) {
+    let interval = flow.interval;
+    let token = null;
+
+    while (!token) {
+      await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+
+      const current = await this.loadFlow();
+      if (current?.id !== flow.id || current.status !== "pending") {
+        return;
+      }
+
+      if (Date.now() > flow.expiresAt) {
+        await this.failFlow(flow, "The code expired, start the sign-in again");
+        return;
+      }
+
+      try {
+        const data = await this.requestToken(flow.deviceCode);
+
+        if (data.error === "authorization_pending") {
+          continue;
+        }
+
+        if (data.error === "slow_down") {
+          interval = data.interval || interval + 5;
+          continue;
+        }
+
+        if (data.error) {
+          await this.failFlow(flow, this.getErrorMessage(data));
+          return;
+        }
+
+        token = data.access_token;
+      } catch (error) {
+        // Network errors are retried until the code expires
+        console.error("Error polling the GitHub token: ", error);
+      }
+    }
+
+    // The flow may have been cancelled while the token was requested
+    if ((await this.loadFlow())?.id !== flow.id) {
+      return;
+    }
+
+    // Saved right away, the device code cannot be exchanged a second time
+    await chrome.storage.local.set({
+      leetcode_tracker_token: token,
+      leetcode_tracker_auth_method: "oauth",
+    });
+    // Until its user is read, the token is not paired with a previous user
+    await chrome.storage.local.remove("leetcode_tracker_username");
+    await this.completeFlow(flow, token);
+  }
+
+  /**
+   * Read the user of the token issued by the device flow and end the flow.
+   * A failed lookup removes the token and fails the flow instead of polling again.
+   *
+   * @param {Object} flow - Flow the token was issued for
+   * @param {string} token - Access token already saved
+   */
+  async completeFlow(flow, token) {
+    try {
+      const username = await this.getUsername(token);
+
+      await chrome.storage.local.set({ leetcode_tracker_username: username });
+      await chrome.storage.local.remove(AUTH_FLOW_STORAGE_KEY);
+      this.notify({ ...this.toPublicFlow(flow), status: "success" });
+    } catch (error) {
+      console.error("Error reading the GitHub user: ", error);
+
+      // A token without its user would block server changes until signed in again
+      await chrome.storage.local.remove([
+        "leetcode_tracker_token",
+        "leetcode_tracker_auth_method",
+      ]);
+      await this.failFlow(
+        flow,
+        "Signed in, but the GitHub user could not be read, start the sign-in again"
+      );
+    }
+  }
+
+  /**
+   * Sign in with a personal access token after checking it can push solutions.
+   * The token is only stored once every check passed.
+   *
+   * Algorithm:
+   * 1. Read the token's user and expiration date from the configured provider
+   * 2. Check the token can see the target repository and write to it
+   * 3. Store the token, user, repository and expiration date
+   *
+   * @param {string} token - Personal access token
+   * @param {string|null} owner - Repository owner, the token's user when null
+   * @param {string} repositoryName - Repository receiving the solutions
+   * @returns {Promise<Object>} Username, repository and expiration date (ISO string or null)
+   * @throws {Error} If the token is rejected or lacks a required permission
+   */
+  async signInWithToken(token, owner, repositoryName) {
+    const user = await (
+      await ProviderFactory.createFromStorage({ token }, this.env)
+    ).getUser();
+    const repository = `${owner || user.login}/${repositoryName}`;
+
+    await (
+      await ProviderFactory.createFromStorage(
+        { token, repository, username: user.login },
+        this.env
+      )
+    ).checkAccess();
+
+    await chrome.storage.local.remove(AUTH_FLOW_STORAGE_KEY);
+    await chrome.storage.local.set({
+      leetcode_tracker_token: token,
+      leetcode_tracker_username: user.login,
+      leetcode_tracker_auth_method: "pat",
+      leetcode_tracker_token_expires_at: user.tokenExpiresAt,
+      leetcode_tracker_repo: repository,
+      leetcode_tracker_mode: "commit",
+    });
+
+    return {
+      username: user.login,
+      repository,
+      expiresAt: user.tokenExpiresAt,
+    };
+  }
+
+  /**
+   * Exchange the device code for an access token.
+   *
+   * @param {string} deviceCode - Device code of the flow
+   * @returns {Promise<Object>} Token response, with error while the user has not approved
+   * @throws {Error} If the request fails
+   */
+  async requestToken(deviceCode) {
+    const config = await this.getConfig();
+    const response = await fetch(config.ACCESS_TOKEN_URL, {
+      method: "POST",
+      headers: config.HEADER,
+      body: JSON.stringify({
+        client_id: config.CLIENT_ID,
+        device_code: deviceCode,
+        grant_type: DEVICE_GRANT_TYPE,
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`GitHub token request failed: ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Get the login of the user owning a token.
+   *
+   * @param {string} token - Access token
+   * @returns {Promise<string>} GitHub login
+   * @throws {Error} If GitHub does not accept the token
+   */
+  async getUsername(token) {
+    const config = await this.getConfig();
+    const response = await fetch(config.USER_INFO_URL, {
+      method: "GET",
+      headers: {
+        ...config.HEADER,
+        Authorization: `token ${token}`,
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to read the GitHub user: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.login;
+  }
+
+  /**
+   * Abandon the running flow.
+   */
+  async cancel() {
+    await chrome.storage.local.remove(AUTH_FLOW_STORAGE_KEY);
+    this.notify(null);
+  }
+
+  /**
+   * Get the public state of the running or last failed flow.
+   *
+   * @returns {Promise<Object|null>} Flow state, null when no sign-in is running
+   */
+  async getFlow() {
+    const flow = await this.loadFlow();
+    return flow ? this.toPublicFlow(flow) : null;
+  }
+
+  /**
+   * Mark a flow as failed so the popup can show why.
+   *
+   * @param {Object} flow - Failed flow
+   * @param {string} message - Error shown to the user
+   */
+  async failFlow(flow, message) {
+    const failed = { ...flow, status: "failed", error: message };
+    await this.saveFlow(failed);
+  }
+
+  /**
+   * Translate a device flow error into a message for the user.
+   *
+   * @param {Object} data - Token response with error and error_description
+   * @returns {string} Error message
+   */
+  getErrorMessage(data) {
+    const messages = {
+      access_denied: "The sign-in was denied on GitHub",
+      expired_token: "The code expired, start the sign-in again",
+      device_flow_disabled: "Device sign-in is not enabled for this GitHub app",
+    };
+
+    return messages[data.error] || data.error_description || data.error;
+  }
+
+  /**
+   * Remove the device code before the flow leaves the service worker.
+   *
+   * @param {Object} flow - Stored flow
+   * @returns {Object} Flow without its device code
+   */
+  toPublicFlow(flow) {
+    const { deviceCode, ...publicFlow } = flow;
+    return publicFlow;
+  }
+
+  /**
+   * Persist a flow and notify the listener.
+   *
+   * @param {Object} flow - Flow to store
+   */
+  async saveFlow(flow) {
+    await chrome.storage.local.set({ [AUTH_FLOW_STORAGE_KEY]: flow });
+    this.notify(this.toPublicFlow(flow));
+  }
+
+  /**
+   * Load the stored flow.
+   *
+   * @returns {Promise<Object|null>} Stored flow, null when none
+   */
+  async loadFlow() {
+    const result = await chrome.storage.local.get(AUTH_FLOW_STORAGE_KEY);
+    return result[AUTH_FLOW_STORAGE_KEY] || null;
+  }
+
+  /**
+   * Send the public flow state to the listener.
+   *
+   * @param {Object|null} flow - Public flow state
+   */
+  notify(flow) {
+    if (this.progressListener) {
+      this.progressListener(flow);
+    }
+  }
+}
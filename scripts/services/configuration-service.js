@@ -1,3 +1,5 @@
+import HostUtils from "../utils/host-utils.js";
+
 export default class ConfigurationService {
   constructor() {}
 
@@ -32,6 +34,42 @@ export default class ConfigurationService {
     });
   }
 
+  /**
+   * Retrieves the endpoints of the configured provider, pointed at the self-hosted server when one is set
+   * @param {Object} [env] - Environment configuration, read from storage when omitted
+   * @returns {Promise<Object>} Data configuration with API, OAuth and web URLs
+   */
+  async getGitHubConfig(env = null) {
+    const baseConfig = env || (await this.getDataConfig());
+    const { provider, host } = await this.getServerSettings();
+    const { leetcode_tracker_github_client_id } =
+      await this.getChromeStorageConfig(["leetcode_tracker_github_client_id"]);
+
+    return HostUtils.buildConfig(
+      baseConfig,
+      host,
+      leetcode_tracker_github_client_id,
+      provider
+    );
+  }
+
+  /**
+   * Retrieves the provider receiving the solutions and its server
+   * @returns {Promise<Object>} Provider type ("github", "gitlab" or "gitea") and host, empty for the public service
+   */
+  async getServerSettings() {
+    const { leetcode_tracker_provider, leetcode_tracker_host } =
+      await this.getChromeStorageConfig([
+        "leetcode_tracker_provider",
+        "leetcode_tracker_host",
+      ]);
+
+    return {
+      provider: leetcode_tracker_provider || "github",
+      host: leetcode_tracker_host || "",
+    };
+  }
+
   /**
    * Validates that all required configuration fields are present
    * @param {Object} config - The configuration object to validate
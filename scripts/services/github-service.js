@@ -1,16 +1,38 @@
 import ConfigurationService from "./configuration-service.js";
+import LeetCodeService from "./leetcode-service.js";
+import ReadmeService from "./readme-service.js";
+import ManifestService from "./manifest-service.js";
+import SolutionIndexService from "./solution-index-service.js";
+import PullRequestService from "./pull-request-service.js";
+import RoutingService from "./routing-service.js";
+import ProviderFactory from "./providers/provider-factory.js";
+import MarkdownUtils from "../utils/markdown-utils.js";
+import PathUtils from "../utils/path-utils.js";
 
 /**
- * Service for managing GitHub repository operations for LeetCode problem synchronization.
- * Handles file creation, updates, and repository management with proper authentication.
+ * Service for managing repository operations for LeetCode problem synchronization.
+ * Formats solution files and commit messages, and writes them through the
+ * provider selected in the popup (GitHub, GitLab or Gitea).
  */
 export default class GithubService {
   /**
    * Initialize GitHub service with independent instance isolation.
    * Each instance gets a unique ID to prevent concurrent operation conflicts.
+   *
+   * @param {Object} [options] - Service options
+   * @param {string|null} [options.workBranch=null] - Feature branch of a sync run in pull-request mode
+   * @param {string|null} [options.repository=null] - Repository written to as "owner/name", the linked one when null
+   * @param {Map|null} [options.branchCache=null] - Branches resolved per repository, shared by the services of a sync
    */
-  constructor() {
+  constructor({
+    workBranch = null,
+    repository = null,
+    branchCache = null,
+  } = {}) {
     this.configurationService = new ConfigurationService();
+    this.workBranch = workBranch;
+    this.targetRepository = repository;
+    this.branchCache = branchCache;
 
     this.submissionInProgress = false;
     this.problem = null;
@@ -28,19 +50,156 @@ export default class GithubService {
    */
   async init() {
     try {
-      this.userConfig = await this.configurationService.getChromeStorageConfig([
+      // Every setting in one storage read, init runs for each problem
+      const {
+        leetcode_tracker_repo,
+        leetcode_tracker_username,
+        leetcode_tracker_token,
+        leetcode_tracker_branch,
+        leetcode_tracker_pull_request_mode,
+        leetcode_tracker_history_mode,
+        leetcode_tracker_path_template,
+        leetcode_tracker_index_pages,
+        leetcode_tracker_problem_statement,
+        leetcode_tracker_import_notes,
+      } = await this.configurationService.getChromeStorageConfig([
         "leetcode_tracker_repo",
         "leetcode_tracker_username",
         "leetcode_tracker_token",
+        "leetcode_tracker_branch",
+        "leetcode_tracker_pull_request_mode",
+        "leetcode_tracker_history_mode",
+        "leetcode_tracker_path_template",
+        "leetcode_tracker_index_pages",
+        "leetcode_tracker_problem_statement",
+        "leetcode_tracker_import_notes",
       ]);
-      this.dataConfig = await this.configurationService.getDataConfig();
-      // Multiple submissions is always disabled
-      this.syncMultipleSubmissionsSettingEnabled = false;
+      this.userConfig = {
+        leetcode_tracker_repo,
+        leetcode_tracker_username,
+        leetcode_tracker_token,
+      };
+
+      // Branch written to, and whether pushes go to a feature branch with a pull request
+      this.branch = leetcode_tracker_branch || "";
+      this.pullRequestMode = leetcode_tracker_pull_request_mode || "off";
+      const branchOptions = this.getBranchOptions();
+      this.pullRequestBranch =
+        branchOptions.branch !== this.branch ? branchOptions.branch : null;
+      this.provider = await ProviderFactory.createFromStorage({
+        ...branchOptions,
+        ...(this.targetRepository && { repository: this.targetRepository }),
+        ...(this.branchCache && { branchCache: this.branchCache }),
+      });
+
+      // History mode keeps every accepted submission: "files" writes one file
+      // per submission, "commits" one commit per submission on the same file
+      this.historyMode = leetcode_tracker_history_mode || "off";
+      this.syncMultipleSubmissionsSettingEnabled = this.historyMode !== "off";
+
+      // Repository layout used for every path the extension reads or writes
+      this.pathTemplate = PathUtils.resolveTemplate(
+        leetcode_tracker_path_template
+      );
+
+      // README and per-language/per-topic pages regenerated after each push
+      this.indexPagesEnabled = leetcode_tracker_index_pages !== false;
+
+      // Problem statement exported as Markdown next to each solution
+      this.statementExportEnabled = leetcode_tracker_problem_statement === true;
+
+      // LeetCode's own per-submission note, added to the solution notes
+      this.importNotesEnabled = leetcode_tracker_import_notes === true;
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Get the branches the provider reads from and writes to.
+   * In pull-request mode, writes go to a feature branch created from the
+   * configured branch: the sync run's branch, or the branch of the day.
+   *
+   * @returns {Object} Provider options with branch and baseBranch
+   */
+  getBranchOptions() {
+    if (this.pullRequestMode === "off") {
+      return { branch: this.branch, baseBranch: "" };
+    }
+
+    const workBranch =
+      this.workBranch ||
+      (this.pullRequestMode === "daily"
+        ? PullRequestService.getDailyBranch()
+        : null);
+
+    if (!workBranch) {
+      // Live submissions of "sync" mode go straight to the configured branch
+      return { branch: this.branch, baseBranch: "" };
+    }
+
+    return { branch: workBranch, baseBranch: this.branch };
+  }
+
+  /**
+   * Submit a solution to every repository the routing rules send it to.
+   * Repositories are written one after the other; a failing repository does
+   * not stop the others, and is reported in the combined result so a retry
+   * writes it again (the repositories already written skip the duplicate).
+   *
+   * @param {Object} problem - Problem object containing code, metadata, and language info
+   * @param {string} comment - Optional comment to include in the submission
+   * @param {Array<string>|null} [only] - Repositories to write, every routed one when null
+   * @returns {Promise<Object|undefined>} Combined result with created, updated and skipped,
+   *   the result of each repository, and failures with the repository and error message
+   *   of each failed one; undefined if no repository is linked
+   */
+  async submitToRepositories(problem, comment = "", only = null) {
+    const routingService = new RoutingService();
+    await routingService.load();
+
+    const repositories = routingService
+      .getRepositories({
+        lang: problem.language.langName,
+        difficulty: problem.difficulty,
+      })
+      .filter((repository) => !only || only.includes(repository));
+    const results = [];
+    const failures = [];
+
+    for (const repository of repositories) {
+      const githubService = new GithubService({
+        workBranch: this.workBranch,
+        repository,
+      });
+
+      try {
+        const result = await githubService.submitToGitHub(problem, comment);
+        if (result) {
+          results.push({ repository, ...result });
+        }
+      } catch (error) {
+        failures.push({ repository, error: error.message });
+      }
+    }
+
+    if (results.length === 0 && failures.length === 0) {
+      return undefined;
+    }
+
+    return {
+      created: results.some((result) => result.created),
+      updated: results.some((result) => result.updated),
+      skipped:
+        failures.length === 0 && results.every((result) => result.skipped),
+      repositories: results,
+      failures,
+      error: failures
+        .map((failure) => `${failure.repository}: ${failure.error}`)
+        .join("; "),
+    };
+  }
+
   /**
    * Submit a LeetCode problem solution to GitHub repository.
    * Orchestrates the complete submission workflow with duplicate detection.
@@ -74,7 +233,7 @@ export default class GithubService {
       let result;
 
       if (fileExists && !this.syncMultipleSubmissionsSettingEnabled) {
-        const currentContent = atob(fileExists.content);
+        const currentContent = fileExists.content;
         const newContent = this.getFormattedCode();
         const config = await this.configurationService.getChromeStorageConfig([
           "leetcode_tracker_code_submit",
@@ -91,14 +250,34 @@ export default class GithubService {
           return { skipped: true };
         }
 
+        result = await this.updateFile(fileExists);
+      } else if (fileExists) {
+        // History commits mode: every submission is a new commit on the file
         result = await this.updateFile(fileExists);
       } else {
         result = await this.createFile();
+
+        // Created meanwhile by another push: replace it with this submission
+        if (!result.created) {
+          const createdFile = await this.checkFileExistence();
+          if (!createdFile) {
+            throw new Error("The solution file could not be written");
+          }
+          result = await this.updateFile(createdFile);
+        }
       }
 
       // Verify the operation was successful
-      if (!result || (!result.ok && result.status !== 201)) {
-        throw new Error(`GitHub operation failed with status: ${result?.status}`);
+      if (!result.created && !result.updated) {
+        throw new Error("The solution file could not be written");
+      }
+
+      await this.writeStatementFile();
+      await this.updateSolutionIndex();
+
+      if (this.pullRequestBranch) {
+        await this.recordPullRequestProblems([this.problem]);
+        await this.openPullRequest();
       }
 
       return result;
@@ -111,48 +290,218 @@ export default class GithubService {
   }
 
   /**
-   * Update an existing file in the GitHub repository.
+   * Write the problem statement next to the pushed solution when the export is enabled.
+   * Failures are logged only, the solution itself is already in the repository.
+   */
+  async writeStatementFile() {
+    if (!this.statementExportEnabled) {
+      return;
+    }
+
+    try {
+      if (!this.problem.question) {
+        this.problem.question = await new LeetCodeService().getQuestionDetails(
+          this.problem.slug
+        );
+      }
+
+      const statementFile = this.buildStatementFile();
+      if (statementFile) {
+        await this.commitFiles([statementFile], statementFile.message);
+      }
+    } catch (error) {
+      console.error("Error writing the problem statement: ", error);
+    }
+  }
+
+  /**
+   * Build the Markdown statement file of the current problem.
+   * Requires the question details to be loaded on the problem.
    *
-   * @param {Object} existingFile - File object from GitHub API containing SHA and metadata
-   * @returns {Promise<Response>} GitHub API response object
-   * @throws {Error} If the update operation fails
+   * @returns {Object|null} File with path, content and commit message, null if disabled or unavailable
    */
-  async updateFile(existingFile) {
-    const url = this.buildGitHubUrl(false);
+  buildStatementFile() {
+    if (!this.statementExportEnabled || !this.problem.question) {
+      return null;
+    }
+
+    const paddedId = this.problem.id.toString().padStart(4, "0");
 
-    const body = {
-      message: this.generateCommitMessage(true),
-      content: btoa(this.getFormattedCode()),
-      sha: existingFile.sha, // Required for updates to prevent conflicts
+    return {
+      path: this.buildStatementPath(),
+      content: this.getFormattedStatement(),
+      message: `Add problem statement: ${paddedId}. ${this.problem.question.title}`,
     };
+  }
 
-    const response = await this.fetchWithAuth(url, "PUT", body);
+  /**
+   * Build the repository-relative path of the problem statement.
+   * The statement sits next to the solution: named after the solution file
+   * when the file name identifies the problem, as the folder README otherwise.
+   *
+   * @returns {string} Path such as "python3/0001 two-sum.problem.md"
+   */
+  buildStatementPath() {
+    const template = PathUtils.resolveTemplate(this.pathTemplate);
+    // Every history version of a solution shares one statement
+    const solutionPath = PathUtils.renderPath(
+      template,
+      PathUtils.getPathValues(this.problem)
+    );
+    const folder = solutionPath.slice(0, solutionPath.lastIndexOf("/") + 1);
+    const fileName = solutionPath.slice(folder.length);
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        `Failed to update file: ${response.status} - ${
-          errorData.message || "Unknown error"
-        }`
-      );
+    if (!/\{(id|slug)\}/.test(template.split("/").pop())) {
+      return `${folder}README.md`;
+    }
+
+    return `${folder}${fileName.slice(0, fileName.lastIndexOf("."))}.problem.md`;
+  }
+
+  /**
+   * Format the problem statement as Markdown.
+   * Contains the description with its examples and constraints, the hints
+   * and links to similar questions.
+   *
+   * @returns {string} Markdown content
+   */
+  getFormattedStatement() {
+    const question = this.problem.question;
+    const topics = (question.topicTags || []).map((tag) => tag.name).join(", ");
+
+    let content = `# ${question.id}. ${question.title}\n\n`;
+    content += `**Difficulty:** ${question.difficulty}  \n`;
+    if (topics) {
+      content += `**Topics:** ${topics}  \n`;
+    }
+    content += `**Link:** https://leetcode.com/problems/${question.titleSlug}/\n\n`;
+
+    content += `## Description\n\n${MarkdownUtils.htmlToMarkdown(question.content)}\n`;
+
+    if (question.hints.length > 0) {
+      content += `\n## Hints\n\n`;
+      question.hints.forEach((hint, index) => {
+        content += `${index + 1}. ${MarkdownUtils.htmlToMarkdown(hint).replace(/\n+/g, " ")}\n`;
+      });
+    }
+
+    if (question.similarQuestions.length > 0) {
+      content += `\n## Similar Questions\n\n`;
+      question.similarQuestions.forEach((similar) => {
+        content += `- [${similar.title}](https://leetcode.com/problems/${similar.titleSlug}/) (${similar.difficulty})\n`;
+      });
+    }
+
+    return content;
+  }
+
+  /**
+   * Record the pushed solution in the solution index and regenerate the manifest and index pages.
+   * Failures are logged only, the solution itself is already in the repository.
+   */
+  async updateSolutionIndex() {
+    try {
+      const solutionIndex = new SolutionIndexService();
+      await solutionIndex.load();
+      solutionIndex.recordSolution(this.problem, this.buildFilePath());
+      await solutionIndex.save();
+
+      await this.updateIndexPages(solutionIndex.getProblems());
+    } catch (error) {
+      console.error("Error updating the solution index: ", error);
     }
+  }
 
-    return response;
+  /**
+   * Regenerate the solutions.json manifest and, when enabled, the README and
+   * the per-language and per-topic index pages.
+   * Nothing is committed when the files did not change.
+   *
+   * @param {Array<Object>} problems - Problems from SolutionIndexService.getProblems
+   * @returns {Promise<Object|null>} Created commit, null if the files were up to date
+   * @throws {Error} If the commit fails
+   */
+  async updateIndexPages(problems) {
+    // Each repository only lists the solutions routed to it
+    const routingService = new RoutingService();
+    await routingService.load();
+
+    const repositoryProblems = routingService.filterProblems(
+      this.targetRepository || routingService.primaryRepository,
+      problems
+    );
+    const files = [
+      ...(this.indexPagesEnabled
+        ? new ReadmeService().buildPages(repositoryProblems)
+        : []),
+      new ManifestService().build(repositoryProblems),
+    ];
+    return this.commitFiles(files, "Update solution index");
   }
 
   /**
-   * Create a new file in the GitHub repository.
+   * Record problems pushed to the feature branch for its pull request description.
+   *
+   * @param {Array<Object>} problems - Pushed problems
+   * @returns {Promise<void>}
+   */
+  async recordPullRequestProblems(problems) {
+    await new PullRequestService().recordProblems(
+      this.provider.repository,
+      this.pullRequestBranch,
+      problems.map((problem) => ({
+        id: problem.id.toString(),
+        slug: problem.slug,
+        title: problem.title,
+        lang: problem.language.langName,
+        difficulty: problem.difficulty,
+      }))
+    );
+  }
+
+  /**
+   * Open the pull request of the feature branch, or refresh its description.
+   * Failures are logged only, the solutions are already on the branch.
+   *
+   * @returns {Promise<Object|null>} Pull request with number and url, null if none was opened
+   */
+  async openPullRequest() {
+    try {
+      return await new PullRequestService().open(this.provider);
+    } catch (error) {
+      console.error("Error opening the pull request: ", error);
+      return null;
+    }
+  }
+
+  /**
+   * Update an existing solution file in the repository.
+   *
+   * @param {Object} existingFile - File from checkFileExistence, with its sha
+   * @returns {Promise<Object>} Provider result with updated
+   * @throws {Error} If the update operation fails
+   */
+  async updateFile(existingFile) {
+    return this.provider.updateFile(
+      this.buildSolutionPath(),
+      this.getFormattedCode(),
+      this.generateCommitMessage(true),
+      existingFile.sha
+    );
+  }
+
+  /**
+   * Create a new solution file in the repository.
    *
    * Algorithm:
    * 1. Validate problem object exists
-   * 2. Build appropriate GitHub URL for the target file
+   * 2. Build the path of the target file
    * 3. Create the main solution file with formatted code
-   * 4. Handle file conflicts gracefully (422 status for existing files)
+   * 4. Treat a file created meanwhile as not created
    * 5. Update difficulty statistics if not in sync mode
-   * 6. Log all operations with instance ID for debugging
    *
    * @param {boolean} isSyncing - Whether this is part of a bulk sync operation
-   * @returns {Promise<Response>} GitHub API response object
+   * @returns {Promise<Object>} Provider result with created
    * @throws {Error} If file creation fails or problem object is invalid
    */
   async createFile(isSyncing = false) {
@@ -160,58 +509,29 @@ export default class GithubService {
       throw new Error("No problem set for file creation");
     }
 
-    const codeUrl = this.buildGitHubUrl(isSyncing);
-
-    const codeBody = {
-      message: this.generateCommitMessage(false),
-      content: btoa(this.getFormattedCode()),
-    };
-
-    try {
-      const result = await this.fetchWithAuth(codeUrl, "PUT", codeBody);
-
-      if (!result.ok) {
-        const errorData = await result.json().catch(() => ({}));
-
-        // Handle file already exists scenario gracefully
-        if (
-          result.status === 422 &&
-          errorData.message?.includes("already exists")
-        ) {
-          return result;
-        }
-
-        throw new Error(
-          `Failed to create file: ${result.status} - ${
-            errorData.message || "Unknown error"
-          }`
-        );
-      }
+    const result = await this.provider.createFile(
+      this.buildSolutionPath(),
+      this.getFormattedCode(),
+      this.generateCommitMessage(false)
+    );
 
-      const resultJson = await result.json();
-
-      if (result.status === 201) {
-        // Update statistics only in normal mode (not during bulk sync)
-        if (!isSyncing) {
-          try {
-            chrome.runtime.sendMessage({
-              type: "updateDifficultyStats",
-              difficulty: this.problem.difficulty,
-            }, (response) => {
-              if (chrome.runtime.lastError) {
-                // Handle messaging errors gracefully
-              }
-            });
-          } catch (messageError) {
-            // Statistics update failed but don't fail the main operation
+    // Update statistics only in normal mode (not during bulk sync)
+    if (result.created && !isSyncing) {
+      try {
+        chrome.runtime.sendMessage({
+          type: "updateDifficultyStats",
+          difficulty: this.problem.difficulty,
+        }, (response) => {
+          if (chrome.runtime.lastError) {
+            // Handle messaging errors gracefully
           }
-        }
+        });
+      } catch (messageError) {
+        // Statistics update failed but don't fail the main operation
       }
-
-      return result;
-    } catch (error) {
-      throw error;
     }
+
+    return result;
   }
 
   /**
@@ -229,11 +549,10 @@ export default class GithubService {
   }
 
   /**
-   * Check if a file already exists in the GitHub repository.
+   * Check if the solution file already exists in the repository.
    *
    * @param {boolean} isSyncing - Whether this is part of a bulk sync operation
-   * @returns {Promise<Object|null>} File object if exists, null if not found
-   * @throws {Error} If problem object is missing or API request fails
+   * @returns {Promise<Object|null>} File with path, content and sha if it exists, null if not found
    */
   async checkFileExistence(isSyncing = false) {
     try {
@@ -241,22 +560,10 @@ export default class GithubService {
         throw new Error("No problem set for file existence check");
       }
 
-      const url = this.buildGitHubUrl(isSyncing);
-      const response = await this.fetchWithAuth(url, "GET");
-
-      if (response.ok) {
-        return await response.json();
-      } else if (response.status === 404) {
-        // File doesn't exist, which is expected for new files
-        return null;
-      } else {
-        // GET request failed, but this is normal - treat as file not found
-        console.log(`GitHub GET request failed with status ${response.status}, treating as new file`);
-        return null;
-      }
+      return await this.provider.getFile(this.buildSolutionPath());
     } catch (error) {
-      // Network error or other failure - treat as file not found
-      console.log('GitHub GET request error:', error.message);
+      // Read or network failure - treat as file not found
+      console.log('Repository read error:', error.message);
       return null;
     }
   }
@@ -269,7 +576,7 @@ export default class GithubService {
    * 1. Validate problem and code availability
    * 2. Get appropriate comment format for the programming language
    * 3. Create comprehensive header with metadata
-   * 4. Add user comment if provided (handles both single and multi-line)
+   * 4. Add solution notes if provided (user comment and imported LeetCode note)
    * 5. Append the actual solution code
    *
    * @returns {string} Formatted code string with headers and comments
@@ -280,7 +587,12 @@ export default class GithubService {
       throw new Error("No problem or code available for formatting");
     }
 
-    const currentDate = new Date().toLocaleString();
+    // In history mode the header dates the submission itself
+    const currentDate = (
+      this.syncMultipleSubmissionsSettingEnabled && this.problem.submissionDate
+        ? new Date(this.problem.submissionDate)
+        : new Date()
+    ).toLocaleString();
 
     // Get appropriate comment format for the programming language
     const commentFormat = this.getCommentFormat(
@@ -332,29 +644,71 @@ export default class GithubService {
 
     header += `${commentFormat.end}\n\n`;
 
-    // Add user comment if provided
-    if (this.comment && this.comment.trim()) {
-      // Handle multi-line comments with proper formatting
-      if (this.comment.includes("\n")) {
-        header += `${commentFormat.start}\n`;
-        header += `${commentFormat.linePrefix}Solution Notes:\n`;
-
-        // Format each line of the comment
-        this.comment.split("\n").forEach((line) => {
-          header += `${commentFormat.linePrefix}${line}\n`;
-        });
-
-        header += `${commentFormat.end}\n\n`;
-      } else {
-        // Single line comment
-        header += `${commentFormat.line} Solution Notes: ${this.comment}\n\n`;
-      }
+    // Add solution notes if provided
+    const notes = this.getSolutionNotes();
+    if (notes) {
+      header += this.formatNotes(notes, commentFormat);
     }
 
     // Combine header with actual code
     return header + this.problem.code;
   }
 
+  /**
+   * Collect the notes of the solution: the comment typed by the user and,
+   * when importing is enabled, the note saved on the submission in LeetCode.
+   *
+   * @returns {string} Notes separated by a blank line, empty if there are none
+   */
+  getSolutionNotes() {
+    const notes = [this.comment];
+    if (this.importNotesEnabled) {
+      notes.push(this.problem.notes);
+    }
+
+    const normalizedNotes = notes
+      .filter((note) => note && note.trim())
+      .map((note) => note.replace(/\r\n?/g, "\n").trimEnd());
+
+    return [...new Set(normalizedNotes)].join("\n\n");
+  }
+
+  /**
+   * Format Markdown notes as a comment of the solution language.
+   * Keeps indentation and blank lines so lists and code fences stay valid
+   * Markdown, and breaks up comment terminators found in the notes.
+   *
+   * @param {string} notes - Markdown notes
+   * @param {Object} commentFormat - Comment format from getCommentFormat
+   * @returns {string} Comment block followed by a blank line
+   */
+  formatNotes(notes, commentFormat) {
+    const terminator = commentFormat.end.trim();
+    // "*/" inside the notes would otherwise end the comment early
+    const safeNotes = terminator
+      ? notes.split(terminator).join(terminator.split("").join(" "))
+      : notes;
+
+    // Single line comment
+    if (!safeNotes.includes("\n")) {
+      return `${commentFormat.line} Solution Notes: ${safeNotes.trim()}\n\n`;
+    }
+
+    const blankLine = `${commentFormat.linePrefix.trimEnd()}\n`;
+    let block = `${commentFormat.start}\n`;
+    block += `${commentFormat.linePrefix}Solution Notes:\n`;
+    block += blankLine;
+
+    safeNotes.split("\n").forEach((line) => {
+      block += line.trim()
+        ? `${commentFormat.linePrefix}${line.trimEnd()}\n`
+        : blankLine;
+    });
+
+    block += `${commentFormat.end}\n\n`;
+    return block;
+  }
+
   /**
    * Get the appropriate comment format for different programming languages.
    * Supports both single-line and multi-line comment styles for all LeetCode languages.
@@ -547,66 +901,85 @@ export default class GithubService {
   }
 
   /**
-   * Convert UTF-8 string to Base64 encoding for GitHub API.
-   * Handles Unicode characters properly for international content.
-   *
-   * @param {string} str - UTF-8 string to encode
-   * @returns {string} Base64 encoded string
-   */
-  utf8ToBase64(str) {
-    return btoa(
-      encodeURIComponent(str).replace(/%([0-9A-F]{2})/g, (match, p1) =>
-        String.fromCharCode("0x" + p1)
-      )
-    );
-  }
-
-  /**
-   * Build the GitHub API URL for file operations.
-   * Constructs repository path with optional versioning support.
-   *
-   * Algorithm:
-   * 1. Validate problem object exists
-   * 2. Add timestamp suffix if multiple submissions are enabled
-   * 3. Create version path for language-specific organization
-   * 4. Combine all components into complete GitHub API URL
+   * Build the path of the current problem's solution file for repository operations.
    *
-   * @param {boolean} isSyncing - Whether this is part of bulk sync (affects versioning)
    * @param {string} file - Optional specific filename override
-   * @returns {string} Complete GitHub API URL for file operations
-   * @throws {Error} If problem object is not set
+   * @returns {string} Repository-relative path
+   * @throws {Error} If the problem lacks the slug, ID or language the path is built from
    */
-  buildGitHubUrl(isSyncing, file = "") {
+  buildSolutionPath(file = "") {
     if (!this.problem) {
-      throw new Error("No problem set for URL building");
+      throw new Error("No problem set for path building");
     }
 
     if (!this.problem.slug) {
-      throw new Error("Problem slug is required for GitHub URL building");
+      throw new Error("Problem slug is required for path building");
     }
 
     if (!this.problem.id) {
-      throw new Error("Problem ID is required for GitHub URL building. ID should be extracted from submission API data.");
+      throw new Error("Problem ID is required for path building. ID should be extracted from submission API data.");
     }
 
     if (!this.problem.language || !this.problem.language.langName) {
-      throw new Error("Problem language is required for GitHub URL building");
+      throw new Error("Problem language is required for path building");
     }
 
-    // Format: repo/codingLang/0001 two-sum.py
-    const paddedId = this.problem.id.toString().padStart(4, '0');
-    const fileName = file || `${paddedId} ${this.problem.slug}${this.problem.language.extension}`;
-    const languageFolder = this.problem.language.langName.toLowerCase();
+    return this.buildFilePath(file);
+  }
+
+  /**
+   * Build the repository-relative path of the current problem's solution file
+   * from the configured layout template.
+   *
+   * @param {string} file - Optional specific filename override
+   * @returns {string} Path such as "python3/0001 two-sum.py"
+   */
+  buildFilePath(file = "") {
+    // Default layout: repo/codingLang/0001 two-sum.py
+    // History files mode: repo/codingLang/0001 two-sum_20240131_093000.py
+    const versionSuffix =
+      this.historyMode === "files"
+        ? `_${this.getLocalTimeString(new Date(this.problem.submissionDate))}`
+        : "";
+    const filePath = PathUtils.renderPath(
+      PathUtils.resolveTemplate(this.pathTemplate),
+      PathUtils.getPathValues(this.problem, versionSuffix)
+    );
 
-    // Parse repository string to get username and repo name
-    const parsedRepo = this.parseRepositoryString(this.userConfig.leetcode_tracker_repo);
-    if (!parsedRepo) {
-      throw new Error("Invalid repository configuration");
+    if (!file) {
+      return filePath;
     }
 
-    return `${this.dataConfig.REPOSITORY_URL}${parsedRepo.username}/${parsedRepo.repositoryName}/contents/${languageFolder}/${encodeURIComponent(fileName)}`;
+    // Keep the layout's folder, replace only the file name
+    const folder = filePath.slice(0, filePath.lastIndexOf("/") + 1);
+    return `${folder}${file}`;
+  }
+
+  /**
+   * Commit several files at once.
+   * Produces a single commit regardless of the number of files, instead of
+   * one commit per file as createFile and updateFile do.
+   *
+   * @param {Array<Object>} files - Files to commit, each with path and content
+   * @param {string} message - Commit message
+   * @returns {Promise<Object|null>} Created commit object, null if nothing was committed
+   * @throws {Error} If the commit fails
+   */
+  async commitFiles(files, message) {
+    return this.provider.commitFiles(files, message);
   }
 
+  /**
+   * Create a chain of commits, so history mode can record every submission as its own commit.
+   * Commits that would not change any file are left out.
+   *
+   * @param {Array<Object>} commits - Commits in order, each with message and files
+   * @returns {Promise<Object|null>} Last created commit, null if nothing was committed
+   * @throws {Error} If a commit fails
+   */
+  async commitChanges(commits) {
+    return this.provider.commitChanges(commits);
+  }
 
   /**
    * Generate an informative commit message with problem details.
@@ -653,67 +1026,15 @@ export default class GithubService {
     return message;
   }
 
-  /**
-   * Parse repository string to extract username and repository name.
-   * @param {string} repoString - Repository string in format "username/repo" or just "repo"
-   * @returns {Object} Object with username and repositoryName
-   */
-  parseRepositoryString(repoString) {
-    if (!repoString) {
-      return null;
-    }
-
-    if (repoString.includes('/')) {
-      const [username, repositoryName] = repoString.split('/');
-      return {
-        username: username.trim(),
-        repositoryName: repositoryName.trim()
-      };
-    } else {
-      // Legacy format: just repo name, use authenticated user's username
-      return {
-        username: this.userConfig.leetcode_tracker_username,
-        repositoryName: repoString.trim()
-      };
-    }
-  }
-
-  /**
-   * Execute authenticated HTTP requests to GitHub API.
-   * Handles authentication headers and request configuration.
-   *
-   * @param {string} url - GitHub API endpoint URL
-   * @param {string} method - HTTP method (GET, PUT, POST, etc.)
-   * @param {Object} body - Optional request body for PUT/POST requests
-   * @returns {Promise<Response>} Fetch API response object
-   * @throws {Error} If network request fails
-   */
-  async fetchWithAuth(url, method, body = null) {
-    const options = {
-      method,
-      headers: {
-        ...this.dataConfig.HEADERS,
-        Authorization: `token ${this.userConfig.leetcode_tracker_token}`,
-      },
-    };
-    if (body) options.body = JSON.stringify(body);
-
-    try {
-      const response = await fetch(url, options);
-      return response;
-    } catch (error) {
-      throw error;
-    }
-  }
-
   /**
    * Generate a timestamp string for versioning multiple submissions.
    * Creates a sortable datetime string in YYYYMMDD_HHMMSS format.
    *
+   * @param {Date} [date] - Date to format, defaults to now
    * @returns {string} Formatted timestamp string for file versioning
    */
-  getLocalTimeString() {
-    const now = new Date();
+  getLocalTimeString(date = new Date()) {
+    const now = Number.isNaN(date.getTime()) ? new Date() : date;
 
     // Format: YYYYMMDD_HHMMSS
     return (
@@ -0,0 +1,214 @@
+import GithubService from "./github-service.js";
+import SolutionIndexService from "./solution-index-service.js";
+import RoutingService from "./routing-service.js";
+import PathUtils from "../utils/path-utils.js";
+
+const LAYOUT_STORAGE_KEY = "leetcode_tracker_path_template";
+
+/**
+ * Service moving the solutions of the linked repositories from one layout template to another.
+ * The files of each repository are moved in a single commit so its history stays readable.
+ */
+export default class LayoutMigrationService {
+  /**
+   * Move existing solution files to a new layout and make it the active one.
+   *
+   * Algorithm:
+   * 1. Move the files of every linked repository, one commit per repository
+   * 2. Save the new layout
+   * 3. Point the solution index to the new paths and regenerate the index pages
+   *
+   * @param {string} template - New layout template, already validated
+   * @returns {Promise<Object>} Counts of moved files and lists of skipped and conflicting paths
+   * @throws {Error} If a repository cannot be read or a commit fails
+   */
+  async migrate(template) {
+    const githubService = new GithubService();
+    await githubService.init();
+
+    const currentTemplate = githubService.pathTemplate;
+    const result = { moved: 0, skipped: [], conflicts: [] };
+
+    if (currentTemplate === template) {
+      return result;
+    }
+
+    const routingService = new RoutingService();
+    await routingService.load();
+
+    const renamedPaths = new Map();
+    const migratedServices = [];
+
+    for (const repository of routingService.getLinkedRepositories()) {
+      const repositoryService = new GithubService({ repository });
+      await repositoryService.init();
+
+      const moves = await this.moveFiles(
+        repositoryService,
+        currentTemplate,
+        template,
+        result
+      );
+
+      if (moves.length > 0) {
+        moves.forEach((move) => renamedPaths.set(move.from, move.to));
+        migratedServices.push(repositoryService);
+      }
+    }
+
+    await chrome.storage.local.set({ [LAYOUT_STORAGE_KEY]: template });
+
+    if (renamedPaths.size > 0) {
+      const solutionIndex = new SolutionIndexService();
+      await solutionIndex.load();
+      solutionIndex.renamePaths(renamedPaths);
+      await solutionIndex.save();
+
+      for (const repositoryService of migratedServices) {
+        // The files are already moved, outdated pages are fixed by the next push
+        await repositoryService
+          .updateIndexPages(solutionIndex.getProblems())
+          .catch((error) =>
+            console.error("Error updating the index pages: ", error)
+          );
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Move the solution files of one repository from the current layout to a new one.
+   *
+   * Algorithm:
+   * 1. List every file of the branch head
+   * 2. Parse each path with the current layout, ignoring files it does not describe
+   * 3. Read the solution header for placeholders the current layout does not contain
+   * 4. Render the new path and detect conflicts with files that stay in place
+   * 5. Commit every move at once
+   *
+   * @param {GithubService} githubService - Initialized service of the repository
+   * @param {string} currentTemplate - Layout the files follow
+   * @param {string} template - New layout template
+   * @param {Object} result - Migration result, skipped and conflicting paths are added to it
+   * @returns {Promise<Array<Object>>} Committed moves with from and to paths
+   * @throws {Error} If the repository cannot be read or the commit fails
+   */
+  async moveFiles(githubService, currentTemplate, template, result) {
+    const files = await githubService.provider.listFiles();
+
+    // An empty repository has nothing to move
+    if (files.length === 0) {
+      return [];
+    }
+
+    const neededPlaceholders = [...template.matchAll(/\{(\w+)\}/g)].map(
+      (match) => match[1]
+    );
+    const candidates = [];
+
+    for (const file of files) {
+      const values = PathUtils.parsePath(currentTemplate, file.path);
+
+      if (!values) {
+        continue;
+      }
+
+      const isMissing = (name) => name !== "version" && !values[name];
+
+      if (neededPlaceholders.some(isMissing)) {
+        const content = await githubService.provider.readFile(file);
+        const headerValues = this.parseSolutionHeader(content);
+
+        for (const name of neededPlaceholders.filter(isMissing)) {
+          values[name] = headerValues[name];
+        }
+      }
+
+      const missing = neededPlaceholders.filter(isMissing);
+      if (missing.length > 0) {
+        result.skipped.push({
+          path: file.path,
+          reason: `Missing ${missing.map((name) => `{${name}}`).join(", ")}`,
+        });
+        continue;
+      }
+
+      const newPath = PathUtils.renderPath(template, {
+        ...values,
+        id: values.id?.padStart(4, "0"),
+        version: values.version || "",
+      });
+
+      if (newPath !== file.path) {
+        candidates.push({ from: file.path, to: newPath, sha: file.sha });
+      }
+    }
+
+    // Files left in place keep their path, moved files free theirs
+    const movedPaths = new Set(candidates.map((move) => move.from));
+    const occupiedPaths = new Set(
+      files.map((file) => file.path).filter((path) => !movedPaths.has(path))
+    );
+    const moves = [];
+
+    for (const move of candidates) {
+      if (occupiedPaths.has(move.to)) {
+        result.conflicts.push({ path: move.from, target: move.to });
+        continue;
+      }
+
+      occupiedPaths.add(move.to);
+      moves.push(move);
+    }
+
+    if (moves.length > 0) {
+      await githubService.commitFiles(
+        moves.map((move) => ({
+          path: move.to,
+          previousPath: move.from,
+          sha: move.sha,
+        })),
+        `Move ${moves.length} solution file${
+          moves.length === 1 ? "" : "s"
+        } to layout ${template}`
+      );
+    }
+
+    result.moved += moves.length;
+    return moves;
+  }
+
+  /**
+   * Read the placeholder values stored in the metadata header of a solution file.
+   * The header is written by GithubService.getFormattedCode.
+   *
+   * @param {string} content - Solution file content
+   * @returns {Object} Values found for slug, lang, difficulty and firstTag
+   */
+  parseSolutionHeader(content) {
+    const values = {};
+
+    const url = content.match(/URL: https:\/\/leetcode\.com\/problems\/([^/\s]+)/);
+    if (url) {
+      values.slug = url[1];
+    }
+
+    const language = content.match(/Language: (\S+)/);
+    if (language) {
+      values.lang = language[1].toLowerCase();
+    }
+
+    const difficulty = content.match(/Difficulty: (\w+)/);
+    if (difficulty) {
+      values.difficulty = difficulty[1].toLowerCase();
+    }
+
+    const topics = content.match(/Topics: ([^,\n]+)/);
+    if (topics) {
+      values.firstTag = PathUtils.slugify(topics[1].trim());
+    }
+
+    return values;
+  }
+}
@@ -1,3 +1,5 @@
+import RateLimitService from "./rate-limit-service.js";
+
 /**
  * Service for interacting with LeetCode's API to fetch problem data and submissions.
  * Handles authentication, rate limiting, and data transformation for synchronization.
@@ -9,8 +11,15 @@ export default class LeetCodeService {
   constructor() {
     this.cachedProblems = null;
     this.cachedApiData = null;
-  }
 
+    // Submission list pagination
+    this.submissionPageSize = 20; // Larger pages tend to time out
+    this.maxSubmissionPages = 50;
+    this.maxRequestAttempts = 3;
+
+    // Shared with every other LeetCode client of the extension
+    this.rateLimiter = RateLimitService.forHost("leetcode.com");
+  }
 
   /**
    * Retrieves the list of solved problems for the authenticated user.
@@ -31,10 +40,13 @@ export default class LeetCodeService {
         return this.cachedProblems.filter((problem) => problem.status === "ac");
       }
 
-      const response = await fetch("https://leetcode.com/api/problems/all/", {
-        method: "GET",
-        credentials: "include", // Include cookies for authentication
-      });
+      const response = await this.request(
+        "https://leetcode.com/api/problems/all/",
+        {
+          method: "GET",
+          credentials: "include", // Include cookies for authentication
+        }
+      );
 
       if (!response.ok) {
         throw new Error(`API error: ${response.status}`);
@@ -69,10 +81,13 @@ export default class LeetCodeService {
     try {
       // If we don't have cached data, fetch it first
       if (!this.cachedApiData) {
-        const response = await fetch("https://leetcode.com/api/problems/all/", {
-          method: "GET",
-          credentials: "include", // Include cookies for authentication
-        });
+        const response = await this.request(
+          "https://leetcode.com/api/problems/all/",
+          {
+            method: "GET",
+            credentials: "include", // Include cookies for authentication
+          }
+        );
 
         if (!response.ok) {
           throw new Error(`API error: ${response.status}`);
@@ -103,17 +118,90 @@ export default class LeetCodeService {
     }
   }
 
+  /**
+   * Retrieves accepted submissions made after a given time, newest first.
+   * Walks the user's global submission listing page by page, retrying rate
+   * limited pages with backoff, and stops as soon as it reaches submissions
+   * older than the requested time.
+   *
+   * @param {number} since - Unix timestamp in seconds; older submissions are ignored
+   * @returns {Promise<Object[]>} Accepted submissions with id, titleSlug, lang and timestamp
+   * @throws {Error} With needsPause property for rate limit scenarios
+   */
+  async getAcceptedSubmissionsSince(since) {
+    const accepted = [];
+    let offset = 0;
+    let lastKey = "";
+    let hasNext = true;
+
+    while (hasNext) {
+      const data = await this.withRateLimitBackoff(() =>
+        this.fetchSubmissionsPage(offset, lastKey)
+      );
+      const submissions = data.submissions_dump || [];
+
+      for (const submission of submissions) {
+        const timestamp = parseInt(submission.timestamp, 10);
+
+        // The listing is sorted newest first, so everything after is older
+        if (timestamp <= since) {
+          return accepted;
+        }
+
+        if (submission.status_display === "Accepted") {
+          accepted.push({
+            id: submission.id.toString(),
+            titleSlug: submission.title_slug,
+            lang: submission.lang,
+            timestamp,
+          });
+        }
+      }
+
+      hasNext = data.has_next && submissions.length > 0;
+      lastKey = data.last_key || "";
+      offset += this.submissionPageSize;
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Fetch one page of the user's global submission listing.
+   *
+   * @param {number} offset - Offset of the page
+   * @param {string} lastKey - Key of the previous page, empty for the first one
+   * @returns {Promise<Object>} Page with submissions_dump, has_next and last_key
+   * @throws {Error} With needsPause property for rate limit scenarios
+   */
+  async fetchSubmissionsPage(offset, lastKey) {
+    const response = await this.request(
+      `https://leetcode.com/api/submissions/?offset=${offset}&limit=${this.submissionPageSize}&lastkey=${encodeURIComponent(lastKey)}`,
+      {
+        method: "GET",
+        credentials: "include",
+      }
+    );
+
+    if (!response.ok) {
+      const error = new Error(`HTTP error: ${response.status}`);
+      error.needsPause = response.status === 429 || response.status >= 500;
+      error.retryAfter = parseInt(response.headers.get("Retry-After"), 10);
+      throw error;
+    }
+
+    return response.json();
+  }
+
   /**
    * Retrieves submissions for a specific problem organized by programming language.
    * Implements comprehensive error handling and rate limiting.
    *
    * Algorithm:
-   * 1. Add delay to respect API rate limits
-   * 2. Fetch submission list for the problem (accepted only)
-   * 3. Group submissions by language, keeping the most recent per language
-   * 4. For each language, fetch detailed submission code
-   * 5. Handle various error conditions (HTTP errors, GraphQL errors, rate limits)
-   * 6. Return structured data with code and metadata
+   * 1. Fetch the accepted submissions of the problem, across all list pages
+   * 2. Group submissions by language, keeping the most recent per language
+   * 3. For each language, fetch detailed submission code
+   * 4. Return structured data with code and metadata
    *
    * Error Handling Strategy:
    * - HTTP 429/5xx errors: Set needsPause flag for retry with delay
@@ -122,21 +210,166 @@ export default class LeetCodeService {
    * - Missing code: Skip submission but continue processing others
    *
    * @param {string} titleSlug - The problem's URL slug identifier
+   * @param {Object} [options] - Listing options passed to getAcceptedSubmissions
    * @returns {Promise<Object>} Object mapping language codes to submission data
    * @throws {Error} With needsPause property for rate limit scenarios
    */
-  async getSubmissionsByLanguage(titleSlug) {
-    try {
-      // Delay to respect API rate limits
-      await this.sleep(500);
+  async getSubmissionsByLanguage(titleSlug, options = {}) {
+    const acceptedSubmissions = await this.getAcceptedSubmissions(
+      titleSlug,
+      options
+    );
 
-      const submissionsResponse = await fetch("https://leetcode.com/graphql", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        credentials: "include",
-        body: JSON.stringify({
-          query: `
-            query submissionList($offset: Int!, $limit: Int!, $lastKey: String, $questionSlug: String!, $lang: Int, $status: Int) {
+    if (acceptedSubmissions.length === 0) {
+      return {};
+    }
+
+    const submissionsByLang = {};
+
+    // Find the most recent submission per language
+    for (const submission of acceptedSubmissions) {
+      const lang = submission.lang;
+
+      if (
+        !submissionsByLang[lang] ||
+        submission.timestamp > submissionsByLang[lang].timestamp
+      ) {
+        submissionsByLang[lang] = submission;
+      }
+    }
+
+    const result = {};
+
+    // Fetch detailed code for each language submission
+    for (const lang in submissionsByLang) {
+      const details = await this.getSubmissionDetails(
+        submissionsByLang[lang].id,
+        lang
+      );
+
+      if (details) {
+        result[lang] = details;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Retrieves every accepted submission of a problem with its code, oldest first.
+   * Used by the submission history mode where each accepted submission is kept.
+   * The code is only fetched for the submissions the filter keeps, so
+   * incremental runs do not download the history already synced.
+   *
+   * @param {string} titleSlug - The problem's URL slug identifier
+   * @param {Object} [options] - Listing options passed to getAcceptedSubmissions
+   * @param {Function} [options.filter] - Called with each listed submission (id, timestamp
+   *   and lang), returns false to leave it out
+   * @returns {Promise<Object[]>} Submission data ordered by submission time
+   * @throws {Error} With needsPause property for rate limit scenarios
+   */
+  async getSubmissionHistory(
+    titleSlug,
+    { filter = () => true, ...options } = {}
+  ) {
+    const acceptedSubmissions = await this.getAcceptedSubmissions(
+      titleSlug,
+      options
+    );
+    const history = [];
+
+    for (const submission of acceptedSubmissions.filter(filter)) {
+      const details = await this.getSubmissionDetails(
+        submission.id,
+        submission.lang
+      );
+
+      if (details) {
+        history.push(details);
+      }
+    }
+
+    return history.sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Retrieves the accepted submissions of a problem, without their code.
+   * Follows the submission list pagination (hasNext/lastKey) so submissions in
+   * a language used long ago are not dropped.
+   *
+   * Algorithm:
+   * 1. Fetch one page of accepted submissions, retrying with backoff on rate limits
+   * 2. Keep the accepted submissions newer than the look-back limit
+   * 3. Stop at the last page, at the page limit, or at the first submission
+   *    older than the look-back limit
+   *
+   * @param {string} titleSlug - The problem's URL slug identifier
+   * @param {Object} [options] - Listing options
+   * @param {number} [options.since=0] - Unix timestamp in seconds; older submissions are ignored
+   * @returns {Promise<Object[]>} Submissions with id, title, timestamp and lang
+   * @throws {Error} With needsPause property for rate limit scenarios
+   */
+  async getAcceptedSubmissions(titleSlug, { since = 0 } = {}) {
+    const accepted = [];
+    let offset = 0;
+    let lastKey = "null";
+
+    for (let page = 0; page < this.maxSubmissionPages; page++) {
+      const submissionList = await this.withRateLimitBackoff(() =>
+        this.fetchSubmissionListPage(titleSlug, offset, lastKey)
+      );
+
+      const submissions = submissionList.submissions || [];
+      let reachedLookbackLimit = false;
+
+      for (const submission of submissions) {
+        const timestamp = parseInt(submission.timestamp);
+
+        // Submissions are listed newest first
+        if (timestamp < since) {
+          reachedLookbackLimit = true;
+          break;
+        }
+
+        // Filter for accepted submissions only
+        if (submission.status === 10) {
+          accepted.push({
+            id: submission.id,
+            title: submission.title,
+            timestamp,
+            lang: submission.lang,
+          });
+        }
+      }
+
+      if (reachedLookbackLimit || !submissionList.hasNext || submissions.length === 0) {
+        break;
+      }
+
+      offset += this.submissionPageSize;
+      lastKey = submissionList.lastKey;
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Fetch one page of a problem's accepted submissions.
+   *
+   * @param {string} titleSlug - The problem's URL slug identifier
+   * @param {number} offset - Offset of the page
+   * @param {string} lastKey - Pagination key returned by the previous page
+   * @returns {Promise<Object>} questionSubmissionList with submissions, hasNext and lastKey
+   * @throws {Error} With needsPause property for rate limit scenarios
+   */
+  async fetchSubmissionListPage(titleSlug, offset, lastKey) {
+    const submissionsResponse = await this.request("https://leetcode.com/graphql", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      credentials: "include",
+      body: JSON.stringify({
+        query: `
+          query submissionList($offset: Int!, $limit: Int!, $lastKey: String, $questionSlug: String!, $lang: Int, $status: Int) {
   questionSubmissionList(
     offset: $offset
     limit: $limit
@@ -171,98 +404,113 @@ export default class LeetCodeService {
   }
 }
           `,
-          variables: {
-            questionSlug: titleSlug,
-            offset: 0,
-            limit: 20, // Reduced limit to avoid timeouts
-            lastKey: "null",
-            status: 10, // Only accepted submissions
-          },
-        }),
-      });
-
-      // Check HTTP status for rate limiting indicators
-      if (!submissionsResponse.ok) {
-        const error = new Error(`HTTP error: ${submissionsResponse.status}`);
-        error.needsPause =
-          submissionsResponse.status === 429 ||
-          submissionsResponse.status >= 500;
-        throw error;
-      }
-
-      const submissionsData = await submissionsResponse.json();
-
-      // Check for GraphQL errors which often indicate rate limiting
-      if (submissionsData.errors) {
-        const error = new Error(
-          `GraphQL errors: ${submissionsData.errors
-            .map((e) => e.message)
-            .join(", ")}`
-        );
-        error.needsPause = true;
-        throw error;
-      }
+        variables: {
+          questionSlug: titleSlug,
+          offset: offset,
+          limit: this.submissionPageSize,
+          lastKey: lastKey,
+          status: 10, // Only accepted submissions
+        },
+      }),
+    });
+
+    // Check HTTP status for rate limiting indicators
+    if (!submissionsResponse.ok) {
+      const error = new Error(`HTTP error: ${submissionsResponse.status}`);
+      error.needsPause =
+        submissionsResponse.status === 429 ||
+        submissionsResponse.status >= 500;
+      error.retryAfter = parseInt(
+        submissionsResponse.headers.get("Retry-After"),
+        10
+      );
+      throw error;
+    }
 
-      // Validate response structure
-      if (
-        !submissionsData.data ||
-        !submissionsData.data.questionSubmissionList
-      ) {
-        const error = new Error(
-          "Invalid submission list response - API rate limit likely reached"
-        );
-        error.needsPause = true;
-        throw error;
-      }
+    const submissionsData = await submissionsResponse.json();
 
-      const submissions =
-        submissionsData.data.questionSubmissionList.submissions;
+    // Check for GraphQL errors which often indicate rate limiting
+    if (submissionsData.errors) {
+      const error = new Error(
+        `GraphQL errors: ${submissionsData.errors
+          .map((e) => e.message)
+          .join(", ")}`
+      );
+      error.needsPause = true;
+      throw error;
+    }
 
-      // Filter for accepted submissions only
-      const acceptedSubmissions = submissions.filter(
-        (sub) => sub.status === 10
+    // Validate response structure
+    if (
+      !submissionsData.data ||
+      !submissionsData.data.questionSubmissionList
+    ) {
+      const error = new Error(
+        "Invalid submission list response - API rate limit likely reached"
       );
+      error.needsPause = true;
+      throw error;
+    }
 
-      if (acceptedSubmissions.length === 0) {
-        return {};
-      }
+    return submissionsData.data.questionSubmissionList;
+  }
 
-      const submissionsByLang = {};
+  /**
+   * Run a LeetCode request, retrying rate-limited failures.
+   * Each failure throttles the shared rate limiter, so the next attempt waits
+   * for its backoff or for the Retry-After header LeetCode sent. Once the
+   * attempts are exhausted the error is rethrown so the sync can pause as a whole.
+   *
+   * @param {Function} request - Async function performing the request
+   * @returns {Promise<*>} Result of the request
+   * @throws {Error} The last error, or any error not flagged with needsPause
+   */
+  async withRateLimitBackoff(request) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        if (!error.needsPause) {
+          throw error;
+        }
 
-      // Find the most recent submission per language
-      for (const submission of acceptedSubmissions) {
-        const lang = submission.lang;
-        const timestamp = parseInt(submission.timestamp);
+        this.rateLimiter.throttle(error.retryAfter);
 
-        if (
-          !submissionsByLang[lang] ||
-          timestamp > submissionsByLang[lang].timestamp
-        ) {
-          submissionsByLang[lang] = {
-            id: submission.id,
-            title: submission.title,
-            timestamp: timestamp,
-            lang: lang,
-          };
+        if (attempt >= this.maxRequestAttempts) {
+          throw error;
         }
       }
+    }
+  }
 
-      const result = {};
-
-      // Fetch detailed code for each language submission
-      for (const lang in submissionsByLang) {
-        // Longer delay between detail requests to be more respectful
-        await this.sleep(800);
-
-        const submissionId = submissionsByLang[lang].id;
+  /**
+   * Execute a LeetCode request once the shared rate limiter allows it.
+   *
+   * @param {string} url - LeetCode endpoint URL
+   * @param {Object} options - Fetch options
+   * @returns {Promise<Response>} Fetch API response object
+   */
+  request(url, options) {
+    return this.rateLimiter.schedule(() => fetch(url, options));
+  }
 
-        const detailsResponse = await fetch("https://leetcode.com/graphql", {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          credentials: "include",
-          body: JSON.stringify({
-            query: `
-              query submissionDetails($submissionId: Int!) {
+  /**
+   * Retrieves the code and metadata of a single submission.
+   *
+   * @param {string|number} submissionId - LeetCode submission ID
+   * @param {string} lang - LeetCode language key of the submission
+   * @returns {Promise<Object|null>} Submission data, null if the submission has no code
+   * @throws {Error} With needsPause property for rate limit scenarios
+   */
+  async getSubmissionDetails(submissionId, lang) {
+    const details = await this.withRateLimitBackoff(async () => {
+      const detailsResponse = await this.request("https://leetcode.com/graphql", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          query: `
+          query submissionDetails($submissionId: Int!) {
   submissionDetails(submissionId: $submissionId) {
     runtime
     runtimeDisplay
@@ -312,90 +560,188 @@ export default class LeetCodeService {
     stdOutput
   }
 }
-            `,
-            variables: {
-              submissionId: submissionId,
-            },
-          }),
-        });
-
-        // Check HTTP status for rate limiting
-        if (!detailsResponse.ok) {
-          const error = new Error(`HTTP error: ${detailsResponse.status}`);
-          error.needsPause =
-            detailsResponse.status === 429 || detailsResponse.status >= 500;
-          throw error;
-        }
+          `,
+          variables: {
+            submissionId: submissionId,
+          },
+        }),
+      });
 
-        const detailsData = await detailsResponse.json();
+      // Check HTTP status for rate limiting
+      if (!detailsResponse.ok) {
+        const error = new Error(`HTTP error: ${detailsResponse.status}`);
+        error.needsPause =
+          detailsResponse.status === 429 || detailsResponse.status >= 500;
+        error.retryAfter = parseInt(
+          detailsResponse.headers.get("Retry-After"),
+          10
+        );
+        throw error;
+      }
 
-        // Check for GraphQL errors
-        if (detailsData.errors) {
-          const error = new Error(
-            `GraphQL errors: ${detailsData.errors
-              .map((e) => e.message)
-              .join(", ")}`
-          );
-          error.needsPause = true;
-          throw error;
-        }
+      const detailsData = await detailsResponse.json();
 
-        // Validate response data structure
-        if (!detailsData.data) {
-          const error = new Error(
-            "Invalid details response - API rate limit likely reached"
-          );
-          error.needsPause = true;
-          throw error;
-        }
+      // Check for GraphQL errors
+      if (detailsData.errors) {
+        const error = new Error(
+          `GraphQL errors: ${detailsData.errors
+            .map((e) => e.message)
+            .join(", ")}`
+        );
+        error.needsPause = true;
+        throw error;
+      }
 
-        const details = detailsData.data.submissionDetails;
+      // Validate response data structure
+      if (!detailsData.data) {
+        const error = new Error(
+          "Invalid details response - API rate limit likely reached"
+        );
+        error.needsPause = true;
+        throw error;
+      }
 
-        // Check for null details (common rate limit indicator)
-        if (!details) {
-          const error = new Error(
-            "API rate limit reached - null submission details received"
-          );
-          error.needsPause = true;
-          throw error;
-        }
+      const details = detailsData.data.submissionDetails;
 
-        // Skip submissions without code (shouldn't happen for accepted submissions)
-        if (!details.code) {
-          continue;
-        }
+      // Check for null details (common rate limit indicator)
+      if (!details) {
+        const error = new Error(
+          "API rate limit reached - null submission details received"
+        );
+        error.needsPause = true;
+        throw error;
+      }
 
-        result[lang] = {
-          questionId: details.question.questionId,
-          title: this.kebabToPascalCase(details.question.titleSlug),
-          titleSlug: details.question.titleSlug,
-          status_display: "Accepted",
-          code: details.code,
-          timestamp: details.timestamp,
-          lang: lang,
-          topicTags: details.topicTags || [],
-        };
+      return details;
+    });
+
+    // Skip submissions without code (shouldn't happen for accepted submissions)
+    if (!details.code) {
+      return null;
+    }
+
+    return {
+      submissionId: submissionId.toString(),
+      questionId: details.question.questionId,
+      title: this.kebabToPascalCase(details.question.titleSlug),
+      titleSlug: details.question.titleSlug,
+      status_display: "Accepted",
+      code: details.code,
+      timestamp: details.timestamp,
+      lang: lang,
+      topicTags: details.topicTags || [],
+      runtime: details.runtimeDisplay || "",
+      memory: details.memoryDisplay || "",
+      runtimePercentile: this.formatPercentile(details.runtimePercentile),
+      memoryPercentile: this.formatPercentile(details.memoryPercentile),
+      notes: details.notes || "",
+    };
+  }
+
+  /**
+   * Retrieves the statement of a problem: description, hints and similar questions.
+   * The description HTML already contains the examples and constraints.
+   *
+   * @param {string} titleSlug - The problem's URL slug identifier
+   * @returns {Promise<Object|null>} Question data, null if the content is not available (premium problems)
+   * @throws {Error} With needsPause property for rate limit scenarios
+   */
+  async getQuestionDetails(titleSlug) {
+    const question = await this.withRateLimitBackoff(async () => {
+      const questionResponse = await this.request("https://leetcode.com/graphql", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        credentials: "include",
+        body: JSON.stringify({
+          query: `
+            query questionDetails($titleSlug: String!) {
+              question(titleSlug: $titleSlug) {
+                questionFrontendId
+                title
+                titleSlug
+                difficulty
+                content
+                hints
+                similarQuestions
+                topicTags {
+                  name
+                  slug
+                }
+              }
+            }
+          `,
+          variables: {
+            titleSlug: titleSlug,
+          },
+        }),
+      });
+
+      if (!questionResponse.ok) {
+        const error = new Error(`HTTP error: ${questionResponse.status}`);
+        error.needsPause =
+          questionResponse.status === 429 || questionResponse.status >= 500;
+        error.retryAfter = parseInt(
+          questionResponse.headers.get("Retry-After"),
+          10
+        );
+        throw error;
       }
 
-      // Ensure we have at least one valid submission
-      if (Object.keys(result).length === 0) {
-        return {};
+      const questionData = await questionResponse.json();
+
+      if (questionData.errors) {
+        const error = new Error(
+          `GraphQL errors: ${questionData.errors
+            .map((e) => e.message)
+            .join(", ")}`
+        );
+        error.needsPause = true;
+        throw error;
       }
 
-      return result;
+      return questionData.data?.question || null;
+    });
+
+    if (!question || !question.content) {
+      return null;
+    }
+
+    let similarQuestions = [];
+    try {
+      // Similar questions are sent as a JSON encoded string
+      similarQuestions = JSON.parse(question.similarQuestions || "[]");
     } catch (error) {
-      throw error;
+      similarQuestions = [];
     }
+
+    return {
+      id: question.questionFrontendId,
+      title: question.title,
+      titleSlug: question.titleSlug,
+      difficulty: question.difficulty,
+      content: question.content,
+      hints: question.hints || [],
+      similarQuestions: similarQuestions.map((similar) => ({
+        title: similar.title,
+        titleSlug: similar.titleSlug,
+        difficulty: similar.difficulty,
+      })),
+      topicTags: question.topicTags || [],
+    };
   }
 
   /**
-   * Utility function to pause execution for rate limiting.
+   * Format a beats percentile the way the content script does.
    *
-   * @param {number} ms - Milliseconds to sleep
-   * @returns {Promise} Promise that resolves after the specified delay
+   * @param {number|null} percentile - Percentile from the submission details
+   * @returns {string} Percentile such as "87.5%", empty if unknown
    */
-  sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  formatPercentile(percentile) {
+    if (percentile === null || percentile === undefined) {
+      return "";
+    }
+
+    return Math.round(percentile * 100) / 100 + "%";
   }
 
   /**
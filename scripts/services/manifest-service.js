@@ -0,0 +1,196 @@
+const MANIFEST_PATH = "solutions.json";
+const MANIFEST_VERSION = 1;
+
+/**
+ * Service building and reading solutions.json, the machine-readable manifest
+ * kept at the root of each linked repository.
+ * Sync reads it once per run to know which files the repository already holds,
+ * and to restore the solution index on a new browser.
+ *
+ * Manifest shape:
+ * {
+ *   version: 1,
+ *   updatedAt: "2024-05-01T10:00:00.000Z", // Newest listed submission
+ *   stats: { problems: 1, solutions: 1, difficulties: { Easy: 1, Medium: 0, Hard: 0 }, languages: { python3: 1 } },
+ *   problems: [{
+ *     id: "1", slug: "two-sum", title: "Two Sum", difficulty: "Easy",
+ *     topics: [{ name: "Array", slug: "array" }],
+ *     languages: {
+ *       python3: {
+ *         path: "python3/0001 two-sum.py", files: ["python3/0001 two-sum.py"],
+ *         submissionId: "123", timestamp: 1714557600, submittedAt: "2024-05-01T10:00:00.000Z",
+ *         runtimePercentile: 95.2, memoryPercentile: 60.1
+ *       }
+ *     }
+ *   }]
+ * }
+ */
+export default class ManifestService {
+  /**
+   * Build the manifest file of a repository.
+   * Only depends on the solutions, so an unchanged manifest is not committed again.
+   *
+   * @param {Array<Object>} problems - Problems from SolutionIndexService.getProblems, routed to the repository
+   * @returns {Object} File to commit with path and content
+   */
+  build(problems) {
+    const listedProblems = problems
+      .map((problem) => ({
+        id: problem.id,
+        slug: problem.slug,
+        title: problem.title,
+        difficulty: problem.difficulty,
+        topics: problem.topics || [],
+        languages: Object.fromEntries(
+          Object.entries(problem.languages)
+            .filter(([, entry]) => entry.path)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([lang, entry]) => [lang, this.buildSolution(entry)])
+        ),
+      }))
+      .filter((problem) => Object.keys(problem.languages).length > 0)
+      .sort(
+        (a, b) =>
+          (parseInt(a.id, 10) || Infinity) - (parseInt(b.id, 10) || Infinity) ||
+          a.slug.localeCompare(b.slug)
+      );
+
+    const newestTimestamp = Math.max(
+      0,
+      ...listedProblems.flatMap((problem) =>
+        Object.values(problem.languages).map((entry) => entry.timestamp || 0)
+      )
+    );
+
+    const manifest = {
+      version: MANIFEST_VERSION,
+      updatedAt: newestTimestamp
+        ? new Date(newestTimestamp * 1000).toISOString()
+        : null,
+      stats: this.buildStats(listedProblems),
+      problems: listedProblems,
+    };
+
+    return {
+      path: MANIFEST_PATH,
+      content: `${JSON.stringify(manifest, null, 2)}\n`,
+    };
+  }
+
+  /**
+   * Build the manifest entry of one solution.
+   *
+   * @param {Object} entry - Solution index entry
+   * @returns {Object} Entry with paths, submission and percentiles
+   */
+  buildSolution(entry) {
+    return {
+      path: entry.path,
+      files: entry.files?.length ? entry.files : [entry.path],
+      submissionId: entry.submissionId ?? null,
+      timestamp: entry.timestamp || null,
+      submittedAt: entry.timestamp
+        ? new Date(entry.timestamp * 1000).toISOString()
+        : null,
+      runtimePercentile: entry.runtimePercentile ?? null,
+      memoryPercentile: entry.memoryPercentile ?? null,
+    };
+  }
+
+  /**
+   * Count the listed problems and solutions.
+   *
+   * @param {Array<Object>} problems - Problems as listed in the manifest
+   * @returns {Object} Counts per difficulty and per language
+   */
+  buildStats(problems) {
+    const difficulties = { Easy: 0, Medium: 0, Hard: 0 };
+    const languages = {};
+    let solutions = 0;
+
+    for (const problem of problems) {
+      if (problem.difficulty in difficulties) {
+        difficulties[problem.difficulty]++;
+      }
+
+      for (const lang of Object.keys(problem.languages)) {
+        languages[lang] = (languages[lang] || 0) + 1;
+        solutions++;
+      }
+    }
+
+    return { problems: problems.length, solutions, difficulties, languages };
+  }
+
+  /**
+   * Read the manifest of a repository.
+   *
+   * @param {Object} provider - Repository provider
+   * @returns {Promise<Object|null>} Parsed manifest, null if the repository has none or it is unreadable
+   * @throws {Error} If the repository cannot be read
+   */
+  async read(provider) {
+    const file = await provider.getFile(MANIFEST_PATH);
+    return file ? this.parse(file.content) : null;
+  }
+
+  /**
+   * Parse a manifest written by this or an older version of the extension.
+   *
+   * @param {string} content - Content of solutions.json
+   * @returns {Object|null} Manifest, null if the content is not a supported manifest
+   */
+  parse(content) {
+    try {
+      const manifest = JSON.parse(content);
+
+      if (
+        !manifest ||
+        manifest.version > MANIFEST_VERSION ||
+        !Array.isArray(manifest.problems)
+      ) {
+        return null;
+      }
+
+      return manifest;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * List every file the manifest records.
+   *
+   * @param {Object} manifest - Parsed manifest
+   * @returns {Set<string>} Repository-relative paths
+   */
+  getPaths(manifest) {
+    return new Set(
+      manifest.problems.flatMap((problem) =>
+        Object.values(problem.languages || {}).flatMap((entry) => [
+          entry.path,
+          ...(entry.files || []),
+        ])
+      )
+    );
+  }
+
+  /**
+   * Convert the manifest back to solution index problems.
+   *
+   * @param {Object} manifest - Parsed manifest
+   * @returns {Array<Object>} Problems shaped like SolutionIndexService.getProblems
+   */
+  getProblems(manifest) {
+    return manifest.problems
+      .filter((problem) => problem.slug)
+      .map(({ languages = {}, ...details }) => ({
+        ...details,
+        languages: Object.fromEntries(
+          Object.entries(languages).map(
+            ([lang, { submittedAt, ...entry }]) => [lang, entry]
+          )
+        ),
+      }));
+  }
+}
@@ -0,0 +1,258 @@
+import GithubService from "./github-service.js";
+import SolutionIndexService from "./solution-index-service.js";
+import Problem from "../models/problem.js";
+
+const OUTBOX_STORAGE_KEY = "leetcode_tracker_outbox";
+const RETRY_ALARM_NAME = "leetcode_tracker_outbox_retry";
+
+/**
+ * Service keeping pushes that failed, typically while GitHub was unreachable,
+ * until the background worker manages to push them.
+ *
+ * Stored shape:
+ * {
+ *   "1774457019": {
+ *     problem: { slug: "two-sum", code: "...", ... }, // Problem.serialize
+ *     comment: "",
+ *     attempts: 2,
+ *     queuedAt: "2024-01-01T10:00:00.000Z",
+ *     nextAttemptAt: 1704103320000, // Epoch milliseconds
+ *     lastError: "Failed to fetch",
+ *     repositories: ["owner/archive"] // Left to write after a partial push, null for all
+ *   }
+ * }
+ */
+export default class OutboxService {
+  constructor() {
+    this.baseRetryDelay = 60 * 1000;
+    this.maxRetryDelay = 60 * 60 * 1000;
+
+    // Operations read and write the whole outbox, so they run one at a time
+    this.operations = Promise.resolve();
+  }
+
+  /**
+   * Name of the alarm waking the background worker for the next retry.
+   *
+   * @returns {string} Alarm name
+   */
+  static get alarmName() {
+    return RETRY_ALARM_NAME;
+  }
+
+  /**
+   * Queue a push that failed.
+   * A submission already queued keeps its attempt count, so it is not retried
+   * sooner than its backoff allows.
+   *
+   * @param {Object} problemData - Problem data from Problem.serialize
+   * @param {string} comment - Solution notes entered by the user
+   * @param {string} error - Message of the error that made the push fail
+   * @param {Array<string>|null} [repositories] - Repositories that failed, null for every routed one
+   * @returns {Promise<number>} Number of queued pushes
+   */
+  enqueue(problemData, comment = "", error = "", repositories = null) {
+    return this.runExclusive(async () => {
+      const outbox = await this.load();
+      const key = this.getKey(problemData);
+      const existing = outbox[key];
+
+      outbox[key] = {
+        problem: problemData,
+        comment: comment || existing?.comment || "",
+        attempts: existing?.attempts || 0,
+        queuedAt: existing?.queuedAt || new Date().toISOString(),
+        nextAttemptAt:
+          existing?.nextAttemptAt || Date.now() + this.baseRetryDelay,
+        lastError: error,
+        repositories,
+      };
+
+      await this.save(outbox);
+      await this.scheduleRetry(outbox);
+
+      return Object.keys(outbox).length;
+    });
+  }
+
+  /**
+   * Push every queued submission whose retry time has come.
+   *
+   * Algorithm:
+   * 1. Select due entries, or every entry when forced
+   * 2. Drop entries a synchronization already pushed
+   * 3. Push the others, removing them on success
+   * 4. Push failures back with an exponential delay
+   * 5. Schedule the alarm for the earliest remaining entry
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Retry every entry regardless of its backoff
+   * @returns {Promise<Object>} Counts of pushed and remaining entries
+   */
+  processDue({ force = false } = {}) {
+    return this.runExclusive(async () => {
+      const outbox = await this.load();
+      const now = Date.now();
+      const result = { pushed: 0, remaining: 0 };
+
+      const solutionIndex = new SolutionIndexService();
+      await solutionIndex.load();
+
+      for (const [key, entry] of Object.entries(outbox)) {
+        if (!force && entry.nextAttemptAt > now) {
+          continue;
+        }
+
+        const problem = Problem.deserialize(entry.problem);
+
+        if (this.isAlreadySynced(solutionIndex, problem, entry.repositories)) {
+          delete outbox[key];
+          await this.save(outbox);
+          continue;
+        }
+
+        try {
+          const githubService = new GithubService();
+          const pushResult = await githubService.submitToRepositories(
+            problem,
+            entry.comment,
+            entry.repositories
+          );
+
+          // Nothing is pushed while the repository is not configured
+          if (!pushResult) {
+            throw new Error("The repository is not configured");
+          }
+
+          // Only the repositories that failed are written on the next attempt
+          if (pushResult.failures.length > 0) {
+            entry.repositories = pushResult.failures.map(
+              (failure) => failure.repository
+            );
+            throw new Error(pushResult.error);
+          }
+
+          delete outbox[key];
+          result.pushed++;
+        } catch (error) {
+          entry.attempts++;
+          entry.lastError = error.message;
+          entry.nextAttemptAt = Date.now() + this.getRetryDelay(entry.attempts);
+        }
+
+        // Saved after each push so a stopped worker does not push twice
+        await this.save(outbox);
+      }
+
+      await this.scheduleRetry(outbox);
+
+      result.remaining = Object.keys(outbox).length;
+      return result;
+    });
+  }
+
+  /**
+   * Check whether the solution index records this submission or a newer one.
+   *
+   * @param {SolutionIndexService} solutionIndex - Loaded solution index
+   * @param {Problem} problem - Queued problem
+   * @param {Array<string>|null} [repositories] - Repositories left after a partial push
+   * @returns {boolean} True if the queued push is no longer needed
+   */
+  isAlreadySynced(solutionIndex, problem, repositories = null) {
+    const lang = problem.language.langName?.toLowerCase();
+    const entry = solutionIndex.getEntry(problem.slug, lang);
+
+    if (!entry) {
+      return false;
+    }
+
+    // A partial push recorded the submission itself, only a newer one replaces it
+    if (entry.submissionId === problem.submissionId?.toString()) {
+      return !repositories;
+    }
+
+    return (
+      !solutionIndex.isNewer(
+        problem.slug,
+        lang,
+        Math.floor(problem.submissionDate.getTime() / 1000)
+      )
+    );
+  }
+
+  /**
+   * Get the delay before the next attempt, doubling after each failure.
+   *
+   * @param {number} attempts - Failed attempts so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempts) {
+    return Math.min(
+      this.baseRetryDelay * Math.pow(2, Math.max(attempts - 1, 0)),
+      this.maxRetryDelay
+    );
+  }
+
+  /**
+   * Set the retry alarm to the earliest queued entry, or clear it when empty.
+   *
+   * @param {Object} outbox - Current outbox
+   */
+  async scheduleRetry(outbox) {
+    const times = Object.values(outbox).map((entry) => entry.nextAttemptAt);
+
+    if (times.length === 0) {
+      await chrome.alarms.clear(RETRY_ALARM_NAME);
+      return;
+    }
+
+    // Chrome does not fire alarms more often than every 30 seconds
+    await chrome.alarms.create(RETRY_ALARM_NAME, {
+      when: Math.max(Math.min(...times), Date.now() + 30 * 1000),
+    });
+  }
+
+  /**
+   * Get the key de-duplicating queued pushes.
+   *
+   * @param {Object} problemData - Serialized problem
+   * @returns {string} Submission ID, or slug and language when it is unknown
+   */
+  getKey(problemData) {
+    return problemData.submissionId
+      ? problemData.submissionId.toString()
+      : `${problemData.slug}:${problemData.language?.langName}`;
+  }
+
+  /**
+   * Run an operation once the previous ones are finished.
+   *
+   * @param {Function} operation - Async operation
+   * @returns {Promise<*>} Result of the operation
+   */
+  runExclusive(operation) {
+    const run = this.operations.then(operation);
+    this.operations = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Load the outbox from Chrome storage.
+   *
+   * @returns {Promise<Object>} Queued entries keyed by submission
+   */
+  async load() {
+    const result = await chrome.storage.local.get(OUTBOX_STORAGE_KEY);
+    return result[OUTBOX_STORAGE_KEY] || {};
+  }
+
+  /**
+   * Persist the outbox to Chrome storage.
+   *
+   * @param {Object} outbox - Queued entries keyed by submission
+   */
+  async save(outbox) {
+    await chrome.storage.local.set({ [OUTBOX_STORAGE_KEY]: outbox });
+  }
+}
@@ -0,0 +1,393 @@
+import RepositoryProvider from "./repository-provider.js";
+import EncodingUtils from "../../utils/encoding-utils.js";
+
+/**
+ * Provider writing to a self-hosted Gitea or Forgejo server through the REST API v1.
+ * Batches go through the change-files endpoint, which applies every file
+ * operation of a commit at once (Gitea 1.20 or later).
+ */
+export default class GiteaProvider extends RepositoryProvider {
+  get name() {
+    return "Gitea";
+  }
+
+  /**
+   * Build the API URL of the linked repository.
+   *
+   * @returns {string} URL such as "https://gitea.example.com/api/v1/repos/user/repo"
+   * @throws {Error} If no server or repository is configured
+   */
+  getRepositoryUrl() {
+    if (!this.host) {
+      throw new Error("Enter the host of your Gitea server");
+    }
+
+    const { username, repositoryName } = this.parseRepository();
+    return `https://${this.host}/api/v1/repos/${encodeURIComponent(
+      username
+    )}/${encodeURIComponent(repositoryName)}`;
+  }
+
+  async getFile(path) {
+    const branch = await this.getReadBranch();
+    const response = await this.fetchWithAuth(
+      `${this.getRepositoryUrl()}/contents/${this.encodePath(
+        path
+      )}?ref=${encodeURIComponent(branch)}`,
+      "GET"
+    );
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to read ${path}: ${response.status}`);
+    }
+
+    const file = await response.json();
+    return {
+      path,
+      content: EncodingUtils.decodeBase64(file.content),
+      sha: file.sha,
+    };
+  }
+
+  async createFile(path, content, message) {
+    const response = await this.fetchWithAuth(
+      `${this.getRepositoryUrl()}/contents/${this.encodePath(path)}`,
+      "POST",
+      {
+        branch: await this.getWriteBranch(),
+        message,
+        content: EncodingUtils.encodeBase64(content),
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+
+      if (
+        response.status === 422 &&
+        errorData.message?.includes("already exists")
+      ) {
+        return { created: false };
+      }
+
+      throw new Error(
+        `Failed to create file: ${response.status} - ${
+          errorData.message || "Unknown error"
+        }`
+      );
+    }
+
+    return { created: true };
+  }
+
+  async updateFile(path, content, message, sha) {
+    await this.request(
+      `${this.getRepositoryUrl()}/contents/${this.encodePath(path)}`,
+      "PUT",
+      {
+        branch: await this.getWriteBranch(),
+        message,
+        content: EncodingUtils.encodeBase64(content),
+        sha,
+      }
+    );
+
+    return { updated: true };
+  }
+
+  /**
+   * List every file of the branch, one page of the recursive tree at a time.
+   *
+   * @returns {Promise<Array<Object>>} Blob entries with path and sha
+   */
+  async listFiles() {
+    const repository = await this.getRepository();
+
+    // An empty repository has no tree yet
+    if (repository.empty) {
+      return [];
+    }
+
+    const branch = await this.getReadBranch();
+    const files = [];
+    let page = 1;
+    let truncated = true;
+
+    while (truncated) {
+      const tree = await this.request(
+        `${this.getRepositoryUrl()}/git/trees/${encodeURIComponent(
+          branch
+        )}?recursive=true&per_page=1000&page=${page}`,
+        "GET"
+      );
+
+      (tree.tree || [])
+        .filter((entry) => entry.type === "blob")
+        .forEach((entry) => files.push({ path: entry.path, sha: entry.sha }));
+
+      truncated = tree.truncated;
+      page++;
+    }
+
+    return files;
+  }
+
+  async readFile(file) {
+    const blob = await this.request(
+      `${this.getRepositoryUrl()}/git/blobs/${file.sha}`,
+      "GET"
+    );
+
+    return EncodingUtils.decodeBase64(blob.content);
+  }
+
+  /**
+   * Create one commit per entry through the change-files endpoint.
+   * Moved files are sent with their content, which Gitea requires to rename a file.
+   *
+   * @param {Array<Object>} commits - Commits in order, each with message and files
+   * @returns {Promise<Object|null>} Last created commit, null if nothing was committed
+   * @throws {Error} If a commit is rejected
+   */
+  async commitChanges(commits) {
+    if (commits.every((commit) => commit.files.length === 0)) {
+      return null;
+    }
+
+    const branch = await this.getWriteBranch();
+    const plannedCommits = await this.planCommits(
+      commits,
+      await this.listFiles()
+    );
+    let commit = null;
+
+    for (const { message, actions } of plannedCommits) {
+      const files = [];
+
+      for (const action of actions) {
+        const content =
+          action.action === "move"
+            ? await this.readFile({ path: action.previousPath, sha: action.sha })
+            : action.content;
+
+        files.push({
+          operation: action.action === "move" ? "update" : action.action,
+          path: action.path,
+          ...(action.previousPath && { from_path: action.previousPath }),
+          ...(action.sha && { sha: action.sha }),
+          ...(content !== undefined && {
+            content: EncodingUtils.encodeBase64(content),
+          }),
+        });
+      }
+
+      const result = await this.request(
+        `${this.getRepositoryUrl()}/contents`,
+        "POST",
+        { branch, message, files }
+      );
+      commit = result.commit;
+    }
+
+    return commit;
+  }
+
+  /**
+   * Read the linked repository.
+   *
+   * @returns {Promise<Object>} Repository with default_branch, empty and permissions
+   * @throws {Error} If the repository cannot be read
+   */
+  async getRepository() {
+    if (!this.repositoryData) {
+      this.repositoryData = await this.request(this.getRepositoryUrl(), "GET");
+    }
+
+    return this.repositoryData;
+  }
+
+  /**
+   * Get the default branch name of the linked repository.
+   *
+   * @returns {Promise<string>} Default branch name
+   * @throws {Error} If the repository cannot be read
+   */
+  async getDefaultBranch() {
+    const repository = await this.getRepository();
+    return repository.default_branch || "main";
+  }
+
+  async hasBranch(name) {
+    const response = await this.fetchWithAuth(
+      `${this.getRepositoryUrl()}/branches/${this.encodePath(name)}`,
+      "GET"
+    );
+
+    if (response.status === 404) {
+      return false;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to read branch ${name}: ${response.status}`);
+    }
+
+    return true;
+  }
+
+  async createBranch(name, fromBranch) {
+    if (!(await this.hasBranch(fromBranch))) {
+      return false;
+    }
+
+    await this.request(`${this.getRepositoryUrl()}/branches`, "POST", {
+      new_branch_name: name,
+      old_branch_name: fromBranch,
+    });
+
+    return true;
+  }
+
+  async findPullRequest() {
+    const baseBranch = await this.getBaseBranch();
+    const pullRequests = await this.request(
+      `${this.getRepositoryUrl()}/pulls?state=open&limit=50`,
+      "GET"
+    );
+    const pullRequest = pullRequests.find(
+      (pull) => pull.head?.ref === this.branch && pull.base?.ref === baseBranch
+    );
+
+    return pullRequest ? this.toPullRequest(pullRequest) : null;
+  }
+
+  async createPullRequest(title, body) {
+    const pullRequest = await this.request(
+      `${this.getRepositoryUrl()}/pulls`,
+      "POST",
+      {
+        head: this.branch,
+        base: await this.getBaseBranch(),
+        title,
+        body,
+      }
+    );
+
+    return this.toPullRequest(pullRequest);
+  }
+
+  async updatePullRequest(number, title, body) {
+    const pullRequest = await this.request(
+      `${this.getRepositoryUrl()}/pulls/${number}`,
+      "PATCH",
+      { title, body }
+    );
+
+    return this.toPullRequest(pullRequest);
+  }
+
+  /**
+   * Keep the fields of a Gitea pull request the extension uses.
+   *
+   * @param {Object} pullRequest - Pull request from the Gitea API
+   * @returns {Object} Pull request with number and url
+   */
+  toPullRequest(pullRequest) {
+    return { number: pullRequest.number, url: pullRequest.html_url };
+  }
+
+  async createRepository({ name, owner = "", isPrivate = true }) {
+    if (!this.host) {
+      throw new Error("Enter the host of your Gitea server");
+    }
+
+    const url = this.isPersonalOwner(owner)
+      ? `https://${this.host}/api/v1/user/repos`
+      : `https://${this.host}/api/v1/orgs/${encodeURIComponent(owner)}/repos`;
+    const response = await this.fetchWithAuth(url, "POST", {
+      name,
+      private: isPrivate,
+      description: "LeetCode solutions synchronized by LeetCode Tracker",
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(
+        response.status === 409
+          ? `A repository named ${name} already exists`
+          : response.status === 404 || response.status === 403
+          ? `The token cannot create repositories for ${owner || this.username}`
+          : `Failed to create the repository: ${response.status} - ${
+              errorData.message || "Unknown error"
+            }`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    const repository = await response.json();
+    return repository.full_name;
+  }
+
+  /**
+   * Get the user owning the token. Gitea does not expose token expiration dates.
+   *
+   * @returns {Promise<Object>} User with login and a null tokenExpiresAt
+   * @throws {Error} If Gitea rejects the token
+   */
+  async getUser() {
+    if (!this.host) {
+      throw new Error("Enter the host of your Gitea server");
+    }
+
+    const response = await this.fetchWithAuth(
+      `https://${this.host}/api/v1/user`,
+      "GET"
+    );
+
+    if (!response.ok) {
+      throw new Error(
+        response.status === 401
+          ? "Gitea rejected this token, check that it is complete and not revoked"
+          : `Failed to read the Gitea user: ${response.status}`
+      );
+    }
+
+    const user = await response.json();
+    return { login: user.login, tokenExpiresAt: null };
+  }
+
+  /**
+   * Check the token can see the repository and push to it.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} Explaining which access is missing, with the status attached
+   */
+  async checkAccess() {
+    const { username, repositoryName } = this.parseRepository();
+    const repository = `${username}/${repositoryName}`;
+    const response = await this.fetchWithAuth(this.getRepositoryUrl(), "GET");
+
+    if (!response.ok) {
+      const error = new Error(
+        response.status === 404
+          ? `The token has no access to ${repository}`
+          : response.status === 403
+          ? `The token needs the "write:repository" scope on ${repository}`
+          : `Failed to read ${repository}: ${response.status}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    if (!data.permissions?.push) {
+      const error = new Error(`The token's user cannot push to ${repository}`);
+      error.status = 403;
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,496 @@
+import RepositoryProvider from "./repository-provider.js";
+import EncodingUtils from "../../utils/encoding-utils.js";
+
+/**
+ * Provider writing to GitHub or a GitHub Enterprise Server.
+ * Single files go through the Contents API, batches through the Git Data API
+ * so any number of files lands in one commit and one ref update.
+ */
+export default class GithubProvider extends RepositoryProvider {
+  get name() {
+    return "GitHub";
+  }
+
+  /**
+   * Build the GitHub API URL of the linked repository.
+   *
+   * @returns {string} URL such as "https://api.github.com/repos/user/repo"
+   * @throws {Error} If the repository configuration is invalid
+   */
+  getRepositoryUrl() {
+    const { username, repositoryName } = this.parseRepository();
+    return `${this.config.REPOSITORY_URL}${username}/${repositoryName}`;
+  }
+
+  async getFile(path) {
+    const branch = await this.getReadBranch();
+    const response = await this.fetchWithAuth(
+      `${this.getRepositoryUrl()}/contents/${this.encodePath(
+        path
+      )}?ref=${encodeURIComponent(branch)}`,
+      "GET"
+    );
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to read ${path}: ${response.status}`);
+    }
+
+    const file = await response.json();
+    return {
+      path,
+      content: EncodingUtils.decodeBase64(file.content),
+      sha: file.sha,
+    };
+  }
+
+  async createFile(path, content, message) {
+    const response = await this.fetchWithAuth(
+      `${this.getRepositoryUrl()}/contents/${this.encodePath(path)}`,
+      "PUT",
+      {
+        message,
+        content: EncodingUtils.encodeBase64(content),
+        branch: await this.getWriteBranch(),
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+
+      // Handle file already exists scenario gracefully
+      if (
+        response.status === 422 &&
+        errorData.message?.includes("already exists")
+      ) {
+        return { created: false };
+      }
+
+      throw new Error(
+        `Failed to create file: ${response.status} - ${
+          errorData.message || "Unknown error"
+        }`
+      );
+    }
+
+    return { created: true };
+  }
+
+  async updateFile(path, content, message, sha) {
+    const response = await this.fetchWithAuth(
+      `${this.getRepositoryUrl()}/contents/${this.encodePath(path)}`,
+      "PUT",
+      {
+        message,
+        content: EncodingUtils.encodeBase64(content),
+        sha, // Required for updates to prevent conflicts
+        branch: await this.getWriteBranch(),
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(
+        `Failed to update file: ${response.status} - ${
+          errorData.message || "Unknown error"
+        }`
+      );
+    }
+
+    return { updated: true };
+  }
+
+  /**
+   * List every file of the branch in one recursive tree request.
+   *
+   * @returns {Promise<Array<Object>>} Blob entries with path and sha
+   * @throws {Error} If the tree is too large to be listed in one request
+   */
+  async listFiles() {
+    const branch = await this.getReadBranch();
+    const head = await this.getBranchHead(branch);
+
+    // An empty repository has no tree yet
+    if (!head) {
+      return [];
+    }
+
+    const tree = await this.request(
+      `${this.getRepositoryUrl()}/git/trees/${head.treeSha}?recursive=1`,
+      "GET"
+    );
+
+    if (tree.truncated) {
+      throw new Error("The repository is too large to be listed in one request");
+    }
+
+    return tree.tree
+      .filter((entry) => entry.type === "blob")
+      .map((entry) => ({ path: entry.path, sha: entry.sha }));
+  }
+
+  async readFile(file) {
+    const blob = await this.request(
+      `${this.getRepositoryUrl()}/git/blobs/${file.sha}`,
+      "GET"
+    );
+
+    return EncodingUtils.decodeBase64(blob.content);
+  }
+
+  /**
+   * Create a chain of commits through the Git Data API and move the branch once.
+   * Each commit is created on top of the previous one, so history mode can
+   * record every submission as its own commit in a single ref update.
+   * Moved files reuse their existing blob and deleted files get a null sha.
+   *
+   * Algorithm:
+   * 1. Resolve the branch, created if missing, and its head commit
+   * 2. For each commit, create a tree on top of the previous one with the file contents inlined
+   * 3. Skip commits whose tree is unchanged, create the others with the previous commit as parent
+   * 4. Move the branch reference to the last commit
+   *
+   * @param {Array<Object>} commits - Commits in order, each with message and files
+   * @returns {Promise<Object|null>} Last created commit, null if nothing was committed
+   * @throws {Error} If any Git Data API request fails
+   */
+  async commitChanges(commits) {
+    const pendingCommits = commits
+      .map(({ message, files }) => ({
+        message,
+        files: files.flatMap((file) => this.toTreeEntries(file)),
+      }))
+      .filter((commit) => commit.files.length > 0);
+
+    if (pendingCommits.length === 0) {
+      return null;
+    }
+
+    const repositoryUrl = this.getRepositoryUrl();
+    const branch = await this.getWriteBranch();
+    const head = await this.getBranchHead(branch);
+
+    if (!head) {
+      // The Git Data API cannot operate on an empty repository, so the first
+      // file goes through the Contents API to create the initial commit
+      const [firstCommit, ...remainingCommits] = pendingCommits;
+      const [firstFile, ...remainingFiles] = firstCommit.files;
+      await this.createFile(firstFile.path, firstFile.content, firstCommit.message);
+      return this.commitChanges([
+        { message: firstCommit.message, files: remainingFiles },
+        ...remainingCommits,
+      ]);
+    }
+
+    let parentSha = head.commitSha;
+    let treeSha = head.treeSha;
+    let commit = null;
+
+    for (const { message, files } of pendingCommits) {
+      // A path listed twice keeps its last content
+      const uniqueFiles = [
+        ...new Map(files.map((file) => [file.path, file])).values(),
+      ];
+
+      const tree = await this.request(`${repositoryUrl}/git/trees`, "POST", {
+        base_tree: treeSha,
+        tree: uniqueFiles.map((file) => ({
+          path: file.path,
+          mode: "100644",
+          type: "blob",
+          ...(file.sha !== undefined
+            ? { sha: file.sha }
+            : { content: file.content }),
+        })),
+      });
+
+      if (tree.sha === treeSha) {
+        continue;
+      }
+
+      commit = await this.request(`${repositoryUrl}/git/commits`, "POST", {
+        message,
+        tree: tree.sha,
+        parents: [parentSha],
+      });
+
+      parentSha = commit.sha;
+      treeSha = tree.sha;
+    }
+
+    if (!commit) {
+      return null;
+    }
+
+    await this.request(
+      `${repositoryUrl}/git/refs/heads/${this.encodePath(branch)}`,
+      "PATCH",
+      { sha: parentSha }
+    );
+
+    return commit;
+  }
+
+  /**
+   * Translate a file of the provider interface into Git Data API tree entries.
+   *
+   * @param {Object} file - File to write, move or delete
+   * @returns {Array<Object>} Entries with content, or with the sha of a blob, null to delete
+   */
+  toTreeEntries(file) {
+    if (file.deleted) {
+      return [{ path: file.path, sha: null }];
+    }
+
+    if (file.previousPath) {
+      return [
+        { path: file.path, sha: file.sha },
+        { path: file.previousPath, sha: null },
+      ];
+    }
+
+    return [{ path: file.path, content: file.content }];
+  }
+
+  /**
+   * Get the default branch name of the linked repository.
+   *
+   * @returns {Promise<string>} Default branch name
+   * @throws {Error} If the repository cannot be read
+   */
+  async getDefaultBranch() {
+    if (!this.defaultBranch) {
+      const repository = await this.request(this.getRepositoryUrl(), "GET");
+      this.defaultBranch = repository.default_branch;
+    }
+
+    return this.defaultBranch;
+  }
+
+  async hasBranch(name) {
+    return (await this.getBranchHead(name)) !== null;
+  }
+
+  async createBranch(name, fromBranch) {
+    const head = await this.getBranchHead(fromBranch);
+
+    if (!head) {
+      return false;
+    }
+
+    await this.request(`${this.getRepositoryUrl()}/git/refs`, "POST", {
+      ref: `refs/heads/${name}`,
+      sha: head.commitSha,
+    });
+
+    return true;
+  }
+
+  async findPullRequest() {
+    const { username } = this.parseRepository();
+    const pullRequests = await this.request(
+      `${this.getRepositoryUrl()}/pulls?state=open&head=${encodeURIComponent(
+        `${username}:${this.branch}`
+      )}&base=${encodeURIComponent(await this.getBaseBranch())}`,
+      "GET"
+    );
+
+    return pullRequests.length > 0 ? this.toPullRequest(pullRequests[0]) : null;
+  }
+
+  async createPullRequest(title, body) {
+    const pullRequest = await this.request(
+      `${this.getRepositoryUrl()}/pulls`,
+      "POST",
+      {
+        title,
+        body,
+        head: this.branch,
+        base: await this.getBaseBranch(),
+      }
+    );
+
+    return this.toPullRequest(pullRequest);
+  }
+
+  async updatePullRequest(number, title, body) {
+    const pullRequest = await this.request(
+      `${this.getRepositoryUrl()}/pulls/${number}`,
+      "PATCH",
+      { title, body }
+    );
+
+    return this.toPullRequest(pullRequest);
+  }
+
+  /**
+   * Keep the fields of a GitHub pull request the extension uses.
+   *
+   * @param {Object} pullRequest - Pull request from the GitHub API
+   * @returns {Object} Pull request with number and url
+   */
+  toPullRequest(pullRequest) {
+    return { number: pullRequest.number, url: pullRequest.html_url };
+  }
+
+  /**
+   * Get the head commit and tree of a branch.
+   *
+   * @param {string} branch - Branch name
+   * @returns {Promise<Object|null>} Object with commitSha and treeSha, null if the repository is empty
+   * @throws {Error} If the branch cannot be read for another reason
+   */
+  async getBranchHead(branch) {
+    const repositoryUrl = this.getRepositoryUrl();
+    const response = await this.fetchWithAuth(
+      `${repositoryUrl}/git/ref/heads/${this.encodePath(branch)}`,
+      "GET"
+    );
+
+    // 409 is returned for empty repositories, 404 when the branch has no commit yet
+    if (response.status === 409 || response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(
+        `Failed to read branch ${branch}: ${response.status} - ${
+          errorData.message || "Unknown error"
+        }`
+      );
+    }
+
+    const ref = await response.json();
+    const commit = await this.request(
+      `${repositoryUrl}/git/commits/${ref.object.sha}`,
+      "GET"
+    );
+
+    return {
+      commitSha: ref.object.sha,
+      treeSha: commit.tree.sha,
+    };
+  }
+
+  async createRepository({ name, owner = "", isPrivate = true }) {
+    const apiUrl = this.config.REPOSITORY_URL.replace(/repos\/$/, "");
+    const url = this.isPersonalOwner(owner)
+      ? `${apiUrl}user/repos`
+      : `${apiUrl}orgs/${encodeURIComponent(owner)}/repos`;
+    const response = await this.fetchWithAuth(url, "POST", {
+      name,
+      private: isPrivate,
+      description: "LeetCode solutions synchronized by LeetCode Tracker",
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(
+        response.status === 422
+          ? `A repository named ${name} already exists or the name is invalid`
+          : response.status === 404 || response.status === 403
+          ? `The token cannot create repositories for ${owner || this.username}`
+          : `Failed to create the repository: ${response.status} - ${
+              errorData.message || "Unknown error"
+            }`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    const repository = await response.json();
+    return repository.full_name;
+  }
+
+  /**
+   * Get the user owning the token.
+   * GitHub returns the expiration date of expiring tokens in a response header.
+   *
+   * @returns {Promise<Object>} User with login and tokenExpiresAt (ISO string or null)
+   * @throws {Error} If GitHub rejects the token
+   */
+  async getUser() {
+    const response = await this.fetchWithAuth(this.config.USER_INFO_URL, "GET");
+
+    if (!response.ok) {
+      throw new Error(
+        response.status === 401
+          ? "GitHub rejected this token, check that it is complete and not expired"
+          : `Failed to read the GitHub user: ${response.status}`
+      );
+    }
+
+    const user = await response.json();
+
+    return {
+      login: user.login,
+      tokenExpiresAt: this.parseTokenExpiration(
+        response.headers.get("github-authentication-token-expiration")
+      ),
+    };
+  }
+
+  /**
+   * Check the token can see the repository and write its contents.
+   *
+   * Algorithm:
+   * 1. Read the repository, fine-grained tokens get a 404 for repositories they were not granted
+   * 2. Create an unreferenced blob, which needs contents: write and stays invisible
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} Explaining which access is missing, with the status attached
+   */
+  async checkAccess() {
+    const { username, repositoryName } = this.parseRepository();
+    const repository = `${username}/${repositoryName}`;
+
+    const repoResponse = await this.fetchWithAuth(this.getRepositoryUrl(), "GET");
+    if (!repoResponse.ok) {
+      const error = new Error(
+        repoResponse.status === 404
+          ? `The token has no access to ${repository}`
+          : `Failed to read ${repository}: ${repoResponse.status}`
+      );
+      error.status = repoResponse.status;
+      throw error;
+    }
+
+    const blobResponse = await this.fetchWithAuth(
+      `${this.getRepositoryUrl()}/git/blobs`,
+      "POST",
+      { content: "", encoding: "utf-8" }
+    );
+    // An empty repository has no object database yet and answers 409
+    if (!blobResponse.ok && blobResponse.status !== 409) {
+      const error = new Error(
+        blobResponse.status === 403 || blobResponse.status === 404
+          ? `The token needs the "Contents: Read and write" permission on ${repository}`
+          : `Failed to check write access to ${repository}: ${blobResponse.status}`
+      );
+      error.status = blobResponse.status;
+      throw error;
+    }
+  }
+
+  /**
+   * Read the expiration header GitHub returns for tokens that expire.
+   *
+   * @param {string|null} value - Header value such as "2024-05-01 12:00:00 UTC"
+   * @returns {string|null} ISO date, null for tokens without expiration
+   */
+  parseTokenExpiration(value) {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+  }
+
+  getAuthHeaders() {
+    return {
+      ...this.config.HEADER,
+      Authorization: `token ${this.token}`,
+    };
+  }
+}
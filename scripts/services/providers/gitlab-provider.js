@@ -0,0 +1,427 @@
+import RepositoryProvider from "./repository-provider.js";
+import HostUtils from "../../utils/host-utils.js";
+import EncodingUtils from "../../utils/encoding-utils.js";
+
+// Developer role, the lowest one allowed to push to unprotected branches
+const DEVELOPER_ACCESS_LEVEL = 30;
+
+/**
+ * Provider writing to gitlab.com or a self-managed GitLab instance through the REST API v4.
+ * Batches go through the commits API, which takes every file action of a commit at once.
+ * The repository may sit in nested groups, such as "group/subgroup/leetcode".
+ */
+export default class GitlabProvider extends RepositoryProvider {
+  get name() {
+    return "GitLab";
+  }
+
+  /**
+   * Build the API URL of the GitLab server.
+   *
+   * @returns {string} URL such as "https://gitlab.com/api/v4"
+   */
+  getApiUrl() {
+    return `https://${HostUtils.resolveHost("gitlab", this.host)}/api/v4`;
+  }
+
+  /**
+   * Build the API URL of the linked project.
+   *
+   * @returns {string} URL such as "https://gitlab.com/api/v4/projects/user%2Frepo"
+   * @throws {Error} If the repository configuration is invalid
+   */
+  getProjectUrl() {
+    return `${this.getApiUrl()}/projects/${encodeURIComponent(
+      this.getProjectPath()
+    )}`;
+  }
+
+  /**
+   * Get the full path of the linked project, with every group level.
+   *
+   * @returns {string} Path such as "group/subgroup/leetcode"
+   * @throws {Error} If the repository configuration is invalid
+   */
+  getProjectPath() {
+    const { username, repositoryName } = this.parseRepository();
+    return this.repository.includes("/")
+      ? this.repository.trim()
+      : `${username}/${repositoryName}`;
+  }
+
+  async getFile(path) {
+    const branch = await this.getReadBranch();
+    const response = await this.fetchWithAuth(
+      `${this.getProjectUrl()}/repository/files/${encodeURIComponent(
+        path
+      )}?ref=${encodeURIComponent(branch)}`,
+      "GET"
+    );
+
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to read ${path}: ${response.status}`);
+    }
+
+    const file = await response.json();
+    return {
+      path,
+      content: EncodingUtils.decodeBase64(file.content),
+      sha: file.blob_id,
+    };
+  }
+
+  async createFile(path, content, message) {
+    const response = await this.fetchWithAuth(
+      `${this.getProjectUrl()}/repository/files/${encodeURIComponent(path)}`,
+      "POST",
+      {
+        branch: await this.getWriteBranch(),
+        commit_message: message,
+        content,
+        encoding: "text",
+      }
+    );
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+
+      // GitLab answers 400 when the path is taken
+      if (
+        response.status === 400 &&
+        errorData.message?.includes("already exists")
+      ) {
+        return { created: false };
+      }
+
+      throw new Error(
+        `Failed to create file: ${response.status} - ${
+          errorData.message || "Unknown error"
+        }`
+      );
+    }
+
+    return { created: true };
+  }
+
+  async updateFile(path, content, message, sha) {
+    await this.request(
+      `${this.getProjectUrl()}/repository/files/${encodeURIComponent(path)}`,
+      "PUT",
+      {
+        branch: await this.getWriteBranch(),
+        commit_message: message,
+        content,
+        encoding: "text",
+      }
+    );
+
+    return { updated: true };
+  }
+
+  /**
+   * List every file of the branch, one page of the recursive tree at a time.
+   *
+   * @returns {Promise<Array<Object>>} Blob entries with path and sha
+   */
+  async listFiles() {
+    const branch = await this.getReadBranch();
+    const files = [];
+    let page = "1";
+
+    while (page) {
+      const response = await this.fetchWithAuth(
+        `${this.getProjectUrl()}/repository/tree?recursive=true&per_page=100&ref=${encodeURIComponent(
+          branch
+        )}&page=${page}`,
+        "GET"
+      );
+
+      // An empty project has no tree yet
+      if (response.status === 404) {
+        return [];
+      }
+
+      if (!response.ok) {
+        throw new Error(`Failed to list the repository files: ${response.status}`);
+      }
+
+      const entries = await response.json();
+      entries
+        .filter((entry) => entry.type === "blob")
+        .forEach((entry) => files.push({ path: entry.path, sha: entry.id }));
+
+      page = response.headers.get("x-next-page");
+    }
+
+    return files;
+  }
+
+  async readFile(file) {
+    const response = await this.fetchWithAuth(
+      `${this.getProjectUrl()}/repository/blobs/${file.sha}/raw`,
+      "GET"
+    );
+
+    if (!response.ok) {
+      throw new Error(`Failed to read ${file.path}: ${response.status}`);
+    }
+
+    return response.text();
+  }
+
+  /**
+   * Create one commit per entry through the commits API.
+   * Every file action of a commit is applied at once, so a batch still
+   * produces a single commit.
+   *
+   * @param {Array<Object>} commits - Commits in order, each with message and files
+   * @returns {Promise<Object|null>} Last created commit, null if nothing was committed
+   * @throws {Error} If a commit is rejected
+   */
+  async commitChanges(commits) {
+    if (commits.every((commit) => commit.files.length === 0)) {
+      return null;
+    }
+
+    const branch = await this.getWriteBranch();
+    const plannedCommits = await this.planCommits(
+      commits,
+      await this.listFiles()
+    );
+    let commit = null;
+
+    for (const { message, actions } of plannedCommits) {
+      commit = await this.request(
+        `${this.getProjectUrl()}/repository/commits`,
+        "POST",
+        {
+          branch,
+          commit_message: message,
+          actions: actions.map((action) => ({
+            action: action.action,
+            file_path: action.path,
+            ...(action.previousPath && { previous_path: action.previousPath }),
+            ...(action.content !== undefined && {
+              content: action.content,
+              encoding: "text",
+            }),
+          })),
+        }
+      );
+    }
+
+    return commit;
+  }
+
+  /**
+   * Get the default branch name of the linked project.
+   * An empty project has none yet, its first commit creates "main".
+   *
+   * @returns {Promise<string>} Default branch name
+   * @throws {Error} If the project cannot be read
+   */
+  async getDefaultBranch() {
+    if (!this.defaultBranch) {
+      const project = await this.request(this.getProjectUrl(), "GET");
+      this.defaultBranch = project.default_branch || "main";
+    }
+
+    return this.defaultBranch;
+  }
+
+  async hasBranch(name) {
+    const response = await this.fetchWithAuth(
+      `${this.getProjectUrl()}/repository/branches/${encodeURIComponent(name)}`,
+      "GET"
+    );
+
+    if (response.status === 404) {
+      return false;
+    }
+
+    if (!response.ok) {
+      throw new Error(`Failed to read branch ${name}: ${response.status}`);
+    }
+
+    return true;
+  }
+
+  async createBranch(name, fromBranch) {
+    if (!(await this.hasBranch(fromBranch))) {
+      return false;
+    }
+
+    await this.request(
+      `${this.getProjectUrl()}/repository/branches?branch=${encodeURIComponent(
+        name
+      )}&ref=${encodeURIComponent(fromBranch)}`,
+      "POST"
+    );
+
+    return true;
+  }
+
+  async findPullRequest() {
+    const mergeRequests = await this.request(
+      `${this.getProjectUrl()}/merge_requests?state=opened&source_branch=${encodeURIComponent(
+        this.branch
+      )}&target_branch=${encodeURIComponent(await this.getBaseBranch())}`,
+      "GET"
+    );
+
+    return mergeRequests.length > 0
+      ? this.toPullRequest(mergeRequests[0])
+      : null;
+  }
+
+  async createPullRequest(title, body) {
+    const mergeRequest = await this.request(
+      `${this.getProjectUrl()}/merge_requests`,
+      "POST",
+      {
+        source_branch: this.branch,
+        target_branch: await this.getBaseBranch(),
+        title,
+        description: body,
+      }
+    );
+
+    return this.toPullRequest(mergeRequest);
+  }
+
+  async updatePullRequest(number, title, body) {
+    const mergeRequest = await this.request(
+      `${this.getProjectUrl()}/merge_requests/${number}`,
+      "PUT",
+      { title, description: body }
+    );
+
+    return this.toPullRequest(mergeRequest);
+  }
+
+  /**
+   * Keep the fields of a GitLab merge request the extension uses.
+   *
+   * @param {Object} mergeRequest - Merge request from the GitLab API
+   * @returns {Object} Merge request with its project-scoped number and url
+   */
+  toPullRequest(mergeRequest) {
+    return { number: mergeRequest.iid, url: mergeRequest.web_url };
+  }
+
+  /**
+   * Create an empty project in the user's namespace or in a group.
+   * The group is looked up first, the projects API only takes its numeric id.
+   */
+  async createRepository({ name, owner = "", isPrivate = true }) {
+    const namespace = this.isPersonalOwner(owner)
+      ? null
+      : await this.request(
+          `${this.getApiUrl()}/namespaces/${encodeURIComponent(owner)}`,
+          "GET"
+        ).catch(() => {
+          throw new Error(`The group ${owner} was not found`);
+        });
+
+    const response = await this.fetchWithAuth(`${this.getApiUrl()}/projects`, "POST", {
+      name,
+      path: name,
+      visibility: isPrivate ? "private" : "public",
+      description: "LeetCode solutions synchronized by LeetCode Tracker",
+      ...(namespace && { namespace_id: namespace.id }),
+    });
+
+    if (!response.ok) {
+      const error = new Error(
+        response.status === 400
+          ? `A project named ${name} already exists or the name is invalid`
+          : response.status === 403
+          ? `The token cannot create projects in ${owner || this.username}`
+          : `Failed to create the project: ${response.status}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    const project = await response.json();
+    return project.path_with_namespace;
+  }
+
+  /**
+   * Get the user owning the token.
+   * The expiration date is only readable for personal access tokens.
+   *
+   * @returns {Promise<Object>} User with login and tokenExpiresAt (ISO string or null)
+   * @throws {Error} If GitLab rejects the token
+   */
+  async getUser() {
+    const response = await this.fetchWithAuth(`${this.getApiUrl()}/user`, "GET");
+
+    if (!response.ok) {
+      throw new Error(
+        response.status === 401
+          ? "GitLab rejected this token, check that it is complete and not expired"
+          : `Failed to read the GitLab user: ${response.status}`
+      );
+    }
+
+    const user = await response.json();
+    const token = await this.request(
+      `${this.getApiUrl()}/personal_access_tokens/self`,
+      "GET"
+    ).catch(() => null);
+
+    return {
+      login: user.username,
+      tokenExpiresAt: token?.expires_at
+        ? new Date(token.expires_at).toISOString()
+        : null,
+    };
+  }
+
+  /**
+   * Check the token can see the project and push to it.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} Explaining which access is missing, with the status attached
+   */
+  async checkAccess() {
+    const projectPath = this.getProjectPath();
+    const response = await this.fetchWithAuth(this.getProjectUrl(), "GET");
+
+    if (!response.ok) {
+      const error = new Error(
+        response.status === 404
+          ? `The token has no access to ${projectPath}`
+          : response.status === 403
+          ? `The token needs the "api" scope to write to ${projectPath}`
+          : `Failed to read ${projectPath}: ${response.status}`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    const project = await response.json();
+    const accessLevel = Math.max(
+      project.permissions?.project_access?.access_level || 0,
+      project.permissions?.group_access?.access_level || 0
+    );
+
+    if (accessLevel < DEVELOPER_ACCESS_LEVEL) {
+      const error = new Error(
+        `The token's user needs at least the Developer role on ${projectPath}`
+      );
+      error.status = 403;
+      throw error;
+    }
+  }
+
+  getAuthHeaders() {
+    // Accepted for personal, project and OAuth tokens alike
+    return { Authorization: `Bearer ${this.token}` };
+  }
+}
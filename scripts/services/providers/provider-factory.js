@@ -0,0 +1,67 @@
+import ConfigurationService from "../configuration-service.js";
+import GithubProvider from "./github-provider.js";
+import GitlabProvider from "./gitlab-provider.js";
+import GiteaProvider from "./gitea-provider.js";
+
+const PROVIDERS = {
+  github: GithubProvider,
+  gitlab: GitlabProvider,
+  gitea: GiteaProvider,
+};
+
+/**
+ * Creates the repository provider selected in the popup.
+ */
+export default class ProviderFactory {
+  /**
+   * Create a provider of a given type.
+   *
+   * @param {string} type - Provider type: "github", "gitlab" or "gitea"
+   * @param {Object} options - Token, repository, username, host and config of the provider
+   * @returns {RepositoryProvider} Provider instance
+   * @throws {Error} If the type is unknown
+   */
+  static create(type, options) {
+    const Provider = PROVIDERS[type];
+
+    if (!Provider) {
+      throw new Error(`Unknown repository provider: ${type}`);
+    }
+
+    return new Provider(options);
+  }
+
+  /**
+   * Create the provider configured in Chrome storage, for the signed-in user,
+   * the linked repository and the configured branch.
+   *
+   * @param {Object} [overrides] - Options replacing the stored ones, such as a token being checked
+   * @param {Object} [env] - Environment configuration, read from storage when omitted
+   * @returns {Promise<RepositoryProvider>} Provider instance
+   */
+  static async createFromStorage(overrides = {}, env = null) {
+    const configurationService = new ConfigurationService();
+    const { provider, host } = await configurationService.getServerSettings();
+    const {
+      leetcode_tracker_token,
+      leetcode_tracker_repo,
+      leetcode_tracker_username,
+      leetcode_tracker_branch,
+    } = await configurationService.getChromeStorageConfig([
+      "leetcode_tracker_token",
+      "leetcode_tracker_repo",
+      "leetcode_tracker_username",
+      "leetcode_tracker_branch",
+    ]);
+
+    return ProviderFactory.create(provider, {
+      token: leetcode_tracker_token,
+      repository: leetcode_tracker_repo,
+      username: leetcode_tracker_username,
+      host,
+      branch: leetcode_tracker_branch || "",
+      config: await configurationService.getGitHubConfig(env),
+      ...overrides,
+    });
+  }
+}
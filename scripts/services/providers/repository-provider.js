@@ -0,0 +1,567 @@
+import RepositoryUtils from "../../utils/repository-utils.js";
+import RateLimitService from "../rate-limit-service.js";
+
+/**
+ * Interface of the services reading and writing the linked repository.
+ * GithubService formats solutions and delegates every repository operation to
+ * the provider selected in the popup (GitHub, GitLab or Gitea).
+ *
+ * Files are identified by repository-relative paths. Files returned by getFile
+ * and listFiles carry a `sha` that only the provider that returned them interprets.
+ *
+ * Writes go to the configured branch, created from its base branch on the
+ * first write. Reads use it once it exists and its base branch until then.
+ *
+ * Files given to commitChanges take one of three forms:
+ * - { path, content }: write the file, creating it if needed
+ * - { path, previousPath, sha }: move a listed file without changing its content
+ * - { path, deleted: true }: delete the file
+ */
+export default class RepositoryProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.token - Access token
+   * @param {string} options.repository - Repository as "owner/name"
+   * @param {string} [options.username] - Authenticated user, owner of legacy repository settings
+   * @param {string} [options.host] - Self-hosted server host, empty for the public service
+   * @param {Object} [options.config] - Environment configuration
+   * @param {string} [options.branch] - Branch receiving the writes, empty for the default branch
+   * @param {string} [options.baseBranch] - Branch the branch is created from, empty for the default branch
+   * @param {Map} [options.branchCache] - Branches resolved per repository, shared by the providers of a sync
+   */
+  constructor({
+    token,
+    repository,
+    username = "",
+    host = "",
+    config = {},
+    branch = "",
+    baseBranch = "",
+    branchCache = new Map(),
+  }) {
+    this.token = token;
+    this.repository = repository;
+    this.username = username;
+    this.host = host;
+    this.config = config;
+    this.branch = branch;
+    this.baseBranch = baseBranch;
+
+    // Default branch and known branches, looked up once per cache
+    this.branchCache = branchCache;
+  }
+
+  /**
+   * Read a file of the branch.
+   *
+   * @param {string} path - Repository-relative path
+   * @returns {Promise<Object|null>} File with path, content and sha, null if missing
+   */
+  async getFile(path) {
+    throw new Error(`${this.constructor.name} does not implement getFile`);
+  }
+
+  /**
+   * Create a file in its own commit.
+   *
+   * @param {string} path - Repository-relative path
+   * @param {string} content - File content
+   * @param {string} message - Commit message
+   * @returns {Promise<Object>} Result with created, false when the file already existed
+   */
+  async createFile(path, content, message) {
+    throw new Error(`${this.constructor.name} does not implement createFile`);
+  }
+
+  /**
+   * Replace the content of an existing file in its own commit.
+   *
+   * @param {string} path - Repository-relative path
+   * @param {string} content - New file content
+   * @param {string} message - Commit message
+   * @param {string} sha - Sha of the file as returned by getFile
+   * @returns {Promise<Object>} Result with updated
+   */
+  async updateFile(path, content, message, sha) {
+    throw new Error(`${this.constructor.name} does not implement updateFile`);
+  }
+
+  /**
+   * List every file of the branch.
+   *
+   * @returns {Promise<Array<Object>>} Files with path and sha, empty for an empty repository
+   */
+  async listFiles() {
+    throw new Error(`${this.constructor.name} does not implement listFiles`);
+  }
+
+  /**
+   * Read the content of a listed file.
+   *
+   * @param {Object} file - File returned by listFiles
+   * @returns {Promise<string>} File content
+   */
+  async readFile(file) {
+    throw new Error(`${this.constructor.name} does not implement readFile`);
+  }
+
+  /**
+   * Create a chain of commits on the branch.
+   * Commits that would not change any file are left out.
+   *
+   * @param {Array<Object>} commits - Commits in order, each with message and files
+   * @returns {Promise<Object|null>} Last created commit, null if nothing was committed
+   */
+  async commitChanges(commits) {
+    throw new Error(`${this.constructor.name} does not implement commitChanges`);
+  }
+
+  /**
+   * Create an empty repository, owned by the signed-in user or one of their organizations.
+   *
+   * @param {Object} options - Repository options
+   * @param {string} options.name - Repository name
+   * @param {string} [options.owner] - Organization or group owning it, the signed-in user when empty
+   * @param {boolean} [options.isPrivate=true] - Whether only members can see it
+   * @returns {Promise<string>} Created repository as "owner/name"
+   */
+  async createRepository({ name, owner = "", isPrivate = true }) {
+    throw new Error(`${this.constructor.name} does not implement createRepository`);
+  }
+
+  /**
+   * Check whether a repository owner is the signed-in user.
+   *
+   * @param {string} owner - Owner entered by the user, may be empty
+   * @returns {boolean} True if the repository belongs to the signed-in user
+   */
+  isPersonalOwner(owner) {
+    return !owner || owner.toLowerCase() === this.username.toLowerCase();
+  }
+
+  /**
+   * Get the user owning the token.
+   *
+   * @returns {Promise<Object>} User with login and tokenExpiresAt (ISO string or null)
+   */
+  async getUser() {
+    throw new Error(`${this.constructor.name} does not implement getUser`);
+  }
+
+  /**
+   * Check the token can read the repository and push to it.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} Explaining which access is missing
+   */
+  async checkAccess() {
+    throw new Error(`${this.constructor.name} does not implement checkAccess`);
+  }
+
+  /**
+   * Get the default branch of the repository.
+   *
+   * @returns {Promise<string>} Default branch name
+   */
+  async getDefaultBranch() {
+    throw new Error(`${this.constructor.name} does not implement getDefaultBranch`);
+  }
+
+  /**
+   * Check whether a branch exists.
+   *
+   * @param {string} name - Branch name
+   * @returns {Promise<boolean>} True if the branch exists
+   */
+  async hasBranch(name) {
+    throw new Error(`${this.constructor.name} does not implement hasBranch`);
+  }
+
+  /**
+   * Create a branch at the head of another one.
+   *
+   * @param {string} name - New branch name
+   * @param {string} fromBranch - Existing branch
+   * @returns {Promise<boolean>} False if the source branch has no commit yet
+   */
+  async createBranch(name, fromBranch) {
+    throw new Error(`${this.constructor.name} does not implement createBranch`);
+  }
+
+  /**
+   * Find the open pull request from the branch into its base branch.
+   *
+   * @returns {Promise<Object|null>} Pull request with number and url, null if none is open
+   */
+  async findPullRequest() {
+    throw new Error(`${this.constructor.name} does not implement findPullRequest`);
+  }
+
+  /**
+   * Open a pull request from the branch into its base branch.
+   *
+   * @param {string} title - Pull request title
+   * @param {string} body - Pull request description, in Markdown
+   * @returns {Promise<Object>} Pull request with number and url
+   */
+  async createPullRequest(title, body) {
+    throw new Error(`${this.constructor.name} does not implement createPullRequest`);
+  }
+
+  /**
+   * Replace the title and description of a pull request.
+   *
+   * @param {number} number - Pull request number
+   * @param {string} title - Pull request title
+   * @param {string} body - Pull request description, in Markdown
+   * @returns {Promise<Object>} Pull request with number and url
+   */
+  async updatePullRequest(number, title, body) {
+    throw new Error(`${this.constructor.name} does not implement updatePullRequest`);
+  }
+
+  /**
+   * Get the branch pull requests are opened against.
+   *
+   * @returns {Promise<string>} Base branch name
+   */
+  async getBaseBranch() {
+    return this.baseBranch || this.resolveDefaultBranch();
+  }
+
+  /**
+   * Get the branches of the repository already resolved in the cache.
+   *
+   * @returns {Object} Cache entry with defaultBranch and branches (existence keyed by name)
+   */
+  getCachedBranches() {
+    if (!this.branchCache.has(this.repository)) {
+      this.branchCache.set(this.repository, {
+        defaultBranch: null,
+        branches: new Map(),
+      });
+    }
+
+    return this.branchCache.get(this.repository);
+  }
+
+  /**
+   * Get the default branch, looked up once per cache.
+   *
+   * @returns {Promise<string>} Default branch name
+   */
+  async resolveDefaultBranch() {
+    const cached = this.getCachedBranches();
+
+    if (!cached.defaultBranch) {
+      cached.defaultBranch = await this.getDefaultBranch();
+    }
+
+    return cached.defaultBranch;
+  }
+
+  /**
+   * Check whether a branch exists, looked up once per cache.
+   *
+   * @param {string} name - Branch name
+   * @returns {Promise<boolean>} True if the branch exists
+   */
+  async resolveHasBranch(name) {
+    const { branches } = this.getCachedBranches();
+
+    if (!branches.has(name)) {
+      branches.set(name, await this.hasBranch(name));
+    }
+
+    return branches.get(name);
+  }
+
+  /**
+   * Get the branch reads are made from.
+   * A branch not created yet has the content of its base branch.
+   *
+   * @returns {Promise<string>} Branch name
+   */
+  async getReadBranch() {
+    if (!this.branch) {
+      return this.resolveDefaultBranch();
+    }
+
+    if (await this.resolveHasBranch(this.branch)) {
+      return this.branch;
+    }
+
+    return this.baseBranch && (await this.resolveHasBranch(this.baseBranch))
+      ? this.baseBranch
+      : this.resolveDefaultBranch();
+  }
+
+  /**
+   * Get the branch writes are made to, creating it when missing.
+   *
+   * Algorithm:
+   * 1. Use the default branch when no branch is configured
+   * 2. Create the base branch from the default branch if it does not exist
+   * 3. Create the branch from its base branch if it does not exist
+   *
+   * An empty repository has no commit to branch from, so its first write
+   * creates the branch instead.
+   *
+   * @returns {Promise<string>} Branch name
+   */
+  async getWriteBranch() {
+    if (!this.branch) {
+      return this.resolveDefaultBranch();
+    }
+
+    if (!(await this.resolveHasBranch(this.branch))) {
+      const defaultBranch = await this.resolveDefaultBranch();
+      const baseBranch = await this.getBaseBranch();
+      const { branches } = this.getCachedBranches();
+
+      if (
+        baseBranch !== this.branch &&
+        !(await this.resolveHasBranch(baseBranch))
+      ) {
+        await this.createBranch(baseBranch, defaultBranch);
+        branches.set(baseBranch, true);
+      }
+
+      if (baseBranch !== this.branch) {
+        await this.createBranch(this.branch, baseBranch);
+      }
+
+      branches.set(this.branch, true);
+    }
+
+    return this.branch;
+  }
+
+  /**
+   * Open a pull request from the branch, or update the one already open.
+   *
+   * @param {string} title - Pull request title
+   * @param {string} body - Pull request description, in Markdown
+   * @returns {Promise<Object>} Pull request with number, url and created
+   */
+  async openPullRequest(title, body) {
+    const existing = await this.findPullRequest();
+
+    if (existing) {
+      const pullRequest = await this.updatePullRequest(existing.number, title, body);
+      return { ...pullRequest, created: false };
+    }
+
+    const pullRequest = await this.createPullRequest(title, body);
+    return { ...pullRequest, created: true };
+  }
+
+  /**
+   * Commit several files at once.
+   *
+   * @param {Array<Object>} files - Files to commit
+   * @param {string} message - Commit message
+   * @returns {Promise<Object|null>} Created commit, null if nothing was committed
+   */
+  async commitFiles(files, message) {
+    if (!files || files.length === 0) {
+      return null;
+    }
+
+    return this.commitChanges([{ message, files }]);
+  }
+
+  /**
+   * Turn commits of the interface into the file actions of a commits API.
+   * Used by providers whose API takes a list of actions per commit and
+   * rejects creating an existing file or updating a missing one.
+   *
+   * Algorithm:
+   * 1. Start from the listed files of the branch, keyed by path
+   * 2. Compare the git blob sha of each written content with the current one,
+   *    dropping writes that would not change the file
+   * 3. Emit create, update, move or delete actions, updating the known files
+   *    so the next commit of the chain sees the previous ones
+   * 4. Leave out commits without any action
+   *
+   * @param {Array<Object>} commits - Commits in order, each with message and files
+   * @param {Array<Object>} files - Files of the branch from listFiles
+   * @returns {Promise<Array<Object>>} Commits with message and actions
+   */
+  async planCommits(commits, files) {
+    const shas = new Map(files.map((file) => [file.path, file.sha]));
+    const plannedCommits = [];
+
+    for (const { message, files: changes } of commits) {
+      // A path listed twice keeps its last content
+      const actions = new Map();
+
+      for (const change of changes) {
+        const previous = actions.get(change.path);
+
+        if (change.deleted) {
+          if (shas.has(change.path)) {
+            actions.set(change.path, {
+              action: "delete",
+              path: change.path,
+              sha: previous ? previous.sha : shas.get(change.path),
+            });
+            shas.delete(change.path);
+          }
+          continue;
+        }
+
+        if (change.previousPath) {
+          if (shas.has(change.previousPath)) {
+            actions.set(change.path, {
+              action: "move",
+              path: change.path,
+              previousPath: change.previousPath,
+              sha: shas.get(change.previousPath),
+            });
+            shas.set(change.path, shas.get(change.previousPath));
+            shas.delete(change.previousPath);
+          }
+          continue;
+        }
+
+        const sha = await this.computeBlobSha(change.content);
+        if (shas.get(change.path) === sha) {
+          continue;
+        }
+
+        actions.set(change.path, {
+          action:
+            previous?.action === "create" || !shas.has(change.path)
+              ? "create"
+              : "update",
+          path: change.path,
+          content: change.content,
+          sha: previous ? previous.sha : shas.get(change.path),
+        });
+        shas.set(change.path, sha);
+      }
+
+      if (actions.size > 0) {
+        plannedCommits.push({ message, actions: [...actions.values()] });
+      }
+    }
+
+    return plannedCommits;
+  }
+
+  /**
+   * Compute the git blob sha of a content, as listed in repository trees.
+   *
+   * @param {string} content - File content
+   * @returns {Promise<string>} Hexadecimal SHA-1 of the blob object
+   */
+  async computeBlobSha(content) {
+    const body = new TextEncoder().encode(content);
+    const header = new TextEncoder().encode(`blob ${body.length}\0`);
+    const object = new Uint8Array(header.length + body.length);
+    object.set(header);
+    object.set(body, header.length);
+
+    const digest = await crypto.subtle.digest("SHA-1", object);
+    return [...new Uint8Array(digest)]
+      .map((byte) => byte.toString(16).padStart(2, "0"))
+      .join("");
+  }
+
+  /**
+   * Parse the repository setting into owner and name.
+   * Legacy settings holding only the name belong to the signed-in user.
+   *
+   * @returns {Object} Object with username and repositoryName
+   * @throws {Error} If the repository setting is missing
+   */
+  parseRepository() {
+    const parsed = RepositoryUtils.parseRepositoryString(
+      this.repository,
+      this.username
+    );
+
+    if (!parsed) {
+      throw new Error("Invalid repository configuration");
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Encode a repository path for use in an API URL.
+   *
+   * @param {string} path - Repository-relative path
+   * @returns {string} Path with each segment URL-encoded
+   */
+  encodePath(path) {
+    return path.split("/").map(encodeURIComponent).join("/");
+  }
+
+  /**
+   * Execute an authenticated request once the rate limiter of the host allows it.
+   *
+   * @param {string} url - API endpoint URL
+   * @param {string} method - HTTP method
+   * @param {Object} [body] - Request body, sent as JSON
+   * @returns {Promise<Response>} Fetch API response object
+   */
+  async fetchWithAuth(url, method, body = null) {
+    const options = {
+      method,
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        ...this.getAuthHeaders(),
+      },
+    };
+    if (body) options.body = JSON.stringify(body);
+
+    return RateLimitService.forUrl(url).schedule(() => fetch(url, options));
+  }
+
+  /**
+   * Execute an authenticated request and return its JSON body.
+   *
+   * @param {string} url - API endpoint URL
+   * @param {string} method - HTTP method
+   * @param {Object} [body] - Request body, sent as JSON
+   * @returns {Promise<Object>} Parsed response body
+   * @throws {Error} If the response status is not successful, with the status attached
+   */
+  async request(url, method, body = null) {
+    const response = await this.fetchWithAuth(url, method, body);
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(
+        `${this.name} ${method} request failed: ${response.status} - ${
+          errorData.message || errorData.error || "Unknown error"
+        }`
+      );
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  /**
+   * Get the headers authenticating requests with the token.
+   *
+   * @returns {Object} Authentication headers
+   */
+  getAuthHeaders() {
+    return { Authorization: `token ${this.token}` };
+  }
+
+  /**
+   * Display name of the provider, used in error messages.
+   *
+   * @returns {string} Provider name
+   */
+  get name() {
+    return "Repository";
+  }
+}
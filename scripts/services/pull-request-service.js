@@ -0,0 +1,203 @@
+const PULL_REQUESTS_STORAGE_KEY = "leetcode_tracker_pull_requests";
+const BRANCH_PREFIX = "leetcode-tracker";
+
+/**
+ * Service keeping track of the pull requests opened in pull-request mode.
+ * Each feature branch (one per sync run or per day) gets a single pull request
+ * whose description lists every problem pushed to the branch.
+ *
+ * Stored shape, keyed by repository and branch:
+ * {
+ *   "user/repo:leetcode-tracker/2024-05-01": {
+ *     problems: [{ id: "1", slug: "two-sum", title: "Two Sum", lang: "python3", difficulty: "Easy", recordedAt: "2024-05-01T10:00:00.000Z" }],
+ *     number: 12,
+ *     url: "https://github.com/user/repo/pull/12",
+ *     updatedAt: "2024-05-01T10:00:05.000Z"
+ *   }
+ * }
+ */
+export default class PullRequestService {
+  /**
+   * Build the branch of the submissions pushed on a given day.
+   *
+   * @param {Date} [date=new Date()] - Day of the submissions, in local time
+   * @returns {string} Branch name such as "leetcode-tracker/2024-05-01"
+   */
+  static getDailyBranch(date = new Date()) {
+    const pad = (value) => value.toString().padStart(2, "0");
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+      date.getDate()
+    )}`;
+
+    return `${BRANCH_PREFIX}/${day}`;
+  }
+
+  /**
+   * Build the branch of a sync run.
+   * Derived from the run start so a resumed sync keeps pushing to the same branch.
+   *
+   * @param {string} startedAt - ISO date the sync run started
+   * @returns {string} Branch name such as "leetcode-tracker/sync-20240501-103000"
+   */
+  static getSyncBranch(startedAt) {
+    const stamp = new Date(startedAt)
+      .toISOString()
+      .slice(0, 19)
+      .replace(/-|:/g, "")
+      .replace("T", "-");
+
+    return `${BRANCH_PREFIX}/sync-${stamp}`;
+  }
+
+  /**
+   * Build the storage key of a feature branch.
+   * Git forbids ":" in branch names, so keys of different repositories cannot collide.
+   *
+   * @param {string} repository - Repository as "owner/name"
+   * @param {string} branch - Feature branch
+   * @returns {string} Key such as "user/repo:leetcode-tracker/2024-05-01"
+   */
+  getKey(repository, branch) {
+    return `${repository}:${branch}`;
+  }
+
+  /**
+   * Record problems pushed to a branch, so the next description lists them.
+   * A problem pushed again in the same language is listed once.
+   *
+   * @param {string} repository - Repository the problems were pushed to
+   * @param {string} branch - Feature branch the problems were pushed to
+   * @param {Array<Object>} problems - Problems with id, slug, title, lang and difficulty
+   * @returns {Promise<void>}
+   */
+  async recordProblems(repository, branch, problems) {
+    const key = this.getKey(repository, branch);
+    const pullRequests = await this.load();
+    const entry = pullRequests[key] || { problems: [] };
+    const recordedAt = new Date().toISOString();
+
+    for (const problem of problems) {
+      entry.problems = entry.problems.filter(
+        (recorded) =>
+          recorded.slug !== problem.slug || recorded.lang !== problem.lang
+      );
+      entry.problems.push({ ...problem, recordedAt });
+    }
+
+    pullRequests[key] = entry;
+    await this.save(pullRequests);
+  }
+
+  /**
+   * Open the pull request of the provider's branch, or refresh its description.
+   *
+   * Algorithm:
+   * 1. Read the problems recorded for the branch
+   * 2. Forget the problems already listed by a pull request that was merged or closed since
+   * 3. Build the title and the summary body from the remaining problems
+   * 4. Update the open pull request, or create one
+   *
+   * @param {Object} provider - Repository provider writing to the feature branch
+   * @returns {Promise<Object|null>} Pull request with number, url and created, null if nothing was pushed
+   * @throws {Error} If the pull request cannot be read, created or updated
+   */
+  async open(provider) {
+    const pullRequests = await this.load();
+    const entry = pullRequests[this.getKey(provider.repository, provider.branch)];
+
+    if (!entry || entry.problems.length === 0) {
+      return null;
+    }
+
+    // Problems recorded before the last description went out with the previous pull request
+    if (entry.number && !(await provider.findPullRequest())) {
+      entry.problems = entry.problems.filter(
+        (problem) => problem.recordedAt > entry.updatedAt
+      );
+      entry.number = null;
+
+      if (entry.problems.length === 0) {
+        await this.save(pullRequests);
+        return null;
+      }
+    }
+
+    const pullRequest = await provider.openPullRequest(
+      this.buildTitle(provider.branch, entry.problems),
+      this.buildBody(provider.branch, entry.problems)
+    );
+
+    entry.number = pullRequest.number;
+    entry.url = pullRequest.url;
+    entry.updatedAt = new Date().toISOString();
+    await this.save(pullRequests);
+
+    return pullRequest;
+  }
+
+  /**
+   * Build the pull request title.
+   *
+   * @param {string} branch - Feature branch
+   * @param {Array<Object>} problems - Problems pushed to the branch
+   * @returns {string} Title such as "LeetCode 2024-05-01: 3 solutions"
+   */
+  buildTitle(branch, problems) {
+    const label = branch.slice(BRANCH_PREFIX.length + 1);
+    const noun = problems.length === 1 ? "solution" : "solutions";
+
+    return `LeetCode ${label}: ${problems.length} ${noun}`;
+  }
+
+  /**
+   * Build the pull request description, a summary table of the pushed problems.
+   *
+   * @param {string} branch - Feature branch
+   * @param {Array<Object>} problems - Problems pushed to the branch
+   * @returns {string} Markdown description
+   */
+  buildBody(branch, problems) {
+    const counts = { Easy: 0, Medium: 0, Hard: 0 };
+    problems.forEach((problem) => {
+      if (problem.difficulty in counts) {
+        counts[problem.difficulty]++;
+      }
+    });
+
+    const rows = [...problems]
+      .sort((a, b) => Number(a.id) - Number(b.id))
+      .map(
+        (problem) =>
+          `| ${problem.id} | [${problem.title}](https://leetcode.com/problems/${problem.slug}/) | ${problem.difficulty} | ${problem.lang} |`
+      );
+
+    let body = `Solutions pushed to \`${branch}\` by LeetCode Tracker.\n\n`;
+    body += `**Easy:** ${counts.Easy} · **Medium:** ${counts.Medium} · **Hard:** ${counts.Hard}\n\n`;
+    body += `| # | Problem | Difficulty | Language |\n`;
+    body += `| --- | --- | --- | --- |\n`;
+    body += `${rows.join("\n")}\n`;
+
+    return body;
+  }
+
+  /**
+   * Load the tracked pull requests from Chrome storage.
+   *
+   * @returns {Promise<Object>} Entries keyed by repository and branch
+   */
+  async load() {
+    const result = await chrome.storage.local.get(PULL_REQUESTS_STORAGE_KEY);
+    return result[PULL_REQUESTS_STORAGE_KEY] || {};
+  }
+
+  /**
+   * Persist the tracked pull requests to Chrome storage.
+   *
+   * @param {Object} pullRequests - Entries keyed by repository and branch
+   */
+  async save(pullRequests) {
+    await chrome.storage.local.set({
+      [PULL_REQUESTS_STORAGE_KEY]: pullRequests,
+    });
+  }
+}
@@ -0,0 +1,333 @@
+// Request budget per host; unknown hosts, such as self-hosted servers, use the default
+const HOST_LIMITS = {
+  "leetcode.com": { capacity: 3, requestsPerSecond: 2, maxConcurrency: 3 },
+  "api.github.com": { capacity: 10, requestsPerSecond: 5, maxConcurrency: 4 },
+  default: { capacity: 10, requestsPerSecond: 5, maxConcurrency: 4 },
+};
+
+const BACKOFF_BASE_DELAY = 2000;
+const MAX_BACKOFF_DELAY = 5 * 60 * 1000;
+// Below this share of the announced limit, requests are spread until the reset
+const LOW_BUDGET_RATIO = 0.1;
+
+// One limiter per host, shared by every service of the extension
+const limiters = new Map();
+
+/**
+ * Token-bucket rate limiter shared by every client of a host.
+ * LeetCode and repository requests go through schedule(), which waits for a
+ * token and a free concurrency slot, then learns from the response.
+ *
+ * Adapts on its own:
+ * - X-RateLimit-Remaining/Reset (or RateLimit-*) headers: pauses once the budget
+ *   is spent, and spreads the last requests until the reset
+ * - Retry-After headers: pauses for the requested time
+ * - 429/503 responses and throttle() calls: pauses with exponential backoff, and
+ *   halves the request rate and concurrency
+ * - Successful responses: raise the rate and concurrency back to the host limits
+ */
+export default class RateLimitService {
+  /**
+   * @param {string} host - Host the limiter paces, such as "api.github.com"
+   * @param {Object} [limits] - capacity, requestsPerSecond and maxConcurrency
+   */
+  constructor(host, limits = HOST_LIMITS[host] || HOST_LIMITS.default) {
+    this.host = host;
+    this.limits = limits;
+
+    this.tokens = limits.capacity;
+    this.requestsPerSecond = limits.requestsPerSecond;
+    this.concurrency = limits.maxConcurrency;
+    this.lastRefill = Date.now();
+
+    this.active = 0;
+    this.waiting = 0;
+    this.releaseWaiters = [];
+
+    this.blockedUntil = 0;
+    this.consecutiveThrottles = 0;
+    this.successStreak = 0;
+
+    // Budget announced by the server, unknown until it sends rate limit headers
+    this.budget = null;
+  }
+
+  /**
+   * Get the limiter shared by every client of a host.
+   *
+   * @param {string} host - Host such as "leetcode.com"
+   * @returns {RateLimitService} Limiter of the host
+   */
+  static forHost(host) {
+    if (!limiters.has(host)) {
+      limiters.set(host, new RateLimitService(host));
+    }
+
+    return limiters.get(host);
+  }
+
+  /**
+   * Get the limiter pacing the host of a URL.
+   *
+   * @param {string} url - Request URL
+   * @returns {RateLimitService} Limiter of the host
+   */
+  static forUrl(url) {
+    return RateLimitService.forHost(new URL(url).host);
+  }
+
+  /**
+   * Get the current budget of every host requested since the extension started.
+   *
+   * @returns {Array<Object>} Budgets as returned by getBudget
+   */
+  static getBudgets() {
+    return [...limiters.values()].map((limiter) => limiter.getBudget());
+  }
+
+  /**
+   * Run a request once the host budget allows it, and adapt to its response.
+   *
+   * @param {Function} request - Async function performing the fetch
+   * @returns {Promise<Response>} Response of the request
+   */
+  async schedule(request) {
+    await this.acquire();
+
+    try {
+      const response = await request();
+      this.recordResponse(response);
+      return response;
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Wait for the end of any pause, a token and a free concurrency slot.
+   */
+  async acquire() {
+    this.waiting++;
+
+    try {
+      for (;;) {
+        this.refill();
+        const now = Date.now();
+
+        if (this.blockedUntil > now) {
+          await this.sleep(this.blockedUntil - now);
+        } else if (this.active >= this.concurrency) {
+          await new Promise((resolve) => this.releaseWaiters.push(resolve));
+        } else if (this.tokens < 1) {
+          await this.sleep(((1 - this.tokens) / this.requestsPerSecond) * 1000);
+        } else {
+          this.tokens--;
+          this.active++;
+          return;
+        }
+      }
+    } finally {
+      this.waiting--;
+    }
+  }
+
+  /**
+   * Free the concurrency slot of a finished request.
+   */
+  release() {
+    this.active--;
+    this.releaseWaiters.splice(0).forEach((resolve) => resolve());
+  }
+
+  /**
+   * Add the tokens earned since the last refill, up to the bucket capacity.
+   */
+  refill() {
+    const now = Date.now();
+    const earned = ((now - this.lastRefill) / 1000) * this.requestsPerSecond;
+
+    this.tokens = Math.min(this.limits.capacity, this.tokens + earned);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Learn from the status and rate limit headers of a response.
+   *
+   * @param {Response} response - Fetch API response
+   */
+  recordResponse(response) {
+    const budget = this.readBudget(response.headers);
+    if (budget) {
+      this.budget = budget;
+    }
+
+    const retryAfter = this.parseRetryAfter(response.headers.get("Retry-After"));
+
+    if (budget?.remaining === 0 && budget.resetAt) {
+      // A spent budget comes back whole at its reset, no backoff is needed
+      this.blockedUntil = Math.max(this.blockedUntil, budget.resetAt);
+    } else if (
+      response.status === 429 ||
+      response.status === 503 ||
+      retryAfter !== null
+    ) {
+      this.throttle(retryAfter);
+    }
+
+    if (response.ok) {
+      this.recordSuccess();
+    }
+  }
+
+  /**
+   * Read the budget announced by the rate limit headers.
+   *
+   * @param {Headers} headers - Response headers
+   * @returns {Object|null} Budget with limit, remaining and resetAt (ms), null without headers
+   */
+  readBudget(headers) {
+    const read = (name) =>
+      headers.get(`X-RateLimit-${name}`) ?? headers.get(`RateLimit-${name}`);
+
+    const remaining = parseInt(read("Remaining"), 10);
+    if (isNaN(remaining)) {
+      return null;
+    }
+
+    const limit = parseInt(read("Limit"), 10);
+    const reset = parseInt(read("Reset"), 10);
+
+    return {
+      limit: isNaN(limit) ? null : limit,
+      remaining,
+      // Sent as a Unix timestamp, or as seconds left by some servers
+      resetAt: isNaN(reset)
+        ? null
+        : reset > 1e9
+        ? reset * 1000
+        : Date.now() + reset * 1000,
+    };
+  }
+
+  /**
+   * Parse a Retry-After header.
+   *
+   * @param {string|null} value - Seconds to wait, or an HTTP date
+   * @returns {number|null} Seconds to wait, null without a valid header
+   */
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) {
+      return Math.max(0, seconds);
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+  }
+
+  /**
+   * Slow down after the host signalled throttling, including through response
+   * bodies only the client understands (such as empty LeetCode GraphQL data).
+   * Signals received during a pause only extend it to the requested time.
+   *
+   * @param {number|null} [retryAfter] - Seconds the host asked to wait
+   */
+  throttle(retryAfter = null) {
+    const now = Date.now();
+    const retryAfterDelay = (retryAfter || 0) * 1000;
+
+    if (this.blockedUntil > now) {
+      this.blockedUntil = Math.max(this.blockedUntil, now + retryAfterDelay);
+      return;
+    }
+
+    this.consecutiveThrottles++;
+    this.successStreak = 0;
+    this.requestsPerSecond = Math.max(
+      this.requestsPerSecond / 2,
+      this.limits.requestsPerSecond / 8
+    );
+    this.concurrency = Math.max(1, Math.floor(this.concurrency / 2));
+
+    const backoffDelay = Math.min(
+      BACKOFF_BASE_DELAY * 2 ** (this.consecutiveThrottles - 1),
+      MAX_BACKOFF_DELAY
+    );
+    this.blockedUntil = now + Math.max(backoffDelay, retryAfterDelay);
+  }
+
+  /**
+   * Raise the rate and concurrency back after a bucket of successful requests,
+   * never above what the remaining announced budget allows until its reset.
+   */
+  recordSuccess() {
+    this.consecutiveThrottles = 0;
+    this.successStreak++;
+
+    if (this.successStreak >= this.limits.capacity) {
+      this.successStreak = 0;
+      this.requestsPerSecond = Math.min(
+        this.requestsPerSecond * 2,
+        this.limits.requestsPerSecond
+      );
+      this.concurrency = Math.min(
+        this.concurrency + 1,
+        this.limits.maxConcurrency
+      );
+    }
+
+    const { limit, remaining, resetAt } = this.budget || {};
+    if (limit && resetAt && remaining < limit * LOW_BUDGET_RATIO) {
+      const secondsToReset = Math.max(1, (resetAt - Date.now()) / 1000);
+      this.requestsPerSecond = Math.min(
+        this.requestsPerSecond,
+        Math.max(remaining, 1) / secondsToReset
+      );
+    }
+  }
+
+  /**
+   * Get the time left before requests are allowed again.
+   *
+   * @returns {number} Milliseconds, 0 when requests are not paused
+   */
+  getBlockedMs() {
+    return Math.max(0, this.blockedUntil - Date.now());
+  }
+
+  /**
+   * Get the current budget of the host, as shown in the popup.
+   *
+   * @returns {Object} Budget with host, announced limit, remaining and resetAt,
+   *   current rate and concurrency, requests running and waiting, and pausedUntil
+   */
+  getBudget() {
+    this.refill();
+
+    return {
+      host: this.host,
+      limit: this.budget?.limit ?? null,
+      remaining: this.budget?.remaining ?? null,
+      resetAt: this.budget?.resetAt ?? null,
+      requestsPerSecond: Math.round(this.requestsPerSecond * 100) / 100,
+      concurrency: this.concurrency,
+      active: this.active,
+      waiting: this.waiting,
+      pausedUntil: this.blockedUntil > Date.now() ? this.blockedUntil : null,
+    };
+  }
+
+  /**
+   * Utility function to pause execution until the budget allows a request.
+   *
+   * @param {number} ms - Milliseconds to sleep
+   * @returns {Promise} Promise that resolves after the specified delay
+   */
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
@@ -0,0 +1,241 @@
+import PathUtils from "../utils/path-utils.js";
+
+const LANGUAGE_PAGES_FOLDER = "indexes/languages";
+const TOPIC_PAGES_FOLDER = "indexes/topics";
+
+/**
+ * Service building the Markdown index pages of the repository from the solution index.
+ * Produces a root README.md listing every solved problem, plus one page per
+ * language and one page per topic.
+ */
+export default class ReadmeService {
+  /**
+   * Build every index page.
+   *
+   * Algorithm:
+   * 1. Sort problems by LeetCode id, problems without metadata last
+   * 2. Build the README with a summary, links to the other pages and the full table
+   * 3. Build one page per language listing only that language's solutions
+   * 4. Build one page per topic listing the problems tagged with it
+   *
+   * @param {Array<Object>} problems - Problems from SolutionIndexService.getProblems
+   * @returns {Array<Object>} Files to commit, each with path and content
+   */
+  buildPages(problems) {
+    const sortedProblems = [...problems]
+      .filter((problem) => Object.values(problem.languages).some((entry) => entry.path))
+      .sort((a, b) => (parseInt(a.id, 10) || Infinity) - (parseInt(b.id, 10) || Infinity));
+
+    const languages = this.groupBy(sortedProblems, (problem) =>
+      Object.keys(problem.languages).filter((lang) => problem.languages[lang].path)
+    );
+    const topics = this.groupBy(sortedProblems, (problem) =>
+      (problem.topics || []).map((topic) => this.getTopicKey(topic))
+    );
+    const topicNames = Object.fromEntries(
+      sortedProblems.flatMap((problem) =>
+        (problem.topics || []).map((topic) => [this.getTopicKey(topic), topic.name])
+      )
+    );
+
+    const pages = [
+      {
+        path: "README.md",
+        content: this.buildReadme(sortedProblems, languages, topics, topicNames),
+      },
+    ];
+
+    for (const [lang, langProblems] of Object.entries(languages)) {
+      pages.push({
+        path: `${LANGUAGE_PAGES_FOLDER}/${lang}.md`,
+        content: this.buildPage(
+          `${lang} solutions`,
+          langProblems,
+          "../../",
+          lang
+        ),
+      });
+    }
+
+    for (const [topic, topicProblems] of Object.entries(topics)) {
+      pages.push({
+        path: `${TOPIC_PAGES_FOLDER}/${topic}.md`,
+        content: this.buildPage(
+          `${topicNames[topic]} problems`,
+          topicProblems,
+          "../../"
+        ),
+      });
+    }
+
+    return pages;
+  }
+
+  /**
+   * Build the root README.
+   *
+   * @param {Array<Object>} problems - Sorted problems
+   * @param {Object} languages - Problems grouped by language
+   * @param {Object} topics - Problems grouped by topic slug
+   * @param {Object} topicNames - Display name of each topic slug
+   * @returns {string} README content
+   */
+  buildReadme(problems, languages, topics, topicNames) {
+    const counts = { easy: 0, medium: 0, hard: 0 };
+    problems.forEach((problem) => {
+      const difficulty = (problem.difficulty || "").toLowerCase();
+      if (difficulty in counts) {
+        counts[difficulty]++;
+      }
+    });
+
+    const languageLinks = Object.entries(languages).map(
+      ([lang, langProblems]) =>
+        `[${lang}](${this.encodePath(`${LANGUAGE_PAGES_FOLDER}/${lang}.md`)}) (${langProblems.length})`
+    );
+    const topicLinks = Object.entries(topics)
+      .sort(([, a], [, b]) => b.length - a.length)
+      .map(
+        ([topic, topicProblems]) =>
+          `[${topicNames[topic]}](${this.encodePath(`${TOPIC_PAGES_FOLDER}/${topic}.md`)}) (${topicProblems.length})`
+      );
+
+    let content = "# LeetCode Solutions\n\n";
+    content += `${problems.length} ${problems.length === 1 ? "problem" : "problems"} solved: ${counts.easy} easy, ${counts.medium} medium, ${counts.hard} hard.\n\n`;
+
+    if (languageLinks.length > 0) {
+      content += `**Languages:** ${languageLinks.join(" · ")}\n\n`;
+    }
+
+    if (topicLinks.length > 0) {
+      content += `**Topics:** ${topicLinks.join(" · ")}\n\n`;
+    }
+
+    content += this.buildTable(problems, "./");
+    content += "\n_This file is generated by LeetCode Tracker._\n";
+
+    return content;
+  }
+
+  /**
+   * Build a language or topic page.
+   *
+   * @param {string} title - Page title
+   * @param {Array<Object>} problems - Problems listed on the page
+   * @param {string} rootPrefix - Relative path from the page to the repository root
+   * @param {string} [lang] - Only link this language's solutions
+   * @returns {string} Page content
+   */
+  buildPage(title, problems, rootPrefix, lang = null) {
+    let content = `# ${title}\n\n`;
+    content += `[Back to all problems](${rootPrefix}README.md)\n\n`;
+    content += this.buildTable(problems, rootPrefix, lang);
+    content += "\n_This file is generated by LeetCode Tracker._\n";
+
+    return content;
+  }
+
+  /**
+   * Build the Markdown table of problems.
+   *
+   * @param {Array<Object>} problems - Problems to list
+   * @param {string} rootPrefix - Relative path from the page to the repository root
+   * @param {string} [onlyLang] - Only link this language's solutions
+   * @returns {string} Markdown table
+   */
+  buildTable(problems, rootPrefix, onlyLang = null) {
+    let table = "| # | Title | Difficulty | Topics | Solutions | Runtime beats | Memory beats | Date |\n";
+    table += "|---|-------|------------|--------|-----------|---------|--------|------|\n";
+
+    for (const problem of problems) {
+      const entries = Object.entries(problem.languages).filter(
+        ([lang, entry]) => entry.path && (!onlyLang || lang === onlyLang)
+      );
+      // Performance and date columns describe the most recent solution
+      const [, latest] = entries.reduce((newest, current) =>
+        current[1].timestamp > newest[1].timestamp ? current : newest
+      );
+
+      const title = this.escapeCell(problem.title || this.slugToTitle(problem.slug));
+      const topics = (problem.topics || [])
+        .map(
+          (topic) =>
+            `[${this.escapeCell(topic.name)}](${rootPrefix}${this.encodePath(
+              `${TOPIC_PAGES_FOLDER}/${this.getTopicKey(topic)}.md`
+            )})`
+        )
+        .join(", ");
+      const solutions = entries
+        .map(([lang, entry]) => `[${lang}](${rootPrefix}${this.encodePath(entry.path)})`)
+        .join(", ");
+      const date = latest.timestamp
+        ? new Date(latest.timestamp * 1000).toISOString().slice(0, 10)
+        : "";
+
+      table += `| ${problem.id || ""} | [${title}](https://leetcode.com/problems/${problem.slug}/) | ${problem.difficulty || ""} | ${topics} | ${solutions} | ${latest.runtimePercentile || ""} | ${latest.memoryPercentile || ""} | ${date} |\n`;
+    }
+
+    return table;
+  }
+
+  /**
+   * Group problems under each key returned for them.
+   *
+   * @param {Array<Object>} problems - Problems to group
+   * @param {Function} getKeys - Returns the keys of a problem
+   * @returns {Object} Problems keyed by group, groups sorted by key
+   */
+  groupBy(problems, getKeys) {
+    const groups = {};
+
+    for (const problem of problems) {
+      for (const key of getKeys(problem)) {
+        (groups[key] = groups[key] || []).push(problem);
+      }
+    }
+
+    return Object.fromEntries(
+      Object.entries(groups).sort(([a], [b]) => a.localeCompare(b))
+    );
+  }
+
+  /**
+   * Get the file name used for a topic page.
+   *
+   * @param {Object} topic - Topic with name and, when known, slug
+   * @returns {string} Topic slug
+   */
+  getTopicKey(topic) {
+    return topic.slug || PathUtils.slugify(topic.name);
+  }
+
+  /**
+   * Encode a repository path for a Markdown link.
+   *
+   * @param {string} path - Repository-relative path
+   * @returns {string} Path with each segment URL-encoded
+   */
+  encodePath(path) {
+    return path.split("/").map(encodeURIComponent).join("/");
+  }
+
+  /**
+   * Escape characters that would break a Markdown table cell.
+   *
+   * @param {string} text - Cell text
+   * @returns {string} Escaped text
+   */
+  escapeCell(text) {
+    return String(text).replace(/\|/g, "\\|").replace(/\n/g, " ");
+  }
+
+  /**
+   * Derive a display title from a problem slug.
+   *
+   * @param {string} slug - Problem slug such as "two-sum"
+   * @returns {string} Title such as "Two Sum"
+   */
+  slugToTitle(slug) {
+    return slug.replace(/-/g, " ").replace(/\b\w/g, (letter) => letter.toUpperCase());
+  }
+}
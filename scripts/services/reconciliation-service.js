@@ -0,0 +1,640 @@
+import LeetCodeService from "./leetcode-service.js";
+import GithubService from "./github-service.js";
+import ManifestService from "./manifest-service.js";
+import RoutingService from "./routing-service.js";
+import SolutionIndexService from "./solution-index-service.js";
+import Problem from "../models/problem.js";
+import LanguageUtils from "../utils/language-utils.js";
+import PathUtils from "../utils/path-utils.js";
+import { baseLanguages } from "../constants/languages.js";
+
+const REPORT_STORAGE_KEY = "leetcode_tracker_reconciliation_report";
+const DIFFICULTY_LEVELS = { 1: "Easy", 2: "Medium", 3: "Hard" };
+const REPAIR_KINDS = ["missing", "stale", "orphaned", "renamed"];
+
+/**
+ * Service comparing the linked repositories with the accepted LeetCode submissions,
+ * and repairing the drift between them.
+ *
+ * Each solution file of a repository is identified with the layout template:
+ * - missing: an accepted problem and language routed to the repository has no file
+ * - stale: the file does not hold the code of the latest accepted submission,
+ *   such as an older submission or a file edited by hand
+ * - orphaned: the file matches no accepted problem and language routed to the repository
+ * - renamed: the file belongs to an accepted solution but sits at another path
+ *   than the current layout gives it, such as after LeetCode renamed the problem
+ *
+ * Stored report shape:
+ * {
+ *   checkedAt: "2024-05-01T10:00:00.000Z",
+ *   repositories: [{
+ *     repository: "user/repo",
+ *     missing: [{ slug: "two-sum", title: "Two Sum", difficulty: "Easy", lang: "python3", path: "python3/0001 two-sum.py" }],
+ *     stale: [{ slug: "add-two-numbers", title: "Add Two Numbers", difficulty: "Medium", lang: "java", path: "java/0002 add-two-numbers.java" }],
+ *     orphaned: [{ path: "python3/9999 removed-problem.py" }],
+ *     renamed: [{ slug: "3sum", lang: "cpp", from: "cpp/0015 three-sum.cpp", to: "cpp/0015 3sum.cpp", sha: "abc" }],
+ *     error: null
+ *   }]
+ * }
+ */
+export default class ReconciliationService {
+  constructor() {
+    this.leetcodeService = new LeetCodeService();
+    this.manifestService = new ManifestService();
+  }
+
+  /**
+   * Compare every linked repository with the accepted submissions and store the report.
+   *
+   * Algorithm:
+   * 1. List the solved problems, and every accepted submission for their languages
+   * 2. For each linked repository, list its files and identify the solution files
+   * 3. Sort the files into up to date, orphaned and renamed
+   * 4. Compare the files at their expected path with the code of the latest
+   *    accepted submission, reporting the ones that differ as stale
+   * 5. Report the accepted solutions routed to the repository that have no file as missing
+   *
+   * Walking the whole submission listing and reading the code of every
+   * solution takes a while on large accounts, so this only runs on demand.
+   *
+   * @returns {Promise<Object>} Report, one entry per linked repository
+   * @throws {Error} If no repository is linked or LeetCode cannot be read
+   */
+  async verify() {
+    const routingService = new RoutingService();
+    await routingService.load();
+
+    const repositories = routingService.getLinkedRepositories();
+    if (repositories.length === 0) {
+      throw new Error("Link a repository before verifying it");
+    }
+
+    const solvedProblems = await this.leetcodeService.getSolvedProblems();
+    const submissions =
+      await this.leetcodeService.getAcceptedSubmissionsSince(0);
+    const accepted = this.collectAcceptedSolutions(solvedProblems, submissions);
+
+    // Code of the latest accepted submissions, shared by every repository
+    this.latestCode = new Map();
+
+    const solutionIndex = new SolutionIndexService();
+    await solutionIndex.load();
+
+    const report = { checkedAt: new Date().toISOString(), repositories: [] };
+
+    for (const repository of repositories) {
+      try {
+        report.repositories.push(
+          await this.verifyRepository(
+            repository,
+            accepted,
+            routingService,
+            solutionIndex
+          )
+        );
+      } catch (error) {
+        report.repositories.push({
+          ...this.createRepositoryReport(repository),
+          error: error.message,
+        });
+      }
+    }
+
+    await this.saveReport(report);
+    return report;
+  }
+
+  /**
+   * Group the accepted submissions by solved problem and language.
+   *
+   * @param {Array<Object>} solvedProblems - Problems from LeetCodeService.getSolvedProblems
+   * @param {Array<Object>} submissions - Submissions from LeetCodeService.getAcceptedSubmissionsSince
+   * @returns {Map<string, Object>} Problems keyed by slug, with the id and timestamp of the latest accepted submission per language
+   */
+  collectAcceptedSolutions(solvedProblems, submissions) {
+    const accepted = new Map(
+      solvedProblems.map((problem) => [
+        problem.stat.question__title_slug,
+        {
+          id: problem.stat.question_id.toString(),
+          slug: problem.stat.question__title_slug,
+          title: problem.stat.question__title,
+          difficulty: DIFFICULTY_LEVELS[problem.difficulty.level] || "Unknown",
+          languages: {},
+        },
+      ])
+    );
+
+    for (const submission of submissions) {
+      const problem = accepted.get(submission.titleSlug);
+
+      if (
+        problem &&
+        !(
+          problem.languages[submission.lang]?.timestamp >= submission.timestamp
+        )
+      ) {
+        problem.languages[submission.lang] = {
+          id: submission.id,
+          timestamp: submission.timestamp,
+        };
+      }
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Compare one repository with the accepted solutions.
+   *
+   * @param {string} repository - Repository as "owner/name"
+   * @param {Map<string, Object>} accepted - Accepted solutions from collectAcceptedSolutions
+   * @param {RoutingService} routingService - Loaded routing rules
+   * @param {SolutionIndexService} solutionIndex - Loaded solution index
+   * @returns {Promise<Object>} Repository entry of the report
+   * @throws {Error} If the repository cannot be read
+   */
+  async verifyRepository(repository, accepted, routingService, solutionIndex) {
+    const githubService = new GithubService({ repository });
+    await githubService.init();
+
+    // The manifest knows the topics of problems synced from another browser
+    const manifest = await this.manifestService.read(githubService.provider);
+    if (manifest) {
+      solutionIndex.mergeProblems(this.manifestService.getProblems(manifest));
+    }
+
+    const files = await githubService.provider.listFiles();
+    const paths = new Set(files.map((file) => file.path));
+    const filesByPath = new Map(files.map((file) => [file.path, file]));
+    const problemsById = new Map(
+      [...accepted.values()].map((problem) => [problem.id, problem])
+    );
+    const topics = new Map(
+      solutionIndex
+        .getProblems()
+        .map((problem) => [problem.slug, problem.topics || []])
+    );
+    const isRouted = (problem, lang) =>
+      lang in problem.languages &&
+      routingService
+        .getRepositories({ lang, difficulty: problem.difficulty })
+        .includes(repository);
+
+    const result = this.createRepositoryReport(repository);
+    const presentSolutions = new Set();
+    const currentFiles = new Map();
+    const renameTargets = new Set();
+
+    for (const file of files) {
+      const solution = this.identifyFile(
+        githubService.pathTemplate,
+        file.path,
+        accepted,
+        problemsById
+      );
+
+      if (!solution) {
+        continue;
+      }
+
+      const { problem, lang, version } = solution;
+
+      if (!problem || !isRouted(problem, lang)) {
+        result.orphaned.push({ path: file.path });
+        continue;
+      }
+
+      const key = `${problem.slug}:${lang}`;
+      const expectedPath = this.renderPath(
+        githubService.pathTemplate,
+        problem,
+        lang,
+        topics.get(problem.slug),
+        version
+      );
+
+      if (expectedPath && expectedPath !== file.path) {
+        // A file already at the expected path makes this one a leftover copy
+        if (paths.has(expectedPath) || renameTargets.has(expectedPath)) {
+          result.orphaned.push({ path: file.path });
+        } else {
+          renameTargets.add(expectedPath);
+          presentSolutions.add(key);
+          result.renamed.push({
+            slug: problem.slug,
+            lang,
+            from: file.path,
+            to: expectedPath,
+            sha: file.sha,
+          });
+        }
+        continue;
+      }
+
+      presentSolutions.add(key);
+      currentFiles.set(key, file);
+    }
+
+    for (const problem of accepted.values()) {
+      for (const [lang, submission] of Object.entries(problem.languages)) {
+        if (!isRouted(problem, lang)) {
+          continue;
+        }
+
+        const key = `${problem.slug}:${lang}`;
+        const item = {
+          slug: problem.slug,
+          title: problem.title,
+          difficulty: problem.difficulty,
+          lang,
+        };
+
+        githubService.problem = this.buildPathProblem(
+          problem,
+          lang,
+          topics.get(problem.slug),
+          submission.timestamp
+        );
+        const latestPath = githubService.problem.language
+          ? githubService.buildFilePath()
+          : null;
+
+        if (!presentSolutions.has(key)) {
+          result.missing.push({ ...item, path: latestPath });
+          continue;
+        }
+
+        // History files mode keeps the latest submission in its own file
+        const file = filesByPath.get(latestPath) || currentFiles.get(key);
+        if (
+          file &&
+          !(await this.holdsLatestCode(
+            githubService.provider,
+            file,
+            submission,
+            lang
+          ))
+        ) {
+          result.stale.push({ ...item, path: file.path });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check whether a solution file holds the code of the latest accepted submission.
+   * The header written above the code dates the push, so only the code is
+   * compared, ignoring whitespace changes like the duplicate check of GithubService.
+   *
+   * @param {RepositoryProvider} provider - Provider of the repository
+   * @param {Object} file - File returned by listFiles
+   * @param {Object} submission - Latest accepted submission with id and timestamp
+   * @param {string} lang - LeetCode language key
+   * @returns {Promise<boolean>} True if the file ends with the code, or the code is unavailable
+   * @throws {Error} If the file or the submission cannot be read
+   */
+  async holdsLatestCode(provider, file, submission, lang) {
+    if (!this.latestCode.has(submission.id)) {
+      const details = await this.leetcodeService.getSubmissionDetails(
+        submission.id,
+        lang
+      );
+      this.latestCode.set(submission.id, details?.code ?? null);
+    }
+
+    const code = this.latestCode.get(submission.id);
+    if (code === null) {
+      return true;
+    }
+
+    const normalize = (content) =>
+      content.trim().replace(/\r\n/g, "\n").replace(/\s+/g, " ");
+    return normalize(await provider.readFile(file)).endsWith(normalize(code));
+  }
+
+  /**
+   * Identify the problem and language of a repository file.
+   * Layouts without {lang} are resolved from the extension, preferring a
+   * language the problem was accepted in ("py" may be python or python3).
+   *
+   * @param {string} template - Layout template of the repository
+   * @param {string} path - Repository-relative path
+   * @param {Map<string, Object>} accepted - Accepted solutions keyed by slug
+   * @param {Map<string, Object>} problemsById - Accepted solutions keyed by LeetCode id
+   * @returns {Object|null} Matched problem (null if unknown), language and version, null if not a solution file
+   */
+  identifyFile(template, path, accepted, problemsById) {
+    const values = PathUtils.parsePath(template, path);
+
+    if (!values) {
+      return null;
+    }
+
+    const problem =
+      (values.slug && accepted.get(values.slug)) ||
+      (values.id && problemsById.get(values.id)) ||
+      null;
+    let lang;
+
+    if (values.lang) {
+      const info = LanguageUtils.getLanguageInfo(values.lang);
+
+      // Statements and other files next to the solutions
+      if (!info || info.extension !== values.ext) {
+        return null;
+      }
+
+      lang = info.langName;
+    } else {
+      const candidates = Object.values(baseLanguages)
+        .filter((language) => language.extension === values.ext)
+        .map((language) => language.langName);
+
+      if (candidates.length === 0) {
+        return null;
+      }
+
+      lang =
+        candidates.find((candidate) => problem?.languages[candidate]) ||
+        candidates[0];
+    }
+
+    return { problem, lang, version: values.version || "" };
+  }
+
+  /**
+   * Build the minimal problem the layout template renders a path from.
+   *
+   * @param {Object} problem - Accepted solution from collectAcceptedSolutions
+   * @param {string} lang - LeetCode language key
+   * @param {Array<Object>} [topics] - Topics known from the solution index
+   * @param {number} [timestamp] - Submission time (Unix seconds), for history files mode
+   * @returns {Problem} Problem with the fields used by PathUtils.getPathValues
+   */
+  buildPathProblem(problem, lang, topics = [], timestamp = 0) {
+    return Object.assign(new Problem(), {
+      id: problem.id,
+      slug: problem.slug,
+      title: problem.title,
+      difficulty: problem.difficulty,
+      language: LanguageUtils.getLanguageInfo(lang),
+      topicTags: topics,
+      submissionDate: new Date(timestamp * 1000),
+    });
+  }
+
+  /**
+   * Render the path the current layout gives a solution file.
+   *
+   * @param {string} template - Layout template of the repository
+   * @param {Object} problem - Accepted solution from collectAcceptedSolutions
+   * @param {string} lang - LeetCode language key
+   * @param {Array<Object>} [topics] - Topics known from the solution index
+   * @param {string} version - Version suffix of the file, kept as is
+   * @returns {string|null} Expected path, null if the layout needs a value that is unknown
+   */
+  renderPath(template, problem, lang, topics = [], version = "") {
+    const pathProblem = this.buildPathProblem(problem, lang, topics);
+
+    // Topics are only known for problems synced at least once
+    if (
+      !pathProblem.language ||
+      (template.includes("{firstTag}") && topics.length === 0)
+    ) {
+      return null;
+    }
+
+    return PathUtils.renderPath(
+      template,
+      PathUtils.getPathValues(pathProblem, version)
+    );
+  }
+
+  /**
+   * Apply the fixes of one kind to a repository, in a single commit.
+   *
+   * Algorithm:
+   * 1. Take the reported items of the kind
+   * 2. missing / stale: write the latest accepted submission of each solution
+   *    orphaned: delete the files
+   *    renamed: move the files to their expected path
+   * 3. Update the solution index, then the manifest and index pages
+   * 4. Remove the fixed items from the stored report
+   *
+   * @param {string} repository - Repository as "owner/name"
+   * @param {string} kind - "missing", "stale", "orphaned" or "renamed"
+   * @returns {Promise<Object>} Updated report
+   * @throws {Error} If there is no report, the kind is unknown or the commit fails
+   */
+  async repair(repository, kind) {
+    if (!REPAIR_KINDS.includes(kind)) {
+      throw new Error(`Unknown repair: ${kind}`);
+    }
+
+    const report = await this.loadReport();
+    const entry = report?.repositories.find(
+      (repositoryReport) => repositoryReport.repository === repository
+    );
+
+    if (!entry) {
+      throw new Error("Verify the repository before repairing it");
+    }
+
+    const items = entry[kind];
+    if (items.length === 0) {
+      return report;
+    }
+
+    const githubService = new GithubService({ repository });
+    await githubService.init();
+
+    const solutionIndex = new SolutionIndexService();
+    await solutionIndex.load();
+
+    let fixedItems;
+    if (kind === "orphaned") {
+      fixedItems = await this.deleteFiles(githubService, solutionIndex, items);
+    } else if (kind === "renamed") {
+      fixedItems = await this.moveFiles(githubService, solutionIndex, items);
+    } else {
+      fixedItems = await this.writeSolutions(
+        githubService,
+        solutionIndex,
+        items,
+        kind
+      );
+    }
+
+    await solutionIndex.save();
+
+    // The fixes are already committed, outdated pages are fixed by the next push
+    await githubService
+      .updateIndexPages(solutionIndex.getProblems())
+      .catch((error) =>
+        console.error("Error updating the index pages: ", error)
+      );
+
+    entry[kind] = items.filter((item) => !fixedItems.includes(item));
+    await this.saveReport(report);
+
+    return report;
+  }
+
+  /**
+   * Write the latest accepted submission of missing or stale solutions.
+   * Solutions no longer accepted in their language are left in the report.
+   *
+   * @param {GithubService} githubService - Initialized service of the repository
+   * @param {SolutionIndexService} solutionIndex - Loaded solution index
+   * @param {Array<Object>} items - Reported missing or stale solutions
+   * @param {string} kind - "missing" or "stale"
+   * @returns {Promise<Array<Object>>} Fixed items
+   * @throws {Error} If LeetCode cannot be read or the commit fails
+   */
+  async writeSolutions(githubService, solutionIndex, items, kind) {
+    const files = [];
+    const written = [];
+
+    for (const slug of new Set(items.map((item) => item.slug))) {
+      const submissions =
+        await this.leetcodeService.getSubmissionsByLanguage(slug);
+      let questionDetails; // Shared by every language of the problem
+
+      for (const item of items.filter((item) => item.slug === slug)) {
+        if (!submissions[item.lang]) {
+          continue;
+        }
+
+        const problem = Problem.fromSubmission(submissions[item.lang], item);
+        githubService.problem = problem;
+
+        if (githubService.statementExportEnabled) {
+          if (questionDetails === undefined) {
+            questionDetails = await this.leetcodeService.getQuestionDetails(
+              slug
+            );
+          }
+          problem.question = questionDetails;
+        }
+
+        const path = githubService.buildFilePath();
+        const statementFile = githubService.buildStatementFile();
+        files.push(
+          { path, content: githubService.getFormattedCode() },
+          ...(statementFile ? [statementFile] : [])
+        );
+        written.push({ item, problem, path });
+      }
+    }
+
+    if (written.length === 0) {
+      return [];
+    }
+
+    const noun = written.length === 1 ? "solution" : "solutions";
+    await githubService.commitFiles(
+      files,
+      kind === "missing"
+        ? `Add ${written.length} missing ${noun}`
+        : `Update ${written.length} outdated ${noun}`
+    );
+
+    written.forEach(({ item, problem, path }) =>
+      solutionIndex.recordSolution(problem, path, item.lang)
+    );
+
+    if (githubService.pullRequestBranch) {
+      await githubService.recordPullRequestProblems(
+        written.map(({ problem }) => problem)
+      );
+      await githubService.openPullRequest();
+    }
+
+    return written.map(({ item }) => item);
+  }
+
+  /**
+   * Delete orphaned files.
+   *
+   * @param {GithubService} githubService - Initialized service of the repository
+   * @param {SolutionIndexService} solutionIndex - Loaded solution index
+   * @param {Array<Object>} items - Reported orphaned files
+   * @returns {Promise<Array<Object>>} Fixed items
+   * @throws {Error} If the commit fails
+   */
+  async deleteFiles(githubService, solutionIndex, items) {
+    const noun = items.length === 1 ? "file" : "files";
+
+    await githubService.commitFiles(
+      items.map((item) => ({ path: item.path, deleted: true })),
+      `Remove ${items.length} ${noun} with no accepted submission`
+    );
+    solutionIndex.removePaths(new Set(items.map((item) => item.path)));
+
+    return items;
+  }
+
+  /**
+   * Move renamed files to the path the current layout gives them.
+   *
+   * @param {GithubService} githubService - Initialized service of the repository
+   * @param {SolutionIndexService} solutionIndex - Loaded solution index
+   * @param {Array<Object>} items - Reported renamed files
+   * @returns {Promise<Array<Object>>} Fixed items
+   * @throws {Error} If the commit fails
+   */
+  async moveFiles(githubService, solutionIndex, items) {
+    const noun = items.length === 1 ? "file" : "files";
+
+    await githubService.commitFiles(
+      items.map((item) => ({
+        path: item.to,
+        previousPath: item.from,
+        sha: item.sha,
+      })),
+      `Move ${items.length} ${noun} to the current layout`
+    );
+    solutionIndex.renamePaths(new Map(items.map((item) => [item.from, item.to])));
+
+    return items;
+  }
+
+  /**
+   * Create the empty report entry of a repository.
+   *
+   * @param {string} repository - Repository as "owner/name"
+   * @returns {Object} Entry with no drift
+   */
+  createRepositoryReport(repository) {
+    return {
+      repository,
+      missing: [],
+      stale: [],
+      orphaned: [],
+      renamed: [],
+      error: null,
+    };
+  }
+
+  /**
+   * Load the last report from Chrome storage.
+   *
+   * @returns {Promise<Object|null>} Report, null if no repository was verified yet
+   */
+  async loadReport() {
+    const result = await chrome.storage.local.get(REPORT_STORAGE_KEY);
+    return result[REPORT_STORAGE_KEY] || null;
+  }
+
+  /**
+   * Persist the report to Chrome storage, so a reopened popup shows it.
+   *
+   * @param {Object} report - Report from verify
+   */
+  async saveReport(report) {
+    await chrome.storage.local.set({ [REPORT_STORAGE_KEY]: report });
+  }
+}
@@ -0,0 +1,148 @@
+import ReadmeService from "./readme-service.js";
+import ProviderFactory from "./providers/provider-factory.js";
+import PathUtils from "../utils/path-utils.js";
+
+const LAYOUT_STORAGE_KEY = "leetcode_tracker_path_template";
+
+// Editor, OS and build artifacts of the languages LeetCode supports
+const GITIGNORE_CONTENT = `# Editors and operating systems
+.DS_Store
+Thumbs.db
+.idea/
+.vscode/
+*.swp
+
+# Build artifacts
+__pycache__/
+*.pyc
+*.class
+*.o
+*.out
+target/
+bin/
+obj/
+node_modules/
+`;
+
+/**
+ * Service creating a new repository from the popup, ready to receive solutions.
+ * The repository is seeded with a README, a .gitignore and the folders of the
+ * chosen layout, so the first push lands in a repository that already looks right.
+ */
+export default class RepositorySetupService {
+  /**
+   * @param {Object} env - Environment configuration with the provider endpoints
+   */
+  constructor(env) {
+    this.env = env;
+  }
+
+  /**
+   * Create a repository and seed it for the chosen layout.
+   *
+   * Algorithm:
+   * 1. Validate the repository name and the layout template
+   * 2. Create the repository with the provider of the signed-in user
+   * 3. Commit the README, .gitignore and layout skeleton to its default branch
+   * 4. Save the layout so every later push follows it
+   *
+   * A failed seed commit leaves a usable empty repository, the README is
+   * written by the first push anyway.
+   *
+   * @param {Object} options - Repository options
+   * @param {string} options.name - Repository name
+   * @param {string} [options.owner] - Organization or group owning it, the signed-in user when empty
+   * @param {boolean} [options.isPrivate=true] - Whether only members can see it
+   * @param {string} options.template - Layout template of the solutions
+   * @returns {Promise<Object>} Created repository as "owner/name" and whether it was seeded
+   * @throws {Error} If the options are invalid or the repository cannot be created
+   */
+  async create({ name, owner = "", isPrivate = true, template }) {
+    const repositoryName = (name || "").trim();
+    if (!/^[\w.-]+$/.test(repositoryName)) {
+      throw new Error(
+        "Repository names may only contain letters, digits, '-', '_' and '.'"
+      );
+    }
+
+    const templateError = PathUtils.validateTemplate(template);
+    if (templateError) {
+      throw new Error(templateError);
+    }
+
+    const provider = await ProviderFactory.createFromStorage({}, this.env);
+    const repository = await provider.createRepository({
+      name: repositoryName,
+      owner: (owner || "").trim(),
+      isPrivate,
+    });
+
+    let seeded = true;
+    try {
+      // Seeded on the default branch, a configured branch is created from it later
+      const repositoryProvider = await ProviderFactory.createFromStorage(
+        { repository, branch: "" },
+        this.env
+      );
+      await repositoryProvider.commitFiles(
+        this.buildSeedFiles(template),
+        "Set up LeetCode solutions repository"
+      );
+    } catch (error) {
+      console.error("Error seeding the new repository: ", error);
+      seeded = false;
+    }
+
+    await chrome.storage.local.set({ [LAYOUT_STORAGE_KEY]: template });
+
+    return { repository, seeded };
+  }
+
+  /**
+   * Build the files a new repository starts with.
+   *
+   * @param {string} template - Layout template of the solutions
+   * @returns {Array<Object>} Files with path and content
+   */
+  buildSeedFiles(template) {
+    const [readme] = new ReadmeService().buildPages([]);
+
+    return [
+      readme,
+      { path: ".gitignore", content: GITIGNORE_CONTENT },
+      ...this.buildLayoutSkeleton(template).map((path) => ({
+        path,
+        content: "",
+      })),
+    ];
+  }
+
+  /**
+   * List the placeholder files keeping the fixed folders of a layout in an empty repository.
+   * Folders named after the difficulty are known in advance, other placeholders
+   * depend on the solutions and end the skeleton.
+   *
+   * @param {string} template - Layout template such as "{difficulty}/{id}-{slug}/solution{ext}"
+   * @returns {Array<string>} Paths such as "easy/.gitkeep"
+   */
+  buildLayoutSkeleton(template) {
+    const folders = template.split("/").slice(0, -1);
+    let prefix = "";
+
+    for (const folder of folders) {
+      if (folder === "{difficulty}") {
+        return ["easy", "medium", "hard"].map(
+          (difficulty) => `${prefix}${difficulty}/.gitkeep`
+        );
+      }
+
+      if (folder.includes("{")) {
+        break;
+      }
+
+      prefix += `${folder}/`;
+    }
+
+    return prefix ? [`${prefix}.gitkeep`] : [];
+  }
+}
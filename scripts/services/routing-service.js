@@ -0,0 +1,184 @@
+import LanguageUtils from "../utils/language-utils.js";
+import RepositoryUtils from "../utils/repository-utils.js";
+
+const ROUTING_RULES_STORAGE_KEY = "leetcode_tracker_routing_rules";
+const DIFFICULTIES = ["Easy", "Medium", "Hard"];
+
+/**
+ * Service deciding which linked repositories receive a solution.
+ * The repository linked at sign-in receives every solution no rule sends elsewhere.
+ *
+ * Rules are checked in order: the first matching rule that is not a mirror
+ * replaces the linked repository, and every matching mirror adds a copy.
+ * A rule without languages or difficulties matches every solution.
+ *
+ * Stored shape:
+ * [
+ *   { repository: "user/db-practice", languages: ["mysql", "postgresql"], difficulties: [], mirror: false },
+ *   { repository: "user/interview-prep", languages: [], difficulties: ["Hard"], mirror: false },
+ *   { repository: "user/backup", languages: [], difficulties: [], mirror: true }
+ * ]
+ */
+export default class RoutingService {
+  constructor() {
+    this.primaryRepository = null;
+    this.rules = [];
+  }
+
+  /**
+   * Load the linked repository and the routing rules from Chrome storage.
+   *
+   * @returns {Promise<Array<Object>>} The loaded rules
+   */
+  async load() {
+    const result = await chrome.storage.local.get([
+      "leetcode_tracker_repo",
+      "leetcode_tracker_username",
+      ROUTING_RULES_STORAGE_KEY,
+    ]);
+    const parsed = RepositoryUtils.parseRepositoryString(
+      result.leetcode_tracker_repo,
+      result.leetcode_tracker_username
+    );
+
+    this.primaryRepository = parsed?.username
+      ? RepositoryUtils.formatRepository(parsed)
+      : null;
+    this.rules = result[ROUTING_RULES_STORAGE_KEY] || [];
+
+    return this.rules;
+  }
+
+  /**
+   * Persist the routing rules to Chrome storage.
+   */
+  async save() {
+    await chrome.storage.local.set({ [ROUTING_RULES_STORAGE_KEY]: this.rules });
+  }
+
+  /**
+   * Check a rule typed in the popup and bring it to its stored form.
+   *
+   * @param {Object} rule - Rule with repository, languages, difficulties and mirror
+   * @param {string} username - Signed-in user, owner of repositories given by name only
+   * @returns {Object} Rule with an "owner/name" repository and known language keys
+   * @throws {Error} If the repository, a language or a difficulty is invalid
+   */
+  normalizeRule(rule, username) {
+    const parsed = RepositoryUtils.parseRepositoryInput(rule.repository);
+
+    if (!parsed) {
+      throw new Error("Enter the repository the rule sends solutions to");
+    }
+
+    const languages = (rule.languages || []).map((language) => {
+      const info = LanguageUtils.getLanguageInfo(language.trim());
+
+      if (!info) {
+        throw new Error(`Unknown language: ${language}`);
+      }
+
+      return info.langName;
+    });
+
+    const difficulties = (rule.difficulties || []).filter(Boolean);
+    const unknownDifficulty = difficulties.find(
+      (difficulty) => !DIFFICULTIES.includes(difficulty)
+    );
+
+    if (unknownDifficulty) {
+      throw new Error(`Unknown difficulty: ${unknownDifficulty}`);
+    }
+
+    return {
+      repository: RepositoryUtils.formatRepository(parsed, username),
+      languages: [...new Set(languages)],
+      difficulties,
+      mirror: !!rule.mirror,
+    };
+  }
+
+  /**
+   * Check whether a rule applies to a solution.
+   *
+   * @param {Object} rule - Stored rule
+   * @param {Object} solution - Solution with lang (LeetCode language key) and difficulty
+   * @returns {boolean} True if the rule applies
+   */
+  matches(rule, { lang, difficulty }) {
+    return (
+      (rule.languages.length === 0 ||
+        rule.languages.includes((lang || "").toLowerCase())) &&
+      (rule.difficulties.length === 0 || rule.difficulties.includes(difficulty))
+    );
+  }
+
+  /**
+   * Get the repositories a solution is written to.
+   *
+   * @param {Object} solution - Solution with lang (LeetCode language key) and difficulty
+   * @returns {Array<string>} Repositories as "owner/name", the one it is routed to first
+   */
+  getRepositories(solution) {
+    if (!this.primaryRepository) {
+      return [];
+    }
+
+    const matchingRules = this.rules.filter((rule) =>
+      this.matches(rule, solution)
+    );
+    const route = matchingRules.find((rule) => !rule.mirror);
+    const mirrors = matchingRules
+      .filter((rule) => rule.mirror)
+      .map((rule) => rule.repository);
+
+    return [
+      ...new Set([route ? route.repository : this.primaryRepository, ...mirrors]),
+    ];
+  }
+
+  /**
+   * Get every repository solutions may be written to.
+   *
+   * @returns {Array<string>} Repositories as "owner/name", the linked one first
+   */
+  getLinkedRepositories() {
+    if (!this.primaryRepository) {
+      return [];
+    }
+
+    return [
+      ...new Set([
+        this.primaryRepository,
+        ...this.rules.map((rule) => rule.repository),
+      ]),
+    ];
+  }
+
+  /**
+   * Keep the problems, and their languages, written to a repository.
+   * Used to build the index pages of each repository from the shared solution index.
+   *
+   * @param {string} repository - Repository as "owner/name"
+   * @param {Array<Object>} problems - Problems from SolutionIndexService.getProblems
+   * @returns {Array<Object>} Problems with only the languages routed to the repository
+   */
+  filterProblems(repository, problems) {
+    if (this.rules.length === 0) {
+      return problems;
+    }
+
+    return problems
+      .map((problem) => ({
+        ...problem,
+        languages: Object.fromEntries(
+          Object.entries(problem.languages).filter(([lang]) =>
+            this.getRepositories({ lang, difficulty: problem.difficulty }).includes(
+              repository
+            )
+          )
+        ),
+      }))
+      .filter((problem) => Object.keys(problem.languages).length > 0);
+  }
+}
@@ -0,0 +1,236 @@
+const INDEX_STORAGE_KEY = "leetcode_tracker_solution_index";
+
+/**
+ * Service keeping track of the newest submission synchronized per problem and language.
+ * Lets incremental syncs skip everything that has not changed since the last run.
+ *
+ * Also keeps the problem metadata the README index pages are built from.
+ *
+ * Stored shape:
+ * {
+ *   watermark: 1700000000, // Unix seconds up to which submissions are known to be synced
+ *   problems: { "two-sum": { python3: { submissionId: "123", timestamp: 1690000000, path: "python3/0001 two-sum.py", files: ["python3/0001 two-sum.py"] } } },
+ *   details: { "two-sum": { id: "1", title: "Two Sum", difficulty: "Easy", topics: [{ name: "Array", slug: "array" }] } }
+ * }
+ */
+export default class SolutionIndexService {
+  constructor() {
+    this.index = { watermark: null, problems: {}, details: {} };
+  }
+
+  /**
+   * Load the index from Chrome storage.
+   *
+   * @returns {Promise<Object>} The loaded index
+   */
+  async load() {
+    const result = await chrome.storage.local.get(INDEX_STORAGE_KEY);
+    const stored = result[INDEX_STORAGE_KEY] || {};
+
+    this.index = {
+      watermark: stored.watermark ?? null,
+      problems: stored.problems || {},
+      details: stored.details || {},
+    };
+
+    return this.index;
+  }
+
+  /**
+   * Persist the index to Chrome storage.
+   */
+  async save() {
+    await chrome.storage.local.set({ [INDEX_STORAGE_KEY]: this.index });
+  }
+
+  /**
+   * Get the synced submission recorded for a problem in a language.
+   *
+   * @param {string} titleSlug - Problem slug
+   * @param {string} lang - LeetCode language key (e.g. "python3")
+   * @returns {Object|null} Entry with submissionId and timestamp, null if never synced
+   */
+  getEntry(titleSlug, lang) {
+    return this.index.problems[titleSlug]?.[lang] || null;
+  }
+
+  /**
+   * Record a submission as synced, keeping the newest one per language.
+   * Every file written for the language is kept in files, history files mode
+   * writes one per submission.
+   *
+   * @param {string} titleSlug - Problem slug
+   * @param {string} lang - LeetCode language key
+   * @param {Object} entry - Entry with submissionId, timestamp (Unix seconds) and path
+   */
+  record(titleSlug, lang, entry) {
+    const current = this.getEntry(titleSlug, lang);
+    const timestamp = parseInt(entry.timestamp, 10) || 0;
+    const files = [
+      ...new Set(
+        [...(current?.files || []), ...(entry.files || []), entry.path].filter(
+          Boolean
+        )
+      ),
+    ];
+
+    if (current && current.timestamp > timestamp) {
+      current.files = files;
+      return;
+    }
+
+    this.index.problems[titleSlug] = {
+      ...this.index.problems[titleSlug],
+      [lang]: {
+        ...current,
+        ...entry,
+        timestamp,
+        files,
+      },
+    };
+  }
+
+  /**
+   * Record the metadata of a problem.
+   *
+   * @param {string} titleSlug - Problem slug
+   * @param {Object} details - Metadata such as id, title, difficulty and topics
+   */
+  recordDetails(titleSlug, details) {
+    this.index.details[titleSlug] = {
+      ...this.index.details[titleSlug],
+      ...details,
+    };
+  }
+
+  /**
+   * Record a solution written to the repository, with its problem metadata.
+   *
+   * @param {Object} problem - Problem model that was pushed
+   * @param {string} path - Repository-relative path of the solution file
+   * @param {string} [lang] - LeetCode language key, derived from the problem language by default
+   */
+  recordSolution(problem, path, lang = problem.language.langName.toLowerCase()) {
+    this.recordDetails(problem.slug, {
+      id: problem.id?.toString(),
+      title: problem.title,
+      difficulty: problem.difficulty,
+      topics: (problem.topicTags || []).map((tag) => ({
+        name: tag.name,
+        slug: tag.slug,
+      })),
+    });
+
+    this.record(problem.slug, lang, {
+      submissionId: problem.submissionId?.toString(),
+      timestamp: Math.floor(new Date(problem.submissionDate).getTime() / 1000),
+      path,
+      runtimePercentile: problem.runtimePercentile,
+      memoryPercentile: problem.memoryPercentile,
+    });
+  }
+
+  /**
+   * Merge problems recorded elsewhere, such as the manifest of a repository.
+   * Newer local entries win, so a manifest that lags behind loses nothing.
+   *
+   * @param {Array<Object>} problems - Problems shaped like getProblems
+   */
+  mergeProblems(problems) {
+    for (const { slug, languages, ...details } of problems) {
+      if (!this.index.details[slug]) {
+        this.recordDetails(slug, details);
+      }
+
+      for (const [lang, entry] of Object.entries(languages || {})) {
+        this.record(slug, lang, entry);
+      }
+    }
+  }
+
+  /**
+   * Replace the recorded paths of moved solution files.
+   *
+   * @param {Map<string, string>} movedPaths - New path keyed by old path
+   */
+  renamePaths(movedPaths) {
+    for (const languages of Object.values(this.index.problems)) {
+      for (const entry of Object.values(languages)) {
+        if (entry.path && movedPaths.has(entry.path)) {
+          entry.path = movedPaths.get(entry.path);
+        }
+        if (entry.files) {
+          entry.files = entry.files.map((path) => movedPaths.get(path) || path);
+        }
+      }
+    }
+  }
+
+  /**
+   * Forget deleted solution files.
+   * A language whose current file was deleted is no longer synced, so the next
+   * sync writes it again if it still has an accepted submission.
+   *
+   * @param {Set<string>} deletedPaths - Repository-relative paths of the deleted files
+   */
+  removePaths(deletedPaths) {
+    for (const [slug, languages] of Object.entries(this.index.problems)) {
+      for (const [lang, entry] of Object.entries(languages)) {
+        if (entry.files) {
+          entry.files = entry.files.filter((path) => !deletedPaths.has(path));
+        }
+        if (deletedPaths.has(entry.path)) {
+          delete languages[lang];
+        }
+      }
+
+      if (Object.keys(languages).length === 0) {
+        delete this.index.problems[slug];
+      }
+    }
+  }
+
+  /**
+   * Get every synced problem with its metadata and solutions per language.
+   *
+   * @returns {Array<Object>} Problems with slug, metadata fields and a languages map
+   */
+  getProblems() {
+    return Object.entries(this.index.problems).map(([slug, languages]) => ({
+      slug,
+      ...this.index.details[slug],
+      languages,
+    }));
+  }
+
+  /**
+   * Check whether a submission is newer than the one already synced.
+   *
+   * @param {string} titleSlug - Problem slug
+   * @param {string} lang - LeetCode language key
+   * @param {number|string} timestamp - Submission timestamp (Unix seconds)
+   * @returns {boolean} True if nothing, or only an older submission, was synced
+   */
+  isNewer(titleSlug, lang, timestamp) {
+    const current = this.getEntry(titleSlug, lang);
+    return !current || parseInt(timestamp, 10) > current.timestamp;
+  }
+
+  /**
+   * Get the time up to which all accepted submissions are known to be synced.
+   *
+   * @returns {number|null} Unix seconds, null if no complete sync happened yet
+   */
+  getWatermark() {
+    return this.index.watermark;
+  }
+
+  /**
+   * Move the watermark after a complete synchronization.
+   *
+   * @param {number} timestamp - Unix seconds
+   */
+  setWatermark(timestamp) {
+    this.index.watermark = timestamp;
+  }
+}
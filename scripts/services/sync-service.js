@@ -1,7 +1,13 @@
 import LeetCodeService from "./leetcode-service.js";
 import GithubService from "./github-service.js";
+import SolutionIndexService from "./solution-index-service.js";
+import ManifestService from "./manifest-service.js";
+import PullRequestService from "./pull-request-service.js";
+import RoutingService from "./routing-service.js";
 import Problem from "../models/problem.js";
-import LanguageUtils from "../utils/language-utils.js";
+
+const CHECKPOINT_STORAGE_KEY = "leetcode_tracker_sync_checkpoint";
+const PLAN_STORAGE_KEY = "leetcode_tracker_sync_plan";
 
 /**
  * Service responsible for synchronizing LeetCode solutions with GitHub repository.
@@ -13,6 +19,16 @@ export default class SyncService {
    */
   constructor() {
     this.leetcodeService = new LeetCodeService();
+    this.solutionIndex = new SolutionIndexService();
+    this.manifestService = new ManifestService();
+    this.routingService = new RoutingService();
+
+    // Paths each linked repository holds, read once per run; a repository
+    // missing from the map falls back to checking each file
+    this.repositoryFiles = new Map();
+
+    // Default and existing branches of each repository, looked up once per run
+    this.branchCache = new Map();
 
     this.isSyncing = false;
     this.stats = {
@@ -24,7 +40,6 @@ export default class SyncService {
       skipped: 0,
     };
 
-    this.pauseDuration = 30000; // 30 seconds pause for rate limiting
     this.failedProblems = [];
     this.maxRetries = 3;
     this.retryCount = 0;
@@ -32,17 +47,235 @@ export default class SyncService {
     // GitHub operations queue to prevent concurrent conflicts
     this.githubQueue = [];
     this.githubProcessing = false;
+
+    // Submission history: "off", "files" (file per submission) or "commits"
+    this.historyMode = "off";
+
+    // How far back submissions are listed, in days (0 = all of them)
+    this.lookbackDays = 0;
+
+    // Bulk-commit mode: new files are buffered and committed together
+    this.batchCommitEnabled = false;
+    this.batchSize = 0; // 0 = a single commit for the whole sync run
+    this.pendingFiles = [];
+
+    // Checkpoint state: problems fully written to the repository, and problems
+    // whose files are still buffered for a bulk commit
+    this.syncStartedAt = null;
+    this.completedSlugs = new Set();
+    this.awaitingCommitSlugs = new Set();
+
+    // Incremental mode only processes problems with newer accepted submissions
+    this.syncMode = "full";
+    this.targetSlugs = null;
+
+    // Progress reporting: listener notified of every sync event
+    this.progressListener = null;
+    this.currentSlug = null;
+    this.pauseUntil = null;
+    this.runStartedAtMs = null;
+    this.runStartProcessed = 0;
+
+    // User controls: problems are only started while not paused or cancelled
+    this.isPausedByUser = false;
+    this.isCancelled = false;
+    this.queueControl = null;
+
+    // Dry run: the pipeline runs without writing, planned changes are collected
+    this.dryRun = false;
+    this.plan = null;
+  }
+
+  /**
+   * Pause the running synchronization.
+   * Problems already being processed finish, no new problem is started.
+   *
+   * @returns {Promise<boolean>} True if a running sync was paused
+   */
+  async pauseSync() {
+    if (!this.isSyncing || this.isPausedByUser || this.isCancelled) {
+      return false;
+    }
+
+    this.isPausedByUser = true;
+    await chrome.storage.local.set({ leetcode_tracker_sync_paused: true });
+    await this.saveCheckpoint();
+    this.emitProgress("paused", { message: "Paused by user" });
+
+    return true;
+  }
+
+  /**
+   * Resume a synchronization paused by the user.
+   *
+   * @returns {Promise<boolean>} True if a paused sync was resumed
+   */
+  async resumeSync() {
+    if (!this.isSyncing || !this.isPausedByUser || this.isCancelled) {
+      return false;
+    }
+
+    this.isPausedByUser = false;
+    await chrome.storage.local.set({ leetcode_tracker_sync_paused: false });
+    await this.saveCheckpoint();
+    this.emitProgress("resumed", { message: "Resumed by user" });
+    this.queueControl?.fillSlots();
+
+    return true;
+  }
+
+  /**
+   * Cancel the running synchronization.
+   * Problems already being processed finish, pending rate-limit or retry
+   * timers are cleared and queued GitHub operations are dropped.
+   *
+   * @returns {boolean} True if a running sync was cancelled
+   */
+  cancelSync() {
+    if (!this.isSyncing || this.isCancelled) {
+      return false;
+    }
+
+    this.isCancelled = true;
+    this.isPausedByUser = false;
+    this.pauseUntil = null;
+    this.clearGithubQueue(new Error("Synchronization cancelled"));
+    this.queueControl?.cancel();
+
+    return true;
+  }
+
+  /**
+   * Register the function notified of synchronization progress.
+   *
+   * @param {Function|null} listener - Called with a progress event object
+   */
+  setProgressListener(listener) {
+    this.progressListener = listener;
+  }
+
+  /**
+   * Notify the progress listener of a synchronization event.
+   * Each event carries a snapshot of the current counters so listeners never
+   * need to query the service.
+   *
+   * @param {string} type - Event type (started, problem_started, problem_synced,
+   *   problem_skipped, problem_failed, rate_limited, paused, resumed, retry, committed,
+   *   cancelled, completed)
+   * @param {Object} [details] - Event details such as slug and message
+   */
+  emitProgress(type, details = {}) {
+    if (!this.progressListener) {
+      return;
+    }
+
+    try {
+      this.progressListener({
+        type,
+        slug: details.slug || null,
+        message: details.message || "",
+        timestamp: new Date().toISOString(),
+        progress: {
+          mode: this.syncMode,
+          dryRun: this.dryRun,
+          stats: { ...this.stats },
+          currentSlug: this.currentSlug,
+          startedAt: this.syncStartedAt,
+          pauseUntil: this.pauseUntil,
+          retryCycle: this.retryCount,
+          maxRetries: this.maxRetries,
+          etaSeconds: this.estimateRemainingSeconds(),
+        },
+      });
+    } catch (error) {
+      // A failing listener must never break the synchronization
+      console.error("Error reporting sync progress: ", error);
+    }
+  }
+
+  /**
+   * Estimate the remaining sync time from the rate observed during this run.
+   * Problems restored from a checkpoint are excluded from the rate.
+   *
+   * @returns {number|null} Remaining seconds, null until a rate can be measured
+   */
+  estimateRemainingSeconds() {
+    const processedThisRun = this.stats.processed - this.runStartProcessed;
+
+    if (!this.runStartedAtMs || processedThisRun <= 0) {
+      return null;
+    }
+
+    const elapsedMs = Date.now() - this.runStartedAtMs;
+    const remaining = Math.max(this.stats.total - this.stats.processed, 0);
+
+    return Math.round(((elapsedMs / processedThisRun) * remaining) / 1000);
   }
 
   /**
    * Start the synchronization process between LeetCode and GitHub.
    * Prevents multiple simultaneous syncs and manages the complete workflow.
    *
-   * @returns {Promise<Object>} Result object with success status, message, and stats
+   * When resuming, progress is restored from the checkpoint persisted by an
+   * interrupted run and already completed problems are not processed again.
+   *
+   * Incremental mode only processes problems with accepted submissions newer
+   * than the last complete sync, and falls back to a full sync when no sync
+   * has completed yet.
+   *
+   * A dry run reads LeetCode and the repositories like a real run, but writes
+   * nothing: files that would be created, updated or skipped and the commits
+   * that would be made are stored as the sync plan instead. It keeps no
+   * checkpoint and leaves the solution index untouched.
+   *
+   * @param {Object} [options] - Sync options
+   * @param {boolean} [options.resume=false] - Continue from the saved checkpoint
+   * @param {string} [options.mode="incremental"] - "incremental" or "full"
+   * @param {boolean} [options.dryRun=false] - Plan the changes without writing them
+   * @returns {Promise<Object>} Result object with success status, message, stats and the plan of a dry run
    */
-  async startSync() {
+  async startSync({ resume = false, mode = "incremental", dryRun = false } = {}) {
+    if (this.isSyncing) {
+      return {
+        success: false,
+        message: "Synchronization already in progress",
+      };
+    }
+
+    // Claimed before the first await, so a second start cannot slip in
+    this.isSyncing = true;
+
+    // Reset all counters and queues for fresh sync
+    this.stats = {
+      total: 0,
+      synced: 0,
+      failed: 0,
+      current: 0,
+      processed: 0,
+      skipped: 0,
+    };
+    this.activePromises = new Map();
+    this.failedProblems = [];
+    this.retryCount = 0;
+    this.githubQueue = [];
+    this.githubProcessing = false;
+    this.pendingFiles = [];
+    this.branchCache = new Map();
+    this.syncStartedAt = new Date().toISOString();
+    this.completedSlugs = new Set();
+    this.awaitingCommitSlugs = new Set();
+    this.syncMode = mode === "full" ? "full" : "incremental";
+    this.targetSlugs = null;
+    this.isPausedByUser = false;
+    this.isCancelled = false;
+    this.dryRun = dryRun;
+    this.plan = dryRun
+      ? { createdAt: this.syncStartedAt, files: [], commits: [] }
+      : null;
+
     // Check if chrome.storage is available
     if (!chrome?.storage?.local) {
+      this.isSyncing = false;
       return {
         success: false,
         message: "Chrome storage API unavailable. Please reload the extension or ensure this is running in the proper context.",
@@ -54,76 +287,128 @@ export default class SyncService {
       // Test chrome.storage access
       await chrome.storage.local.get("test");
     } catch (error) {
+      this.isSyncing = false;
       return {
         success: false,
         message: "Chrome storage access denied. Extension context error: " + error.message,
       };
     }
 
-    let leetcode_tracker_sync_in_progress = false;
-    try {
-      const result = await chrome.storage.local.get("leetcode_tracker_sync_in_progress");
-      leetcode_tracker_sync_in_progress = result.leetcode_tracker_sync_in_progress;
-    } catch (error) {
-      return {
-        success: false,
-        message: "Failed to check sync status: " + error.message,
-      };
-    }
-
-    if (leetcode_tracker_sync_in_progress) {
-      return {
-        success: false,
-        message: "Synchronization already in progress",
-      };
-    }
+    const checkpoint = resume && !dryRun ? await this.loadCheckpoint() : null;
 
     try {
       await chrome.storage.local.set({
         leetcode_tracker_sync_in_progress: true,
         leetcode_tracker_last_sync_status: "in_progress",
-        leetcode_tracker_last_sync_message: "Synchronization started...",
+        leetcode_tracker_sync_paused: !!checkpoint?.paused,
+        leetcode_tracker_last_sync_message: checkpoint
+          ? "Synchronization resumed..."
+          : dryRun
+          ? "Dry run started..."
+          : "Synchronization started...",
         leetcode_tracker_last_sync_date: new Date().toISOString(),
       });
     } catch (error) {
+      this.isSyncing = false;
       return {
         success: false,
         message: "Failed to set sync status: " + error.message,
       };
     }
 
-    this.isSyncing = true;
+    if (checkpoint) {
+      this.restoreCheckpoint(checkpoint);
+    }
 
-    // Reset all counters and queues for fresh sync
-    this.stats = {
-      total: 0,
-      synced: 0,
-      failed: 0,
-      current: 0,
-      processed: 0,
-      skipped: 0,
-    };
-    this.activePromises = new Map();
-    this.failedProblems = [];
-    this.retryCount = 0;
-    this.githubQueue = [];
-    this.githubProcessing = false;
+    await this.loadBatchSettings();
 
     try {
+      await this.routingService.load();
+      await this.solutionIndex.load();
+      await this.loadRepositoryFiles();
+
       const solvedProblems = await this.leetcodeService.getSolvedProblems();
-      this.stats.total = solvedProblems.length;
 
-      const maxParallel = 5;
-      await this.processProblemsQueue(solvedProblems, maxParallel);
+      if (this.syncMode === "incremental" && !this.targetSlugs) {
+        this.targetSlugs = await this.findChangedProblemSlugs();
+
+        if (!this.targetSlugs) {
+          this.syncMode = "full";
+        }
+      }
+
+      const problemsToSync = this.targetSlugs
+        ? solvedProblems.filter((problem) =>
+            this.targetSlugs.has(problem.stat.question__title_slug)
+          )
+        : solvedProblems;
+      this.stats.total = problemsToSync.length;
+
+      const remainingProblems = problemsToSync.filter(
+        (problem) =>
+          !this.completedSlugs.has(problem.stat.question__title_slug)
+      );
+
+      await this.saveCheckpoint();
+
+      this.currentSlug = null;
+      this.pauseUntil = null;
+      this.runStartedAtMs = Date.now();
+      this.runStartProcessed = this.stats.processed;
+      this.emitProgress("started", {
+        message: checkpoint
+          ? `Resuming: ${remainingProblems.length} of ${this.stats.total} problems left`
+          : `Syncing ${this.stats.total} problems`,
+      });
+
+      await this.processProblemsQueue(remainingProblems);
 
       await this.waitForGithubQueueCompletion();
 
-      const allProcessed = this.stats.processed === this.stats.total;
-      const successMessage = `Synchronization completed. Total: ${this.stats.total}, New files: ${this.stats.synced}, Already existed: ${this.stats.skipped}, Failed: ${this.stats.failed}, Processed: ${this.stats.processed}`;
+      if (this.isCancelled) {
+        return await this.finishCancelledSync();
+      }
+
+      // Commit whatever is still buffered in bulk-commit mode
+      let commitError = null;
+      try {
+        await this.flushPendingFiles();
+      } catch (error) {
+        commitError = error;
+      }
+
+      const allProcessed =
+        this.stats.processed === this.stats.total && !commitError;
+
+      if (this.dryRun) {
+        return await this.finishDryRun(allProcessed);
+      }
+
+      // Only a complete run guarantees nothing older than its start is missing
+      if (allProcessed && this.stats.failed === 0) {
+        this.solutionIndex.setWatermark(
+          Math.floor(Date.parse(this.syncStartedAt) / 1000)
+        );
+      }
+      await this.solutionIndex.save();
+      await this.updateIndexPages();
+      await this.openPullRequest();
+
+      const syncLabel =
+        this.syncMode === "incremental"
+          ? "Incremental synchronization"
+          : "Synchronization";
+      let successMessage = `${syncLabel} completed. Total: ${this.stats.total}, New files: ${this.stats.synced}, Already existed: ${this.stats.skipped}, Failed: ${this.stats.failed}, Processed: ${this.stats.processed}`;
+
+      if (commitError) {
+        successMessage += `. Failed to commit ${this.pendingFiles.length} files: ${commitError.message}`;
+      }
 
       try {
+        await this.clearCheckpoint();
         await chrome.storage.local.set({
           leetcode_tracker_sync_in_progress: false,
+          leetcode_tracker_sync_paused: false,
           leetcode_tracker_last_sync_status: allProcessed
             ? "success"
             : "partial",
@@ -138,6 +423,8 @@ export default class SyncService {
       }
 
       this.isSyncing = false;
+      this.currentSlug = null;
+      this.emitProgress("completed", { message: successMessage });
 
       return {
         success: allProcessed,
@@ -146,8 +433,10 @@ export default class SyncService {
       };
     } catch (error) {
       try {
+        await this.clearCheckpoint();
         await chrome.storage.local.set({
           leetcode_tracker_sync_in_progress: false,
+          leetcode_tracker_sync_paused: false,
           leetcode_tracker_last_sync_status: "failed",
           leetcode_tracker_last_sync_date: new Date().toISOString(),
           leetcode_tracker_last_sync_message: error.message,
@@ -160,6 +449,8 @@ export default class SyncService {
       }
 
       this.isSyncing = false;
+      this.currentSlug = null;
+      this.emitProgress("completed", { message: error.message });
 
       return {
         success: false,
@@ -207,14 +498,580 @@ export default class SyncService {
       } catch (error) {
         reject(error);
       }
-
-      // Small delay between GitHub operations to be respectful to API
-      await this.sleep(100);
     }
 
     this.githubProcessing = false;
   }
 
+  /**
+   * Record the end of a cancelled synchronization.
+   * Buffered files are dropped; files already written stay in the index.
+   * Nothing more is written to the repositories.
+   *
+   * @returns {Promise<Object>} Result object flagged as cancelled
+   */
+  async finishCancelledSync() {
+    const message = this.dryRun
+      ? `Dry run cancelled. Processed: ${this.stats.processed} of ${this.stats.total}`
+      : `Synchronization cancelled. Processed: ${this.stats.processed} of ${this.stats.total}, New files: ${this.stats.synced - this.awaitingCommitSlugs.size}`;
+
+    this.pendingFiles = [];
+    this.awaitingCommitSlugs.clear();
+
+    try {
+      if (this.dryRun) {
+        // The plan of the problems processed so far can still be reviewed
+        await this.savePlan(false);
+      } else {
+        // Files written before the cancellation stay indexed; the index pages
+        // and pull request are left to the next sync
+        await this.solutionIndex.save();
+        await this.clearCheckpoint();
+      }
+      await chrome.storage.local.set({
+        leetcode_tracker_sync_in_progress: false,
+        leetcode_tracker_sync_paused: false,
+        leetcode_tracker_last_sync_status: "cancelled",
+        leetcode_tracker_last_sync_date: new Date().toISOString(),
+        leetcode_tracker_last_sync_message: message,
+      });
+    } catch (error) {
+      console.error("Error when updating sync status in local storage: ", error);
+    }
+
+    this.isSyncing = false;
+    this.currentSlug = null;
+    this.emitProgress("cancelled", { message });
+
+    return {
+      success: false,
+      cancelled: true,
+      message,
+      stats: this.stats,
+    };
+  }
+
+  /**
+   * Read which files every linked repository already holds, once per run.
+   *
+   * Algorithm:
+   * 1. Read the solutions.json manifest of each linked repository
+   * 2. Merge its solutions into the solution index, restoring it on a new browser
+   * 3. Without a manifest, list the repository files once instead
+   * 4. On a read failure, leave the repository to per-file checks
+   */
+  async loadRepositoryFiles() {
+    this.repositoryFiles = new Map();
+
+    for (const repository of this.routingService.getLinkedRepositories()) {
+      try {
+        const githubService = this.createGithubService(repository);
+        await githubService.init();
+
+        const manifest = await this.manifestService.read(githubService.provider);
+
+        if (manifest) {
+          this.solutionIndex.mergeProblems(
+            this.manifestService.getProblems(manifest)
+          );
+          this.repositoryFiles.set(
+            repository,
+            this.manifestService.getPaths(manifest)
+          );
+        } else {
+          // Repositories written before the manifest existed
+          const files = await githubService.provider.listFiles();
+          this.repositoryFiles.set(
+            repository,
+            new Set(files.map((file) => file.path))
+          );
+        }
+      } catch (error) {
+        console.error(`Error reading the files of ${repository}: `, error);
+      }
+    }
+  }
+
+  /**
+   * Record the end of a dry run and store its plan.
+   *
+   * @param {boolean} allProcessed - Whether every problem was processed
+   * @returns {Promise<Object>} Result object with the plan
+   */
+  async finishDryRun(allProcessed) {
+    const plan = await this.savePlan(allProcessed);
+    const { create, update, skip } = plan.summary;
+    const message = `Dry run completed, nothing was pushed. To create: ${create}, To update: ${update}, Unchanged: ${skip}, Commits: ${plan.commits.length}, Failed: ${this.stats.failed}`;
+
+    try {
+      await chrome.storage.local.set({
+        leetcode_tracker_sync_in_progress: false,
+        leetcode_tracker_sync_paused: false,
+        leetcode_tracker_last_sync_status: allProcessed ? "success" : "partial",
+        leetcode_tracker_last_sync_date: new Date().toISOString(),
+        leetcode_tracker_last_sync_message: message,
+      });
+    } catch (error) {
+      console.error("Error when updating sync status in local storage: ", error);
+    }
+
+    this.isSyncing = false;
+    this.currentSlug = null;
+    this.emitProgress("completed", { message });
+
+    return { success: allProcessed, message, stats: this.stats, plan };
+  }
+
+  /**
+   * Add a file to the plan of the dry run.
+   *
+   * @param {Object} file - File with repository, slug, lang, path and action ("create", "update" or "skip")
+   */
+  planFile(file) {
+    this.plan?.files.push(file);
+  }
+
+  /**
+   * Add the files of submissions skipped as already synced to the plan of the
+   * dry run, as the run leaves them unchanged.
+   *
+   * @param {string} slug - Problem slug
+   * @param {string} difficulty - Problem difficulty, for the routing rules
+   * @param {Set<string>} languages - Languages with submissions already synced
+   * @param {Array<Object>} plannedFiles - Files planned so far for the problem, left as planned
+   */
+  planSyncedFiles(slug, difficulty, languages, plannedFiles) {
+    for (const lang of languages) {
+      const entry = this.solutionIndex.getEntry(slug, lang);
+      const paths = entry?.files?.length ? entry.files : [entry?.path];
+
+      for (const repository of this.routingService.getRepositories({
+        lang,
+        difficulty,
+      })) {
+        for (const path of paths.filter(Boolean)) {
+          const planned = plannedFiles.some(
+            (file) =>
+              file.slug === slug &&
+              file.repository === repository &&
+              file.path === path
+          );
+
+          if (!planned) {
+            this.planFile({ repository, slug, lang, path, action: "skip" });
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Add a commit to the plan of the dry run.
+   *
+   * @param {string} repository - Repository as "owner/name"
+   * @param {string} message - Commit message
+   * @param {Array<string>} paths - Paths of the files in the commit
+   */
+  planCommit(repository, message, paths) {
+    this.plan?.commits.push({ repository, message, files: paths });
+  }
+
+  /**
+   * Store the plan of the dry run, so the popup can show and download it.
+   *
+   * @param {boolean} complete - Whether every problem was processed
+   * @returns {Promise<Object>} Stored plan with its summary
+   */
+  async savePlan(complete) {
+    const summary = { create: 0, update: 0, skip: 0 };
+    this.plan.files.forEach((file) => summary[file.action]++);
+
+    const plan = {
+      ...this.plan,
+      mode: this.syncMode,
+      complete,
+      summary,
+      stats: { ...this.stats },
+    };
+
+    try {
+      await chrome.storage.local.set({ [PLAN_STORAGE_KEY]: plan });
+    } catch (error) {
+      console.error("Error when saving the sync plan: ", error);
+    }
+
+    return plan;
+  }
+
+  /**
+   * Find the problems with accepted submissions newer than the synced ones.
+   * Only looks at submissions made after the last complete sync.
+   *
+   * @returns {Promise<Set<string>|null>} Slugs to process, null if a full sync is needed
+   * @throws {Error} If the submission listing cannot be fetched
+   */
+  async findChangedProblemSlugs() {
+    const watermark = this.solutionIndex.getWatermark();
+
+    if (watermark === null) {
+      return null;
+    }
+
+    const submissions =
+      await this.leetcodeService.getAcceptedSubmissionsSince(watermark);
+
+    return new Set(
+      submissions
+        .filter((submission) =>
+          this.solutionIndex.isNewer(
+            submission.titleSlug,
+            submission.lang,
+            submission.timestamp
+          )
+        )
+        .map((submission) => submission.titleSlug)
+    );
+  }
+
+  /**
+   * Load the checkpoint persisted by an interrupted synchronization.
+   *
+   * @returns {Promise<Object|null>} Saved checkpoint, null if none exists
+   */
+  async loadCheckpoint() {
+    try {
+      const result = await chrome.storage.local.get(CHECKPOINT_STORAGE_KEY);
+      return result[CHECKPOINT_STORAGE_KEY] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Restore in-memory progress from a saved checkpoint.
+   *
+   * @param {Object} checkpoint - Checkpoint saved by saveCheckpoint
+   */
+  restoreCheckpoint(checkpoint) {
+    this.syncStartedAt = checkpoint.startedAt || this.syncStartedAt;
+    this.completedSlugs = new Set(checkpoint.completedSlugs || []);
+    this.retryCount = checkpoint.retryCount || 0;
+    this.syncMode = checkpoint.mode || this.syncMode;
+    this.targetSlugs = checkpoint.targetSlugs
+      ? new Set(checkpoint.targetSlugs)
+      : null;
+    // A sync paused before the worker stopped stays paused
+    this.isPausedByUser = !!checkpoint.paused;
+    this.stats = {
+      ...this.stats,
+      ...checkpoint.stats,
+    };
+  }
+
+  /**
+   * Persist the current progress so an interrupted sync can be resumed.
+   * The solution index is saved alongside so resumed runs skip synced files.
+   *
+   * Problems whose files are still buffered for a bulk commit are not part of
+   * the checkpoint: their files would be lost with the service worker, so they
+   * are processed again on resume and removed from the saved counters.
+   */
+  async saveCheckpoint() {
+    // A dry run is never resumed as a real run
+    if (this.dryRun) {
+      return;
+    }
+
+    const uncommitted = this.awaitingCommitSlugs.size;
+
+    try {
+      await chrome.storage.local.set({
+        [CHECKPOINT_STORAGE_KEY]: {
+          startedAt: this.syncStartedAt,
+          updatedAt: new Date().toISOString(),
+          completedSlugs: [...this.completedSlugs],
+          retryCount: this.retryCount,
+          mode: this.syncMode,
+          targetSlugs: this.targetSlugs ? [...this.targetSlugs] : null,
+          paused: this.isPausedByUser,
+          stats: {
+            synced: this.stats.synced - uncommitted,
+            skipped: this.stats.skipped,
+            failed: this.stats.failed,
+            processed: this.stats.processed - uncommitted,
+          },
+        },
+      });
+      await this.solutionIndex.save();
+    } catch (error) {
+      console.error("Error when saving sync checkpoint: ", error);
+    }
+  }
+
+  /**
+   * Remove the saved checkpoint once a synchronization has ended.
+   */
+  async clearCheckpoint() {
+    // The checkpoint of an interrupted real run stays resumable
+    if (this.dryRun) {
+      return;
+    }
+
+    await chrome.storage.local.remove(CHECKPOINT_STORAGE_KEY);
+  }
+
+  /**
+   * Mark a problem as done in the checkpoint.
+   * Problems with files still buffered only count once their bulk commit lands.
+   *
+   * @param {string} titleSlug - Problem slug
+   */
+  async markProblemCompleted(titleSlug) {
+    if (this.pendingFiles.some((file) => file.slug === titleSlug)) {
+      this.awaitingCommitSlugs.add(titleSlug);
+    } else {
+      this.completedSlugs.add(titleSlug);
+    }
+
+    await this.saveCheckpoint();
+  }
+
+  /**
+   * Load the bulk-commit, submission history and look-back settings from Chrome storage.
+   * Falls back to one Contents API commit per file when disabled.
+   */
+  async loadBatchSettings() {
+    try {
+      const result = await chrome.storage.local.get([
+        "leetcode_tracker_batch_commit",
+        "leetcode_tracker_batch_size",
+        "leetcode_tracker_history_mode",
+        "leetcode_tracker_submission_lookback_days",
+        "leetcode_tracker_pull_request_mode",
+      ]);
+
+      this.historyMode = result.leetcode_tracker_history_mode || "off";
+      this.pullRequestMode =
+        result.leetcode_tracker_pull_request_mode || "off";
+
+      const lookbackDays = parseInt(
+        result.leetcode_tracker_submission_lookback_days,
+        10
+      );
+      this.lookbackDays =
+        Number.isNaN(lookbackDays) || lookbackDays < 0 ? 0 : lookbackDays;
+
+      this.batchCommitEnabled = result.leetcode_tracker_batch_commit !== false;
+      const batchSize = parseInt(result.leetcode_tracker_batch_size, 10);
+      this.batchSize = Number.isNaN(batchSize) || batchSize < 0 ? 0 : batchSize;
+    } catch (error) {
+      this.batchCommitEnabled = false;
+      this.batchSize = 0;
+      this.historyMode = "off";
+      this.lookbackDays = 0;
+      this.pullRequestMode = "off";
+    }
+  }
+
+  /**
+   * Create a GithubService writing to a repository on the branch of this sync run.
+   * In "sync" pull-request mode every run pushes to its own feature branch,
+   * named after the run start so a resumed run keeps the same branch.
+   * The services of a run share the branches they resolve, so a service
+   * created per file does not look them up again.
+   *
+   * @param {string} repository - Repository as "owner/name", from the routing rules
+   * @returns {GithubService} Service to initialize before use
+   */
+  createGithubService(repository) {
+    return new GithubService({
+      workBranch:
+        this.pullRequestMode === "sync"
+          ? PullRequestService.getSyncBranch(this.syncStartedAt)
+          : null,
+      repository,
+      branchCache: this.branchCache,
+    });
+  }
+
+  /**
+   * Open or refresh the pull requests listing the problems pushed by this run,
+   * one per linked repository.
+   * Failures are logged only, the solutions are already on the feature branch.
+   */
+  async openPullRequest() {
+    for (const repository of this.routingService.getLinkedRepositories()) {
+      try {
+        const githubService = this.createGithubService(repository);
+        await githubService.init();
+
+        if (githubService.pullRequestBranch) {
+          await githubService.openPullRequest();
+        }
+      } catch (error) {
+        console.error(`Error opening the pull request of ${repository}: `, error);
+      }
+    }
+  }
+
+  /**
+   * Build the submission listing options for the configured look-back window.
+   *
+   * @returns {Object} Options with the oldest submission timestamp to list (Unix seconds)
+   */
+  getSubmissionListOptions() {
+    if (!this.lookbackDays) {
+      return { since: 0 };
+    }
+
+    const since = Date.now() / 1000 - this.lookbackDays * 24 * 60 * 60;
+    return { since: Math.floor(since) };
+  }
+
+  /**
+   * Check whether enough files are buffered to commit a chunk.
+   *
+   * @returns {boolean} True if a chunk commit should be queued
+   */
+  shouldFlushPendingFiles() {
+    return (
+      this.batchCommitEnabled &&
+      this.batchSize > 0 &&
+      this.pendingFiles.length >= this.batchSize
+    );
+  }
+
+  /**
+   * Commit all buffered files, in a single commit per repository.
+   * Files stay buffered when their commit fails so a later flush can retry them.
+   *
+   * @returns {Promise<void>}
+   * @throws {Error} If a commit fails
+   */
+  async flushPendingFiles() {
+    if (this.pendingFiles.length === 0) {
+      return;
+    }
+
+    const files = [...this.pendingFiles];
+    const repositories = [...new Set(files.map((file) => file.repository))];
+
+    for (const repository of repositories) {
+      const repositoryFiles = files.filter(
+        (file) => file.repository === repository
+      );
+      const githubService = this.createGithubService(repository);
+      await githubService.init();
+
+      if (this.dryRun) {
+        this.planPendingCommits(repository, repositoryFiles);
+      } else if (this.historyMode === "commits") {
+        // Each submission keeps its own commit, in submission order
+        await githubService.commitChanges(
+          repositoryFiles.map((file) => ({
+            message: file.message,
+            files: [file, ...file.extraFiles],
+          }))
+        );
+      } else {
+        await githubService.commitFiles(
+          repositoryFiles.flatMap((file) => [file, ...file.extraFiles]),
+          this.buildBatchCommitMessage(repositoryFiles)
+        );
+      }
+
+      this.pendingFiles = this.pendingFiles.filter(
+        (file) => !repositoryFiles.includes(file)
+      );
+      repositoryFiles.forEach((file) =>
+        this.solutionIndex.recordSolution(file.problem, file.path, file.lang)
+      );
+
+      if (githubService.pullRequestBranch && !this.dryRun) {
+        await githubService.recordPullRequestProblems(
+          repositoryFiles.map((file) => file.problem)
+        );
+      }
+    }
+
+    // Every finished problem had all its buffered files in these commits
+    this.awaitingCommitSlugs.forEach((slug) => this.completedSlugs.add(slug));
+    this.awaitingCommitSlugs.clear();
+    await this.saveCheckpoint();
+
+    this.emitProgress("committed", {
+      message: `${this.dryRun ? "Planned" : "Committed"} ${files.length} ${files.length === 1 ? "file" : "files"}`,
+    });
+  }
+
+  /**
+   * Add the commits a flush would make for a repository to the plan of the dry run.
+   *
+   * @param {string} repository - Repository as "owner/name"
+   * @param {Array<Object>} files - Buffered files of the repository
+   */
+  planPendingCommits(repository, files) {
+    const getPaths = (file) => [
+      file.path,
+      ...file.extraFiles.map((extraFile) => extraFile.path),
+    ];
+
+    if (this.historyMode === "commits") {
+      files.forEach((file) =>
+        this.planCommit(repository, file.message, getPaths(file))
+      );
+    } else {
+      this.planCommit(
+        repository,
+        this.buildBatchCommitMessage(files),
+        files.flatMap(getPaths)
+      );
+    }
+  }
+
+  /**
+   * Regenerate the manifest, README and index pages of every linked repository
+   * once the synchronized files are committed.
+   * A failure leaves them outdated until the next push or sync.
+   */
+  async updateIndexPages() {
+    for (const repository of this.routingService.getLinkedRepositories()) {
+      try {
+        const githubService = this.createGithubService(repository);
+        await githubService.init();
+
+        await githubService.updateIndexPages(this.solutionIndex.getProblems());
+      } catch (error) {
+        console.error(`Error updating the index pages of ${repository}: `, error);
+      }
+    }
+  }
+
+  /**
+   * Build the commit message for a bulk commit.
+   * Lists the title line of each file's individual commit message.
+   *
+   * @param {Array<Object>} files - Buffered files with their individual messages
+   * @returns {string} Commit message
+   */
+  buildBatchCommitMessage(files) {
+    const lines = files.map((file) => `- ${file.message.split("\n")[0]}`);
+    const noun = files.length === 1 ? "solution" : "solutions";
+
+    return `Sync ${files.length} ${noun} from LeetCode\n\n${lines.join("\n")}`;
+  }
+
+  /**
+   * Drop every GitHub operation still waiting in the queue.
+   * The operation currently running is left to finish.
+   *
+   * @param {Error} reason - Error used to reject the dropped operations
+   */
+  clearGithubQueue(reason) {
+    const droppedOperations = this.githubQueue.splice(0);
+    droppedOperations.forEach(({ reject }) => reject(reason));
+  }
+
   /**
    * Wait for all GitHub operations in the queue to complete.
    * Used to ensure synchronization doesn't finish before all files are created.
@@ -239,17 +1096,22 @@ export default class SyncService {
    * Process a queue of problems with controlled parallelism and retry logic.
    *
    * Algorithm:
-   * 1. Process up to maxParallel problems simultaneously
-   * 2. When API rate limit is hit, pause all processing for 60 seconds
+   * 1. Process as many problems simultaneously as the LeetCode rate limiter
+   *    currently allows concurrent requests
+   * 2. When API rate limit is hit, pause all processing until the rate limiter
+   *    allows requests again
    * 3. Failed problems are collected for retry attempts
    * 4. After processing all problems, retry failed ones up to maxRetries times
-   * 5. Each retry cycle also includes a pause to respect rate limits
+   * 5. Each retry cycle also waits for the end of the rate limiter pause
+   * 6. No problem is started while paused by the user; on cancel, active
+   *    problems finish, timers are cleared and the queue resolves
    *
    * @param {Array} problems - Array of LeetCode problems to process
-   * @param {number} maxParallel - Maximum number of concurrent problem processors
    * @returns {Promise} Promise that resolves when all problems are processed
    */
-  async processProblemsQueue(problems, maxParallel) {
+  async processProblemsQueue(problems) {
+    const { rateLimiter } = this.leetcodeService;
+
     return new Promise((resolve) => {
       let nextIndex = 0;
       let isPaused = false;
@@ -263,13 +1125,28 @@ export default class SyncService {
       const resumeSync = () => {
         isPaused = false;
         pauseTimer = null;
+        this.pauseUntil = null;
+        this.emitProgress("resumed");
 
+        fillSlots();
+      };
+
+      /**
+       * Start as many problems as there are free parallel slots.
+       */
+      const fillSlots = () => {
         const activeCount = this.activePromises.size;
         const slotsToFill = Math.min(
-          maxParallel - activeCount,
+          rateLimiter.concurrency - activeCount,
           problemsToProcess.length - nextIndex
         );
 
+        // With nothing left to start, one call still runs the completion logic
+        if (slotsToFill <= 0 && activeCount === 0) {
+          startNextProblem();
+          return;
+        }
+
         for (let i = 0; i < slotsToFill; i++) {
           startNextProblem();
         }
@@ -277,9 +1154,13 @@ export default class SyncService {
 
       /**
        * Pause all processing due to API rate limits.
-       * Sets a timer to automatically resume after pauseDuration.
+       * Throttles the rate limiter and resumes once it allows requests again.
+       *
+       * @param {Error} error - Rate limit error, with the Retry-After seconds LeetCode sent
        */
-      const pauseAndScheduleResume = () => {
+      const pauseAndScheduleResume = (error) => {
+        rateLimiter.throttle(error.retryAfter);
+
         if (!isPaused) {
           isPaused = true;
 
@@ -287,7 +1168,14 @@ export default class SyncService {
             clearTimeout(pauseTimer);
           }
 
-          pauseTimer = setTimeout(resumeSync, this.pauseDuration);
+          const pauseDuration = rateLimiter.getBlockedMs();
+          pauseTimer = setTimeout(resumeSync, pauseDuration);
+          this.pauseUntil = Date.now() + pauseDuration;
+          this.emitProgress("rate_limited", {
+            message: `Rate limited, pausing for ${Math.ceil(
+              pauseDuration / 1000
+            )}s`,
+          });
         }
       };
 
@@ -296,7 +1184,14 @@ export default class SyncService {
        * Handles completion logic and retry cycles.
        */
       const startNextProblem = async () => {
-        if (isPaused) {
+        if (this.isCancelled) {
+          if (this.activePromises.size === 0) {
+            resolve();
+          }
+          return;
+        }
+
+        if (isPaused || this.isPausedByUser) {
           return;
         }
 
@@ -318,18 +1213,26 @@ export default class SyncService {
                 clearTimeout(pauseTimer);
               }
 
+              const pauseDuration = rateLimiter.getBlockedMs();
               pauseTimer = setTimeout(() => {
                 isPaused = false;
                 pauseTimer = null;
+                this.pauseUntil = null;
 
                 for (
                   let i = 0;
-                  i < Math.min(maxParallel, problemsToProcess.length);
+                  i <
+                  Math.min(rateLimiter.concurrency, problemsToProcess.length);
                   i++
                 ) {
                   startNextProblem();
                 }
-              }, this.pauseDuration);
+              }, pauseDuration);
+
+              this.pauseUntil = Date.now() + pauseDuration;
+              this.emitProgress("retry", {
+                message: `Retrying ${problemsToProcess.length} problems (cycle ${this.retryCount}/${this.maxRetries})`,
+              });
 
               return;
             } else if (this.failedProblems.length > 0) {
@@ -338,7 +1241,6 @@ export default class SyncService {
               this.stats.processed += this.failedProblems.length;
             }
 
-            this.isSyncing = false;
             resolve();
           }
           return;
@@ -351,7 +1253,7 @@ export default class SyncService {
           (error) => {
             if (error.needsPause) {
               this.failedProblems.push(problem);
-              pauseAndScheduleResume();
+              pauseAndScheduleResume(error);
             }
             throw error;
           }
@@ -376,14 +1278,27 @@ export default class SyncService {
           });
       };
 
+      this.queueControl = {
+        fillSlots: () => {
+          if (!isPaused) {
+            fillSlots();
+          }
+        },
+        cancel: () => {
+          if (pauseTimer) {
+            clearTimeout(pauseTimer);
+            pauseTimer = null;
+          }
+          isPaused = false;
+
+          if (this.activePromises.size === 0) {
+            resolve();
+          }
+        },
+      };
+
       // Start initial batch of problems
-      for (
-        let i = 0;
-        i < Math.min(maxParallel, problemsToProcess.length);
-        i++
-      ) {
-        startNextProblem();
-      }
+      fillSlots();
     });
   }
 
@@ -391,10 +1306,12 @@ export default class SyncService {
    * Process a single LeetCode problem by fetching submissions and creating GitHub files.
    *
    * Algorithm:
-   * 1. Add random delay to avoid request patterns
-   * 2. Fetch all submissions for the problem by language
-   * 3. For each language submission, create a Problem object
-   * 4. Queue GitHub operations to check/create files
+   * 1. Fetch the latest submission per language, or every accepted submission in history mode,
+   *    paced by the LeetCode rate limiter
+   * 2. For each submission newer than the synced one, create a Problem object
+   * 3. Queue GitHub operations writing the files the repository does not hold yet,
+   *    checked against the files read at the start of the run (buffered in bulk-commit mode)
+   * 4. Queue a chunk commit once enough files are buffered
    * 5. Track statistics based on whether files were created or already existed
    *
    * @param {Object} problem - LeetCode problem object with metadata
@@ -403,46 +1320,187 @@ export default class SyncService {
    */
   async processProblem(problem, index) {
     this.stats.current = index + 1;
+    const titleSlug = problem.stat.question__title_slug;
+    this.currentSlug = titleSlug;
+    this.emitProgress("problem_started", { slug: titleSlug });
 
     try {
-      const titleSlug = problem.stat.question__title_slug;
+      // Incremental runs trust the index instead of asking GitHub, and so
+      // does history commits mode since every version shares one file
+      const skipsSyncedSubmissions =
+        this.syncMode === "incremental" || this.historyMode === "commits";
+      const syncedLanguages = new Set();
+      const isWanted = (submission) => {
+        if (
+          !skipsSyncedSubmissions ||
+          this.solutionIndex.isNewer(
+            titleSlug,
+            submission.lang,
+            submission.timestamp
+          )
+        ) {
+          return true;
+        }
 
-      // Random delay to avoid predictable request patterns
-      await this.sleep(Math.random() * 300 + 200);
+        syncedLanguages.add(submission.lang);
+        return false;
+      };
 
-      const submissionsByLanguage =
-        await this.leetcodeService.getSubmissionsByLanguage(titleSlug);
+      // History mode keeps every accepted submission, oldest first, and only
+      // fetches the code of the ones not synced yet
+      const listOptions = this.getSubmissionListOptions();
+      const submissions =
+        this.historyMode === "off"
+          ? Object.values(
+              await this.leetcodeService.getSubmissionsByLanguage(
+                titleSlug,
+                listOptions
+              )
+            )
+          : await this.leetcodeService.getSubmissionHistory(titleSlug, {
+              ...listOptions,
+              filter: isWanted,
+            });
 
       let newFilesCreated = 0;
       let totalFilesForProblem = 0;
+      let questionDetails; // Shared by every language of the problem
+      const planStart = this.plan?.files.length;
+
+      for (const submission of submissions) {
+        const lang = submission.lang;
+        const isNewerSubmission = this.solutionIndex.isNewer(
+          titleSlug,
+          lang,
+          submission.timestamp
+        );
 
-      for (const lang in submissionsByLanguage) {
-        const submission = submissionsByLanguage[lang];
+        if (!isWanted(submission)) {
+          continue;
+        }
 
-        const problemObj = new Problem();
-        problemObj.slug = `${submission.questionId}-${submission.title}`;
-        problemObj.difficulty = this.difficultyLevelToString(
-          problem.difficulty.level
-        );
-        problemObj.language = LanguageUtils.getLanguageInfo(submission.lang);
-        problemObj.code = submission.code;
+        // A newer submission than the synced one replaces the file content,
+        // as a new commit on the same file in history commits mode
+        const replacesSyncedSubmission =
+          isNewerSubmission &&
+          (this.historyMode === "commits" ||
+            (this.historyMode === "off" &&
+              !!this.solutionIndex.getEntry(titleSlug, lang)));
+
+        const problemObj = Problem.fromSubmission(submission, {
+          title: problem.stat.question__title,
+          difficulty: this.difficultyLevelToString(problem.difficulty.level),
+        });
 
         totalFilesForProblem++;
 
+        const repositories = this.routingService.getRepositories({
+          lang,
+          difficulty: problemObj.difficulty,
+        });
+
         // Use GitHub queue to prevent concurrent file operations
         const fileCreated = await this.processGithubOperation(async () => {
-          // Create new GithubService instance for each operation to avoid conflicts
-          const githubService = new GithubService();
-          githubService.problem = problemObj;
+          let written = false;
+
+          for (const repository of repositories) {
+            // Create new GithubService instance for each operation to avoid conflicts
+            const githubService = this.createGithubService(repository);
+            githubService.problem = problemObj;
+
+            await githubService.init();
+            const path = githubService.buildFilePath();
+
+            // The files read at the start of the run spare a request per file
+            const knownFiles = this.repositoryFiles.get(repository);
+            const existingFile = knownFiles
+              ? null
+              : await githubService.checkFileExistence(true);
+            const fileExists = knownFiles
+              ? knownFiles.has(path)
+              : !!existingFile;
+
+            if (fileExists && !replacesSyncedSubmission) {
+              this.solutionIndex.recordSolution(problemObj, path, lang);
+              this.planFile({
+                repository,
+                slug: titleSlug,
+                lang,
+                path,
+                action: "skip",
+              });
+              continue;
+            }
 
-          await githubService.init();
-          const fileExists = await githubService.checkFileExistence(true);
+            this.planFile({
+              repository,
+              slug: titleSlug,
+              lang,
+              path,
+              action: fileExists ? "update" : "create",
+            });
+
+            // The statement is only fetched for problems being written
+            if (githubService.statementExportEnabled) {
+              if (questionDetails === undefined) {
+                questionDetails = await this.leetcodeService.getQuestionDetails(
+                  titleSlug
+                );
+              }
+              problemObj.question = questionDetails;
+            }
 
-          if (!fileExists) {
-            await githubService.createFile(true);
-            return true;
+            if (this.batchCommitEnabled) {
+              const statementFile = githubService.buildStatementFile();
+              this.pendingFiles.push({
+                repository,
+                slug: titleSlug,
+                lang,
+                problem: problemObj,
+                path,
+                content: githubService.getFormattedCode(),
+                message: githubService.generateCommitMessage(fileExists),
+                // Committed along with the solution
+                extraFiles: statementFile ? [statementFile] : [],
+              });
+            } else if (this.dryRun) {
+              const statementFile = githubService.buildStatementFile();
+              this.planCommit(
+                repository,
+                githubService.generateCommitMessage(fileExists),
+                [path]
+              );
+              if (statementFile) {
+                this.planCommit(repository, statementFile.message, [
+                  statementFile.path,
+                ]);
+              }
+              this.solutionIndex.recordSolution(problemObj, path, lang);
+            } else {
+              // Only a replaced file needs its sha, read from the repository
+              const currentFile =
+                existingFile ||
+                (fileExists
+                  ? await githubService.checkFileExistence(true)
+                  : null);
+
+              if (currentFile) {
+                await githubService.updateFile(currentFile);
+              } else {
+                await githubService.createFile(true);
+              }
+              await githubService.writeStatementFile();
+              this.solutionIndex.recordSolution(problemObj, path, lang);
+
+              if (githubService.pullRequestBranch) {
+                await githubService.recordPullRequestProblems([problemObj]);
+              }
+            }
+            knownFiles?.add(path);
+            written = true;
           }
-          return false;
+
+          return written;
         });
 
         if (fileCreated) {
@@ -450,6 +1508,27 @@ export default class SyncService {
         }
       }
 
+      if (this.dryRun) {
+        this.planSyncedFiles(
+          titleSlug,
+          this.difficultyLevelToString(problem.difficulty.level),
+          syncedLanguages,
+          this.plan.files.slice(planStart)
+        );
+      }
+
+      if (this.shouldFlushPendingFiles()) {
+        // Re-checked inside the queue since another problem may have flushed first
+        this.processGithubOperation(() =>
+          this.shouldFlushPendingFiles() ? this.flushPendingFiles() : null
+        ).catch(
+          (error) => {
+            // Files stay buffered and are retried by the next flush
+            console.error("Error committing synchronized files: ", error);
+          }
+        );
+      }
+
       // Update statistics based on processing results
       if (newFilesCreated > 0) {
         this.stats.synced++;
@@ -458,6 +1537,16 @@ export default class SyncService {
       }
 
       this.stats.processed++;
+      await this.markProblemCompleted(titleSlug);
+
+      if (newFilesCreated > 0) {
+        this.emitProgress("problem_synced", {
+          slug: titleSlug,
+          message: `${newFilesCreated} ${newFilesCreated === 1 ? "file" : "files"} written`,
+        });
+      } else {
+        this.emitProgress("problem_skipped", { slug: titleSlug });
+      }
 
       return true;
     } catch (error) {
@@ -466,9 +1555,19 @@ export default class SyncService {
         throw error;
       }
 
+      // Writes dropped by a cancel are left to the next run, not failed
+      if (this.isCancelled) {
+        throw error;
+      }
+
       // For non-rate-limit errors, count as permanent failure
       this.stats.failed++;
       this.stats.processed++;
+      await this.markProblemCompleted(titleSlug);
+      this.emitProgress("problem_failed", {
+        slug: titleSlug,
+        message: error.message,
+      });
 
       throw error;
     }
@@ -0,0 +1,34 @@
+// Bytes converted per String.fromCharCode call, below the engines' argument limits
+const CHUNK_SIZE = 0x8000;
+
+export default class EncodingUtils {
+  /**
+   * Encode text as Base64 of its UTF-8 bytes
+   * Plain btoa only accepts Latin-1 and throws on characters such as "≤", "中" or emoji
+   * @param {string} text - Text to encode
+   * @returns {string} - Base64 string
+   */
+  static encodeBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = "";
+
+    for (let index = 0; index < bytes.length; index += CHUNK_SIZE) {
+      binary += String.fromCharCode(...bytes.subarray(index, index + CHUNK_SIZE));
+    }
+
+    return btoa(binary);
+  }
+
+  /**
+   * Decode Base64 holding UTF-8 bytes into text
+   * APIs wrap long Base64 content over several lines, whitespace is ignored
+   * @param {string} base64 - Base64 string
+   * @returns {string} - Decoded text
+   */
+  static decodeBase64(base64) {
+    const binary = atob((base64 || "").replace(/\s/g, ""));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+
+    return new TextDecoder().decode(bytes);
+  }
+}
@@ -0,0 +1,93 @@
+// Host names that mean the public service of a provider rather than a self-hosted server
+const PUBLIC_HOSTS = {
+  github: ["github.com", "www.github.com", "api.github.com"],
+  gitlab: ["gitlab.com", "www.gitlab.com"],
+  // Gitea is only self-hosted
+  gitea: [],
+};
+
+export default class HostUtils {
+  /**
+   * Get the providers the extension can push to
+   * @returns {Array<string>} - Provider types such as "github"
+   */
+  static getProviders() {
+    return Object.keys(PUBLIC_HOSTS);
+  }
+
+  /**
+   * Normalize a self-hosted server address typed by the user
+   * @param {string} input - Host or URL such as "https://github.example.com/"
+   * @param {string} [provider] - Provider type, "github" by default
+   * @returns {string|null} - Host such as "github.example.com", empty for the public service, null if invalid
+   */
+  static normalizeHost(input = "", provider = "github") {
+    const host = input
+      .trim()
+      .toLowerCase()
+      .replace(/^https?:\/\//, "")
+      .replace(/\/.*$/, "");
+
+    if (!host || (PUBLIC_HOSTS[provider] || []).includes(host)) {
+      return "";
+    }
+
+    return /^[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*(:\d+)?$/.test(
+      host
+    )
+      ? host
+      : null;
+  }
+
+  /**
+   * Get the host serving a provider
+   * @param {string} provider - Provider type
+   * @param {string} host - Self-hosted server host, empty for the public service
+   * @returns {string} - Host such as "gitlab.com", empty when the provider has no public service
+   */
+  static resolveHost(provider = "github", host = "") {
+    return host || (PUBLIC_HOSTS[provider] || [])[0] || "";
+  }
+
+  /**
+   * Point the GitHub endpoints of the environment at the configured host
+   * @param {object} env - Environment configuration with github.com endpoints
+   * @param {string} host - Server host, empty for the public service
+   * @param {string} clientId - OAuth app client ID registered on the Enterprise Server
+   * @param {string} [provider] - Provider type, only GitHub uses the OAuth and API endpoints
+   * @returns {object} - Configuration with API, OAuth and web URLs for the host
+   */
+  static buildConfig(env, host = "", clientId = "", provider = "github") {
+    if (provider !== "github") {
+      return {
+        ...env,
+        WEB_URL: `https://${HostUtils.resolveHost(provider, host)}/`,
+      };
+    }
+
+    if (!host) {
+      return { ...env, WEB_URL: "https://github.com/" };
+    }
+
+    // Enterprise Server serves the REST API under /api/v3 of the same host
+    return {
+      ...env,
+      DEVICE_CODE_URL: `https://${host}/login/device/code`,
+      ACCESS_TOKEN_URL: `https://${host}/login/oauth/access_token`,
+      REPOSITORY_URL: `https://${host}/api/v3/repos/`,
+      USER_INFO_URL: `https://${host}/api/v3/user`,
+      WEB_URL: `https://${host}/`,
+      CLIENT_ID: clientId || env.CLIENT_ID,
+    };
+  }
+
+  /**
+   * Get the host permission pattern needed to call a server
+   * @param {string} host - Server host
+   * @returns {string} - Match pattern such as "https://github.example.com/*"
+   */
+  static getOriginPattern(host) {
+    // Match patterns do not contain ports, the permission covers every port
+    return `https://${host.replace(/:\d+$/, "")}/*`;
+  }
+}
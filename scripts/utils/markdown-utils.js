@@ -0,0 +1,120 @@
+const HTML_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  le: "≤",
+  ge: "≥",
+  ne: "≠",
+  times: "×",
+  minus: "−",
+  hellip: "…",
+  rarr: "→",
+  larr: "←",
+};
+
+export default class MarkdownUtils {
+  /**
+   * Convert LeetCode problem HTML to Markdown
+   * Works without a DOM so it can run in the background service worker
+   * @param {string} html - Problem description HTML
+   * @returns {string} - Markdown text, images kept as links to LeetCode's CDN
+   */
+  static htmlToMarkdown(html = "") {
+    const codeBlocks = [];
+
+    let markdown = html
+      .replace(/\r\n/g, "\n")
+      .replace(/&nbsp;/g, " ")
+      // Code blocks keep their whitespace, so they are set aside first
+      .replace(/<pre[^>]*>([\s\S]*?)<\/pre>/gi, (match, content) => {
+        const code = MarkdownUtils.decodeEntities(
+          content.replace(/<[^>]+>/g, "")
+        ).replace(/^\n+|\n+$/g, "");
+        codeBlocks.push("```\n" + code + "\n```");
+        return `<p>@@CODEBLOCK${codeBlocks.length - 1}@@</p>`;
+      })
+      .replace(/\n/g, " ")
+      .replace(/<img[^>]*>/gi, (tag) => {
+        const src = MarkdownUtils.getAttribute(tag, "src");
+        const alt = MarkdownUtils.getAttribute(tag, "alt") || "image";
+        return src ? `![${alt}](${src})` : "";
+      })
+      .replace(/<a[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, "[$2]($1)")
+      .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (match, level, text) =>
+        `\n\n${"#".repeat(Math.min(Number(level) + 2, 6))} ${text.trim()}\n\n`
+      )
+      .replace(/<(strong|b)[^>]*>([\s\S]*?)<\/\1>/gi, (match, tag, text) =>
+        MarkdownUtils.wrapInline(text, "**")
+      )
+      .replace(/<(em|i)[^>]*>([\s\S]*?)<\/\1>/gi, (match, tag, text) =>
+        MarkdownUtils.wrapInline(text, "_")
+      )
+      .replace(/<code[^>]*>([\s\S]*?)<\/code>/gi, "`$1`")
+      .replace(/<sup[^>]*>([\s\S]*?)<\/sup>/gi, "^$1")
+      .replace(/<sub[^>]*>([\s\S]*?)<\/sub>/gi, "_$1")
+      .replace(/<li[^>]*>/gi, "\n- ")
+      .replace(/<\/li>/gi, "")
+      .replace(/<\/?(ul|ol)[^>]*>/gi, "\n\n")
+      .replace(/<br\s*\/?>/gi, "@@BR@@\n")
+      .replace(/<\/?(p|div)[^>]*>/gi, "\n\n")
+      // Remaining tags such as span and font only carry styling
+      .replace(/<[^>]+>/g, "");
+
+    markdown = MarkdownUtils.decodeEntities(markdown)
+      .split("\n")
+      .map((line) => line.trim())
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      // Two trailing spaces are a Markdown line break
+      .replace(/@@BR@@/g, "  ")
+      .trim();
+
+    return markdown.replace(/@@CODEBLOCK(\d+)@@/g, (match, index) =>
+      codeBlocks[Number(index)]
+    );
+  }
+
+  /**
+   * Wrap inline text with an emphasis marker, keeping surrounding spaces outside
+   * @param {string} text - Text inside the emphasis tag
+   * @param {string} marker - Markdown marker such as ** or _
+   * @returns {string} - Emphasized text, unchanged if blank
+   */
+  static wrapInline(text, marker) {
+    const [, before, content, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return content ? `${before}${marker}${content}${marker}${after}` : text;
+  }
+
+  /**
+   * Decode HTML entities
+   * @param {string} text - Text containing entities such as &lt; or &#39;
+   * @returns {string} - Decoded text
+   */
+  static decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+      if (code[0] === "#") {
+        const charCode =
+          code[1].toLowerCase() === "x"
+            ? parseInt(code.slice(2), 16)
+            : parseInt(code.slice(1), 10);
+        return String.fromCodePoint(charCode);
+      }
+
+      return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+    });
+  }
+
+  /**
+   * Read an attribute of an HTML tag
+   * @param {string} tag - Opening tag such as <img src="...">
+   * @param {string} name - Attribute name
+   * @returns {string|null} - Attribute value or null if missing
+   */
+  static getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`${name}\\s*=\\s*["']([^"']*)["']`, "i"));
+    return match ? MarkdownUtils.decodeEntities(match[1]) : null;
+  }
+}
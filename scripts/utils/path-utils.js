@@ -0,0 +1,173 @@
+import {
+  DEFAULT_LAYOUT_TEMPLATE,
+  layoutPlaceholders,
+} from "../constants/layouts.js";
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+export default class PathUtils {
+  /**
+   * Get the template to use, falling back to the historical layout
+   * @param {string} template - Stored layout template
+   * @returns {string} - A usable layout template
+   */
+  static resolveTemplate(template) {
+    return template && !PathUtils.validateTemplate(template)
+      ? template
+      : DEFAULT_LAYOUT_TEMPLATE;
+  }
+
+  /**
+   * Check a layout template before it is saved
+   * @param {string} template - Layout template such as "{lang}/{id} {slug}{ext}"
+   * @returns {string|null} - Error message, null if the template is valid
+   */
+  static validateTemplate(template) {
+    if (!template || !template.trim()) {
+      return "The layout template is empty";
+    }
+
+    const unknown = [...template.matchAll(PLACEHOLDER_PATTERN)]
+      .map((match) => match[1])
+      .filter((name) => !(name in layoutPlaceholders));
+    if (unknown.length > 0) {
+      return `Unknown placeholder: {${unknown[0]}}`;
+    }
+
+    if (!template.includes("{slug}") && !template.includes("{id}")) {
+      return "The layout must contain {slug} or {id}";
+    }
+
+    const segments = template.split("/");
+    if (!segments[segments.length - 1].includes("{ext}")) {
+      return "The file name must end with {ext}";
+    }
+
+    if (segments.some((segment) => !segment.trim() || segment === "..")) {
+      return "The layout contains an empty or relative folder";
+    }
+
+    return null;
+  }
+
+  /**
+   * Collect the placeholder values of a problem
+   * @param {object} problem - Problem with id, slug, language, difficulty and topicTags
+   * @param {string} version - Version suffix, empty unless history files mode is on
+   * @returns {object} - Values keyed by placeholder name
+   */
+  static getPathValues(problem, version = "") {
+    const firstTag = problem.topicTags?.[0];
+
+    return {
+      id: problem.id.toString().padStart(4, "0"),
+      slug: problem.slug,
+      lang: problem.language.langName.toLowerCase(),
+      ext: problem.language.extension,
+      difficulty: (problem.difficulty || "unknown").toLowerCase(),
+      firstTag: firstTag
+        ? firstTag.slug || PathUtils.slugify(firstTag.name)
+        : "uncategorized",
+      version,
+    };
+  }
+
+  /**
+   * Render a repository-relative path from a layout template
+   * @param {string} template - Layout template
+   * @param {object} values - Values keyed by placeholder name
+   * @returns {string} - Path such as "python3/0001 two-sum.py"
+   */
+  static renderPath(template, values) {
+    return PathUtils.withVersion(template).replace(
+      PLACEHOLDER_PATTERN,
+      (placeholder, name) =>
+        // Values must not introduce folders of their own
+        String(values[name] ?? "").replace(/[/\\]/g, "-")
+    );
+  }
+
+  /**
+   * Parse a repository path laid out with a template
+   * @param {string} template - Layout template
+   * @param {string} path - Repository-relative path
+   * @returns {object|null} - Placeholder values found in the path, null if it does not match
+   */
+  static parsePath(template, path) {
+    const match = PathUtils.buildMatcher(template).exec(path);
+
+    if (!match) {
+      return null;
+    }
+
+    const values = { ...match.groups };
+    if (values.id !== undefined) {
+      // Remove leading zeros
+      values.id = parseInt(values.id, 10).toString();
+    }
+
+    return values;
+  }
+
+  /**
+   * Build the regular expression recognizing paths laid out with a template
+   * @param {string} template - Layout template
+   * @returns {RegExp} - Expression with a named group per placeholder
+   */
+  static buildMatcher(template) {
+    const normalized = PathUtils.withVersion(template);
+    const seen = new Set();
+    let pattern = "";
+    let lastIndex = 0;
+
+    for (const match of normalized.matchAll(PLACEHOLDER_PATTERN)) {
+      const name = match[1];
+      pattern += PathUtils.escapeRegExp(normalized.slice(lastIndex, match.index));
+
+      // A placeholder used twice must hold the same value both times
+      pattern += seen.has(name)
+        ? `\\k<${name}>`
+        : `(?<${name}>${layoutPlaceholders[name]})`;
+
+      seen.add(name);
+      lastIndex = match.index + match[0].length;
+    }
+
+    pattern += PathUtils.escapeRegExp(normalized.slice(lastIndex));
+    return new RegExp(`^${pattern}$`);
+  }
+
+  /**
+   * Make sure the template has a {version} placeholder, right before the extension by default
+   * @param {string} template - Layout template
+   * @returns {string} - Template containing {version}
+   */
+  static withVersion(template) {
+    return template.includes("{version}")
+      ? template
+      : template.replace("{ext}", "{version}{ext}");
+  }
+
+  /**
+   * Convert a display name to a path-friendly slug
+   * @param {string} name - Name such as "Hash Table"
+   * @returns {string} - Slug such as "hash-table"
+   */
+  static slugify(name = "") {
+    return (
+      name
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-+|-+$/g, "") || "uncategorized"
+    );
+  }
+
+  /**
+   * Escape a literal string for use in a regular expression
+   * @param {string} text - Literal text
+   * @returns {string} - Escaped text
+   */
+  static escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+}
@@ -0,0 +1,55 @@
+export default class RepositoryUtils {
+  /**
+   * Parse a stored repository setting into owner and name
+   * GitLab repositories may sit in nested groups, the owner is then the full group path
+   * @param {string} repository - Setting such as "user/repo", "group/subgroup/repo" or the legacy "repo"
+   * @param {string|null} [defaultOwner] - Owner of legacy settings that only hold the name
+   * @returns {object|null} - Object with username and repositoryName, null if the setting is empty
+   */
+  static parseRepositoryString(repository, defaultOwner = null) {
+    const trimmed = (repository || "").trim().replace(/\/+$/, "");
+
+    if (!trimmed) {
+      return null;
+    }
+
+    const slash = trimmed.lastIndexOf("/");
+
+    if (slash === -1) {
+      return { username: defaultOwner, repositoryName: trimmed };
+    }
+
+    return {
+      username: trimmed.slice(0, slash).trim(),
+      repositoryName: trimmed.slice(slash + 1).trim(),
+    };
+  }
+
+  /**
+   * Parse a repository typed by the user
+   * @param {string} input - Repository URL, "owner/repo" or a repository name of the signed-in user
+   * @returns {object|null} - Object with username (null for the signed-in user) and repositoryName, null if empty
+   */
+  static parseRepositoryInput(input) {
+    const trimmed = (input || "").trim();
+
+    if (!trimmed) {
+      return null;
+    }
+
+    // Repository URL, on the public service or a self-hosted server
+    const url = trimmed.match(/^https?:\/\/[^/]+\/(.+?)(?:\.git)?\/?$/);
+
+    return RepositoryUtils.parseRepositoryString(url ? url[1] : trimmed);
+  }
+
+  /**
+   * Format a parsed repository as a setting
+   * @param {object} parsed - Object with username and repositoryName
+   * @param {string} defaultOwner - Owner used when the parsed repository has none
+   * @returns {string} - Setting such as "user/repo"
+   */
+  static formatRepository(parsed, defaultOwner) {
+    return `${parsed.username || defaultOwner}/${parsed.repositoryName}`;
+  }
+}
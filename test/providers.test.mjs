@@ -0,0 +1,494 @@
+/**
+ * Checks the repository providers against a mock HTTP server holding one
+ * repository in memory, for GitHub, GitLab and Gitea.
+ *
+ * Run with: node --test test/
+ */
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { createServer } from "node:http";
+
+import GithubProvider from "../scripts/services/providers/github-provider.js";
+import GitlabProvider from "../scripts/services/providers/gitlab-provider.js";
+import GiteaProvider from "../scripts/services/providers/gitea-provider.js";
+
+const blobSha = (content) =>
+  createHash("sha1")
+    .update(`blob ${Buffer.byteLength(content)}\0`)
+    .update(content)
+    .digest("hex");
+
+const treeSha = (files) =>
+  createHash("sha1")
+    .update(JSON.stringify([...files].sort()))
+    .digest("hex");
+
+const fromBase64 = (content) => Buffer.from(content, "base64").toString();
+const toBase64 = (content) => Buffer.from(content).toString("base64");
+
+/**
+ * Repository of the mock server: files of the main branch and its commits.
+ */
+class MockRepository {
+  constructor(files = {}) {
+    this.files = new Map(Object.entries(files));
+    this.trees = new Map();
+    this.commits = new Map();
+    this.head = null;
+    this.requests = [];
+
+    if (this.files.size > 0) {
+      this.commit("Initial commit", this.files);
+    }
+  }
+
+  commit(message, files) {
+    const tree = treeSha(files);
+    const sha = createHash("sha1")
+      .update(`${message}:${tree}:${this.head}`)
+      .digest("hex");
+
+    this.trees.set(tree, new Map(files));
+    this.commits.set(sha, { message, tree, parent: this.head });
+    this.files = new Map(files);
+    this.head = sha;
+    return sha;
+  }
+
+  get messages() {
+    const messages = [];
+    for (let sha = this.head; sha; sha = this.commits.get(sha).parent) {
+      messages.unshift(this.commits.get(sha).message);
+    }
+    return messages;
+  }
+
+  listBlobs() {
+    return [...this.files].map(([path, content]) => ({
+      path,
+      sha: blobSha(content),
+    }));
+  }
+}
+
+/**
+ * Answer the GitHub REST API routes used by GithubProvider.
+ */
+function routeGithub(repository, method, path, body) {
+  const base = "/repos/me/leetcode";
+
+  if (method === "GET" && path === base) {
+    return [200, { default_branch: "main" }];
+  }
+
+  if (method === "GET" && path === `${base}/git/ref/heads/main`) {
+    return repository.head
+      ? [200, { object: { sha: repository.head } }]
+      : [409, { message: "Git Repository is empty." }];
+  }
+
+  if (method === "GET" && path.startsWith(`${base}/git/commits/`)) {
+    const commit = repository.commits.get(path.split("/").pop());
+    return [200, { tree: { sha: commit.tree } }];
+  }
+
+  if (method === "GET" && path.startsWith(`${base}/git/trees/`)) {
+    const files = repository.trees.get(path.split("/").pop());
+    return [
+      200,
+      {
+        tree: [...files].map(([path, content]) => ({
+          type: "blob",
+          path,
+          sha: blobSha(content),
+        })),
+        truncated: false,
+      },
+    ];
+  }
+
+  if (method === "POST" && path === `${base}/git/trees`) {
+    const files = new Map(repository.trees.get(body.base_tree));
+    for (const entry of body.tree) {
+      if (entry.sha === null) {
+        files.delete(entry.path);
+      } else if (entry.content !== undefined) {
+        files.set(entry.path, entry.content);
+      } else {
+        const [, content] = [...files, ...repository.files].find(
+          ([, existing]) => blobSha(existing) === entry.sha
+        );
+        files.set(entry.path, content);
+      }
+    }
+
+    const sha = treeSha(files);
+    repository.trees.set(sha, files);
+    return [201, { sha }];
+  }
+
+  if (method === "POST" && path === `${base}/git/commits`) {
+    assert.deepEqual(body.parents, [repository.pendingHead ?? repository.head]);
+    const sha = createHash("sha1")
+      .update(`${body.message}:${body.tree}:${body.parents[0]}`)
+      .digest("hex");
+    repository.commits.set(sha, {
+      message: body.message,
+      tree: body.tree,
+      parent: body.parents[0],
+    });
+    repository.pendingHead = sha;
+    return [201, { sha }];
+  }
+
+  if (method === "PATCH" && path === `${base}/git/refs/heads/main`) {
+    repository.head = body.sha;
+    repository.files = repository.trees.get(
+      repository.commits.get(body.sha).tree
+    );
+    repository.pendingHead = null;
+    return [200, {}];
+  }
+
+  if (method === "PUT" && path.startsWith(`${base}/contents/`)) {
+    const filePath = decodeURIComponent(path.slice(`${base}/contents/`.length));
+    if (repository.files.has(filePath)) {
+      return [422, { message: "sha wasn't supplied, already exists" }];
+    }
+
+    const files = new Map(repository.files);
+    files.set(filePath, fromBase64(body.content));
+    repository.commit(body.message, files);
+    return [201, {}];
+  }
+
+  return null;
+}
+
+/**
+ * Answer the GitLab REST API v4 routes used by GitlabProvider.
+ */
+function routeGitlab(repository, method, path, body) {
+  const base = "/api/v4/projects/me%2Fleetcode";
+
+  if (method === "GET" && path === base) {
+    return [200, { default_branch: repository.head ? "main" : null }];
+  }
+
+  if (method === "GET" && path === `${base}/repository/branches/main`) {
+    return repository.head ? [200, {}] : [404, {}];
+  }
+
+  if (method === "GET" && path === `${base}/repository/tree`) {
+    return repository.head
+      ? [
+          200,
+          repository
+            .listBlobs()
+            .map(({ path, sha }) => ({ type: "blob", path, id: sha })),
+        ]
+      : [404, { message: "404 Tree Not Found" }];
+  }
+
+  if (method === "POST" && path === `${base}/repository/commits`) {
+    const files = new Map(repository.files);
+    for (const action of body.actions) {
+      const exists = files.has(action.previous_path || action.file_path);
+      if ((action.action === "create") === exists) {
+        const message = `${action.file_path} cannot be ${action.action}d`;
+        return [400, { message }];
+      }
+
+      if (action.action === "delete") {
+        files.delete(action.file_path);
+      } else if (action.action === "move") {
+        files.set(action.file_path, files.get(action.previous_path));
+        files.delete(action.previous_path);
+      } else {
+        files.set(action.file_path, action.content);
+      }
+    }
+
+    return [201, { id: repository.commit(body.commit_message, files) }];
+  }
+
+  return null;
+}
+
+/**
+ * Answer the Gitea API v1 routes used by GiteaProvider.
+ */
+function routeGitea(repository, method, path, body) {
+  const base = "/api/v1/repos/me/leetcode";
+
+  if (method === "GET" && path === base) {
+    return [200, { default_branch: "main", empty: !repository.head }];
+  }
+
+  if (method === "GET" && path === `${base}/branches/main`) {
+    return repository.head ? [200, {}] : [404, {}];
+  }
+
+  if (method === "GET" && path === `${base}/git/trees/main`) {
+    return [
+      200,
+      {
+        tree: repository
+          .listBlobs()
+          .map(({ path, sha }) => ({ type: "blob", path, sha })),
+        truncated: false,
+      },
+    ];
+  }
+
+  if (method === "GET" && path.startsWith(`${base}/git/blobs/`)) {
+    const sha = path.split("/").pop();
+    const [, content] = [...repository.files].find(
+      ([, existing]) => blobSha(existing) === sha
+    );
+    return [200, { content: toBase64(content) }];
+  }
+
+  if (method === "POST" && path === `${base}/contents`) {
+    const files = new Map(repository.files);
+    for (const file of body.files) {
+      const source = file.from_path || file.path;
+      if (
+        file.operation !== "create" &&
+        blobSha(files.get(source) ?? "") !== file.sha
+      ) {
+        return [409, { message: `sha does not match for ${source}` }];
+      }
+
+      if (file.operation === "delete") {
+        files.delete(file.path);
+      } else {
+        files.delete(source);
+        files.set(file.path, fromBase64(file.content));
+      }
+    }
+
+    return [201, { commit: { sha: repository.commit(body.message, files) } }];
+  }
+
+  return null;
+}
+
+/**
+ * Serve a repository over HTTP, sending requests no route answers a 404.
+ *
+ * @returns {Promise<Object>} Server with its host, to close once done
+ */
+async function startServer(repository, route) {
+  const server = createServer((request, response) => {
+    let data = "";
+    request.on("data", (chunk) => (data += chunk));
+    request.on("end", () => {
+      const [path] = request.url.split("?");
+      repository.requests.push(`${request.method} ${path}`);
+
+      let result;
+      try {
+        const body = data && JSON.parse(data);
+        result = route(repository, request.method, path, body);
+      } catch (error) {
+        result = [500, { message: error.message }];
+      }
+
+      const [status, body] = result || [404, { message: "Not Found" }];
+      response.writeHead(status, { "Content-Type": "application/json" });
+      response.end(JSON.stringify(body));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return { server, host: `127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Create a provider talking to a mock server holding the given files.
+ * GitLab and Gitea build https URLs from the host, sent to the server over http.
+ */
+async function setUp(Provider, route, files = {}, options = {}) {
+  const repository = new MockRepository(files);
+  const { server, host } = await startServer(repository, route);
+  const realFetch = globalThis.fetch;
+
+  globalThis.fetch = (url, init) =>
+    realFetch(url.replace(`https://${host}`, `http://${host}`), init);
+
+  const provider = new Provider({
+    token: "token",
+    repository: "me/leetcode",
+    host,
+    config: { REPOSITORY_URL: `http://${host}/repos/`, HEADER: {} },
+    ...options,
+  });
+
+  const tearDown = () => {
+    globalThis.fetch = realFetch;
+    return new Promise((resolve) => server.close(resolve));
+  };
+
+  return { provider, repository, tearDown };
+}
+
+const PROVIDERS = [
+  ["GitHub", GithubProvider, routeGithub],
+  ["GitLab", GitlabProvider, routeGitlab],
+  ["Gitea", GiteaProvider, routeGitea],
+];
+
+for (const [name, Provider, route] of PROVIDERS) {
+  test(`${name}: commitChanges writes, moves and deletes files`, async () => {
+    const { provider, repository, tearDown } = await setUp(Provider, route, {
+      "python3/0001 two-sum.py": "print(1)",
+      "java/0002 add.java": "class A {}",
+      "cpp/0003 old.cpp": "int main() {}",
+    });
+
+    try {
+      await provider.commitChanges([
+        {
+          message: "Add and update",
+          files: [
+            { path: "python3/0001 two-sum.py", content: "print(2)" },
+            { path: "python3/0004 new.py", content: "print(4)" },
+          ],
+        },
+        {
+          message: "Move and delete",
+          files: [
+            {
+              path: "java/0002 add-two-numbers.java",
+              previousPath: "java/0002 add.java",
+              sha: blobSha("class A {}"),
+            },
+            { path: "cpp/0003 old.cpp", deleted: true },
+          ],
+        },
+      ]);
+
+      assert.deepEqual(Object.fromEntries(repository.files), {
+        "python3/0001 two-sum.py": "print(2)",
+        "python3/0004 new.py": "print(4)",
+        "java/0002 add-two-numbers.java": "class A {}",
+      });
+      assert.deepEqual(repository.messages, [
+        "Initial commit",
+        "Add and update",
+        "Move and delete",
+      ]);
+    } finally {
+      await tearDown();
+    }
+  });
+
+  test(`${name}: commitChanges leaves out unchanged files`, async () => {
+    const { provider, repository, tearDown } = await setUp(Provider, route, {
+      "python3/0001 two-sum.py": "print(1)",
+    });
+
+    try {
+      const unchanged = await provider.commitChanges([
+        {
+          message: "Same content",
+          files: [{ path: "python3/0001 two-sum.py", content: "print(1)" }],
+        },
+      ]);
+      await provider.commitChanges([
+        {
+          message: "One new file",
+          files: [
+            { path: "python3/0001 two-sum.py", content: "print(1)" },
+            { path: "python3/0002 add.py", content: "print(2)" },
+          ],
+        },
+      ]);
+
+      assert.equal(unchanged, null);
+      assert.deepEqual(repository.messages, ["Initial commit", "One new file"]);
+    } finally {
+      await tearDown();
+    }
+  });
+
+  test(`${name}: commitChanges writes to an empty repository`, async () => {
+    const { provider, repository, tearDown } = await setUp(Provider, route);
+
+    try {
+      await provider.commitChanges([
+        {
+          message: "First sync",
+          files: [
+            { path: "python3/0001 two-sum.py", content: "print(1)" },
+            { path: "README.md", content: "# LeetCode" },
+          ],
+        },
+      ]);
+
+      assert.deepEqual(Object.fromEntries(repository.files), {
+        "python3/0001 two-sum.py": "print(1)",
+        "README.md": "# LeetCode",
+      });
+    } finally {
+      await tearDown();
+    }
+  });
+}
+
+test("planCommits compares blob shas and chains the commits", async () => {
+  const provider = new GitlabProvider({
+    token: "token",
+    repository: "me/leetcode",
+  });
+  const planned = await provider.planCommits(
+    [
+      {
+        message: "First",
+        files: [
+          { path: "a.py", content: "same" },
+          { path: "b.py", content: "new" },
+        ],
+      },
+      { message: "Second", files: [{ path: "b.py", content: "newer" }] },
+      { message: "Third", files: [{ path: "b.py", content: "newer" }] },
+    ],
+    [{ path: "a.py", sha: blobSha("same") }]
+  );
+
+  assert.deepEqual(
+    planned.map(({ message, actions }) => [
+      message,
+      actions.map(({ action, path }) => `${action} ${path}`),
+    ]),
+    [
+      ["First", ["create b.py"]],
+      ["Second", ["update b.py"]],
+    ]
+  );
+});
+
+test("Providers sharing a branch cache look the branches up once", async () => {
+  const branchCache = new Map();
+  const { provider, repository, tearDown } = await setUp(
+    GithubProvider,
+    routeGithub,
+    { "README.md": "# LeetCode" },
+    { branchCache }
+  );
+
+  try {
+    const other = new GithubProvider({ ...provider, branchCache });
+    await provider.listFiles();
+    await other.listFiles();
+
+    const repositoryReads = repository.requests.filter(
+      (request) => request === "GET /repos/me/leetcode"
+    );
+    assert.equal(repositoryReads.length, 1);
+  } finally {
+    await tearDown();
+  }
+});